@@ -6,54 +6,194 @@ const path = require('path');
 const fs = require('fs');
 const StaticPageOptimizer = require('../index');
 const { validateOptions } = require('../lib/utils');
+const { loadConfig, resolveOptions } = require('../lib/config');
 
 const program = new Command();
 
 program
   .name('static-optimizer')
   .description('静态页面一键瘦身工具 - 优化HTML、CSS、JS、图片等静态资源')
-  .version('1.0.0');
+  .version('1.0.0')
+  .enablePositionalOptions();
 
-program
-  .option('-i, --input <dir>', '输入目录', './')
-  .option('-o, --output <dir>', '输出目录', './dist')
-  .option('--no-html', '跳过HTML优化')
-  .option('--no-css', '跳过CSS优化')
-  .option('--no-js', '跳过JavaScript优化')
-  .option('--no-images', '跳过图片优化')
-  .option('--backup', '创建备份文件')
-  .option('-v, --verbose', '显示详细信息')
-  .option('--config <file>', '配置文件路径')
+/**
+ * 命令行选项与配置项之间的映射
+ */
+const CLI_OPTION_KEYS = {
+  input: 'inputDir',
+  output: 'outputDir',
+  html: 'html',
+  css: 'css',
+  js: 'js',
+  images: 'images',
+  backup: 'backup',
+  include: 'include',
+  exclude: 'exclude',
+  ignore: 'ignore',
+  concurrency: 'concurrency',
+  cache: 'cache',
+  cacheDir: 'cacheDir',
+  report: 'report',
+  reportHtml: 'reportHtml',
+  hash: 'hash',
+  inlineThreshold: 'inlineThreshold',
+  sourceMaps: 'sourceMaps',
+  manifest: 'manifest',
+  verbose: 'verbose'
+};
+
+/**
+ * 为命令添加优化相关的通用选项
+ * @param {Command} command - commander命令
+ * @returns {Command} 命令本身
+ */
+function addOptimizeOptions(command) {
+  return command
+    .option('-i, --input <dir>', '输入目录', './')
+    .option('-o, --output <dir>', '输出目录', './dist')
+    .option('--no-html', '跳过HTML优化')
+    .option('--no-css', '跳过CSS优化')
+    .option('--no-js', '跳过JavaScript优化')
+    .option('--no-images', '跳过图片优化')
+    .option('--backup', '创建备份文件')
+    .option('--include <patterns...>', '只处理匹配这些glob模式的文件')
+    .option('--exclude <patterns...>', '跳过匹配这些glob模式的文件')
+    .option('--ignore <patterns...>', '额外的忽略模式（语法同 .gitignore）')
+    .option('--no-cache', '不使用优化缓存')
+    .option('--cache-dir <dir>', '缓存目录', '.optimizer-cache')
+    .option('-c, --concurrency <number>', '并发处理的文件数（默认为CPU核心数）', value => parseInt(value, 10))
+    .option('--hash', '为CSS、JS和图片文件名添加内容哈希并改写引用')
+    .option('--manifest [file]', '在输出目录中生成资源清单（默认 manifest.json）')
+    .option('--sri', '为引用的脚本和样式表添加 integrity 和 crossorigin 属性')
+    .option('--sri-lockfile <file>', '固定远程资源完整性摘要的锁文件')
+    .option('--sri-verify', '下载远程资源并与锁文件中的摘要比对')
+    .option('--sri-update-lock', '下载未固定的远程资源并写入锁文件')
+    .option('--purge-css', '按HTML和JS内容移除样式表中未使用的选择器')
+    .option('--inline-threshold <bytes>', '将小于该字节数的样式表、脚本和图片内联', value => parseInt(value, 10))
+    .option('--critical', '内联各页面的关键CSS，完整样式表改为非阻塞加载')
+    .option('--image-attributes', '按图片固有尺寸补全 <img> 的 width/height，首屏以下的图片延迟加载')
+    .option('--source-maps [mode]', '为CSS和JS生成 source map：external（默认，写入 .map 文件）或 inline')
+    .option('--bundle', '将各页面连续引用的本地样式表和脚本分别合并为一个文件')
+    .option('--compress', '为文本资源生成 .gz 和 .br 预压缩文件')
+    .option('--report <file>', '生成JSON格式的优化报告')
+    .option('--report-html <file>', '生成包含资源分布图的HTML报告')
+    .option('-v, --verbose', '显示详细信息')
+    .option('--config <file>', '配置文件路径');
+}
+
+/**
+ * 加载配置文件并与命令行选项合并
+ * 只有命令行中显式指定的选项才覆盖配置文件
+ * @param {object} options - commander解析出的选项
+ * @param {Command} command - commander命令
+ * @returns {object} 最终的优化选项
+ */
+function buildOptions(options, command) {
+  // 加载配置文件
+  let config = {};
+  if (options.config) {
+    const configPath = path.resolve(options.config);
+    if (fs.existsSync(configPath)) {
+      const loaded = loadConfig(configPath);
+      config = loaded.config;
+      loaded.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+      console.log(chalk.green(`✓ 已加载配置文件: ${configPath}`));
+    } else {
+      console.log(chalk.yellow(`⚠️  配置文件不存在: ${configPath}`));
+    }
+  }
+  
+  const cliOptions = {};
+  Object.entries(CLI_OPTION_KEYS).forEach(([name, key]) => {
+    const source = command.getOptionValueSource(name);
+    if (source === 'cli' || (source === 'default' && config[key] === undefined)) {
+      cliOptions[key] = options[name];
+    }
+  });
+  
+  // --sri 系列选项与配置文件中的 sri 分节合并
+  const sriFlags = Object.entries({
+    lockfile: options.sriLockfile,
+    verifyRemote: options.sriVerify,
+    updateLockfile: options.sriUpdateLock
+  }).filter(([, value]) => value !== undefined);
+  if (options.sri || sriFlags.length > 0) {
+    cliOptions.sri = {
+      ...(typeof config.sri === 'object' ? config.sri : {}),
+      ...Object.fromEntries(sriFlags),
+      enabled: true
+    };
+  }
+  
+  // --purge-css 只负责开启清理，安全列表沿用配置文件
+  if (options.purgeCss) {
+    cliOptions.purgeCss = typeof config.purgeCss === 'object'
+      ? { ...config.purgeCss, enabled: true }
+      : true;
+  }
+  
+  // --critical 只负责开启关键CSS内联，大小上限沿用配置文件
+  if (options.critical) {
+    cliOptions.critical = typeof config.critical === 'object'
+      ? { ...config.critical, enabled: true }
+      : true;
+  }
+  
+  // --bundle 只负责开启合并，输出目录沿用配置文件
+  if (options.bundle) {
+    cliOptions.bundle = typeof config.bundle === 'object'
+      ? { ...config.bundle, enabled: true }
+      : true;
+  }
+  
+  // --image-attributes 只负责开启属性补全，首屏图片数量等沿用配置文件
+  if (options.imageAttributes) {
+    cliOptions.imageAttributes = typeof config.imageAttributes === 'object'
+      ? { ...config.imageAttributes, enabled: true }
+      : true;
+  }
+  
+  // --compress 只负责开启预压缩，阈值和压缩级别沿用配置文件
+  if (options.compress) {
+    cliOptions.compression = typeof config.compression === 'object'
+      ? { ...config.compression, enabled: true }
+      : true;
+  }
+  
+  return resolveOptions(validateOptions({
+    ...config,
+    ...cliOptions
+  }));
+}
+
+/**
+ * 监听模式只重建发生变化的文件，无法同步更新其他文件中带哈希的引用、已内联或已合并的内容，因此关闭资源指纹、小文件内联和资源合并
+ * @param {object} finalOptions - 优化选项
+ * @returns {void}
+ */
+function disableUnsupportedInWatchMode(finalOptions) {
+  if (finalOptions.hash) {
+    console.log(chalk.yellow('⚠️  监听模式下不支持 --hash，已关闭资源指纹'));
+    finalOptions.hash = false;
+  }
+  if (finalOptions.inlineThreshold) {
+    console.log(chalk.yellow('⚠️  监听模式下不支持 --inline-threshold，已关闭小文件内联'));
+    finalOptions.inlineThreshold = 0;
+  }
+  if (finalOptions.bundle) {
+    console.log(chalk.yellow('⚠️  监听模式下不支持 --bundle，已关闭资源合并'));
+    finalOptions.bundle = false;
+  }
+}
+
+addOptimizeOptions(program)
   .option('--dry-run', '预览模式，不实际执行优化')
-  .action(async (options) => {
+  .action(async (options, command) => {
     try {
       console.log(chalk.blue.bold('🚀 静态页面瘦身工具'));
       console.log(chalk.gray('─'.repeat(50)));
       
-      // 加载配置文件
-      let config = {};
-      if (options.config) {
-        const configPath = path.resolve(options.config);
-        if (fs.existsSync(configPath)) {
-          config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-          console.log(chalk.green(`✓ 已加载配置文件: ${configPath}`));
-        } else {
-          console.log(chalk.yellow(`⚠️  配置文件不存在: ${configPath}`));
-        }
-      }
-      
-      // 合并配置
-      const finalOptions = validateOptions({
-        ...config,
-        inputDir: options.input,
-        outputDir: options.output,
-        html: options.html,
-        css: options.css,
-        js: options.js,
-        images: options.images,
-        backup: options.backup,
-        verbose: options.verbose
-      });
+      const finalOptions = buildOptions(options, command);
       
       // 显示配置信息
       console.log(chalk.cyan('📋 配置信息:'));
@@ -64,6 +204,10 @@ program
       console.log(chalk.white(`JS优化: ${finalOptions.js ? chalk.green('✓') : chalk.red('✗')}`));
       console.log(chalk.white(`图片优化: ${finalOptions.images ? chalk.green('✓') : chalk.red('✗')}`));
       console.log(chalk.white(`创建备份: ${finalOptions.backup ? chalk.green('✓') : chalk.red('✗')}`));
+      console.log(chalk.white(`预压缩: ${finalOptions.compression && finalOptions.compression.enabled !== false ? chalk.green('✓') : chalk.red('✗')}`));
+      if (finalOptions.concurrency) {
+        console.log(chalk.white(`并发数: ${chalk.yellow(finalOptions.concurrency)}`));
+      }
       console.log(chalk.gray('─'.repeat(50)));
       
       if (options.dryRun) {
@@ -77,12 +221,107 @@ program
       // 执行优化
       await optimizer.optimize();
       
+      // 超出体积预算时以非零状态退出，便于在CI中拦截
+      if (optimizer.budgetViolations.length > 0) {
+        process.exit(1);
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('❌ 执行失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// 监听命令
+addOptimizeOptions(
+  program
+    .command('watch')
+    .description('监听输入目录，增量优化发生变化的文件')
+)
+  .option('--debounce <ms>', '合并连续修改的等待时间（毫秒）', value => parseInt(value, 10), 200)
+  .action(async (options, command) => {
+    try {
+      const { OptimizerWatcher } = require('../lib/watcher');
+      
+      const finalOptions = buildOptions(options, command);
+      disableUnsupportedInWatchMode(finalOptions);
+      const optimizer = new StaticPageOptimizer(finalOptions);
+      
+      // 先完整构建一次，再监听后续变化
+      await optimizer.optimize();
+      
+      const watcher = new OptimizerWatcher(optimizer, { debounce: options.debounce });
+      watcher.start();
+      console.log(chalk.cyan(`\n👀 正在监听 ${path.resolve(finalOptions.inputDir)}，按 Ctrl+C 退出`));
+      
+      process.on('SIGINT', async () => {
+        await watcher.close();
+        console.log(chalk.gray('\n已停止监听'));
+        process.exit(0);
+      });
     } catch (error) {
       console.error(chalk.red('❌ 执行失败:'), error.message);
       process.exit(1);
     }
   });
 
+// 预览命令
+addOptimizeOptions(
+  program
+    .command('serve')
+    .description('启动本地服务器预览输出目录')
+)
+  .option('-p, --port <number>', '端口', value => parseInt(value, 10), 8080)
+  .option('--host <host>', '监听地址', 'localhost')
+  .option('-w, --watch', '同时监听输入目录，重建后自动刷新页面')
+  .option('--debounce <ms>', '合并连续修改的等待时间（毫秒）', value => parseInt(value, 10), 200)
+  .action(async (options, command) => {
+    try {
+      const { PreviewServer } = require('../lib/server');
+      const { OptimizerWatcher } = require('../lib/watcher');
+      
+      const finalOptions = buildOptions(options, command);
+      const server = new PreviewServer({
+        root: finalOptions.outputDir,
+        port: options.port,
+        host: options.host,
+        liveReload: Boolean(options.watch)
+      });
+      
+      let watcher = null;
+      if (options.watch) {
+        disableUnsupportedInWatchMode(finalOptions);
+        const optimizer = new StaticPageOptimizer(finalOptions);
+        await optimizer.optimize();
+        
+        watcher = new OptimizerWatcher(optimizer, {
+          debounce: options.debounce,
+          onRebuild: () => server.reload()
+        });
+        watcher.start();
+      } else if (!fs.existsSync(finalOptions.outputDir)) {
+        console.error(chalk.red(`❌ 输出目录不存在: ${finalOptions.outputDir}，请先执行优化或使用 --watch`));
+        process.exit(1);
+      }
+      
+      const url = await server.start();
+      console.log(chalk.cyan(`\n🌐 预览地址: ${chalk.underline(url)}`));
+      console.log(chalk.gray(`   目录: ${server.root}${options.watch ? '（实时刷新已启用）' : ''}`));
+      
+      process.on('SIGINT', async () => {
+        if (watcher) {
+          await watcher.close();
+        }
+        await server.close();
+        console.log(chalk.gray('\n预览服务器已停止'));
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error(chalk.red('❌ 启动预览服务器失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // 配置文件生成命令
 program
   .command('init')
@@ -92,6 +331,9 @@ program
     const config = {
       inputDir: './',
       outputDir: './dist',
+      include: ['**/*'],
+      exclude: [],
+      ignore: [],
       html: {
         enabled: true,
         removeComments: true,
@@ -177,7 +419,7 @@ program
           keep_fnames: false,
           reserved: [],
           properties: {
-            regex: /^_/,
+            regex: '^_',
             reserved: []
           }
         },
@@ -289,7 +531,31 @@ program
           smartSubsample: false,
           mixed: false
         },
-        generateWebP: false
+        avif: {
+          quality: 50,
+          effort: 4,
+          chromaSubsampling: '4:2:0',
+          lossless: false
+        },
+        gif: {
+          optimizationLevel: 3,
+          colors: 256,
+          lossy: 0,
+          interlaced: false
+        },
+        animatedGif: {
+          webp: false,
+          webpQuality: 75,
+          video: false,
+          mp4Crf: 28,
+          webmCrf: 35,
+          replaceInHtml: true
+        },
+        generateWebP: false,
+        generateAVIF: false,
+        picture: true,
+        imageSet: false,
+        responsive: false
       },
       backup: false,
       verbose: false
@@ -304,27 +570,71 @@ program
     }
   });
 
+// 缓存管理命令
+const cacheCommand = program
+  .command('cache')
+  .description('管理优化缓存');
+
+cacheCommand
+  .command('clean')
+  .description('清空优化缓存')
+  .option('--cache-dir <dir>', '缓存目录', '.optimizer-cache')
+  .action((options) => {
+    try {
+      const { OptimizerCache } = require('../lib/cache');
+      const { formatBytes } = require('../lib/utils');
+      
+      const cache = new OptimizerCache({ cacheDir: options.cacheDir });
+      const removed = cache.clean();
+      console.log(chalk.green(`✓ 缓存已清空: ${cache.cacheDir} (${removed.files} 个文件, ${formatBytes(removed.size)})`));
+    } catch (error) {
+      console.error(chalk.red('❌ 清空缓存失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // 分析命令
 program
   .command('analyze')
   .description('分析静态资源文件')
   .option('-i, --input <dir>', '输入目录', './')
+  .option('-o, --output <dir>', '输出目录（分析时跳过）', './dist')
+  .option('--ignore <patterns...>', '额外的忽略模式（语法同 .gitignore）')
+  .option('--config <file>', '配置文件路径（用于读取体积预算）')
   .option('-v, --verbose', '显示详细信息')
   .action(async (options) => {
     try {
-      const { glob } = require('glob');
       const { formatBytes, getFileSize } = require('../lib/utils');
+      const { FileDiscovery } = require('../lib/discovery');
+      const { checkBudgets } = require('../lib/budgets');
+      
+      let budgets = null;
+      if (options.config) {
+        const configPath = path.resolve(options.config);
+        if (fs.existsSync(configPath)) {
+          const loaded = loadConfig(configPath);
+          budgets = loaded.config.budgets || null;
+          loaded.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+        } else {
+          console.log(chalk.yellow(`⚠️  配置文件不存在: ${configPath}`));
+        }
+      }
       
       console.log(chalk.blue.bold('📊 静态资源分析报告'));
       console.log(chalk.gray('─'.repeat(50)));
       
       const inputDir = options.input;
+      const discovery = new FileDiscovery({
+        inputDir,
+        outputDir: options.output,
+        ignore: options.ignore
+      });
       
       // 分析各种文件类型
-      const htmlFiles = await glob('**/*.html', { cwd: inputDir });
-      const cssFiles = await glob('**/*.css', { cwd: inputDir });
-      const jsFiles = await glob('**/*.js', { cwd: inputDir });
-      const imageFiles = await glob('**/*.{jpg,jpeg,png,gif,svg,webp}', { cwd: inputDir });
+      const htmlFiles = await discovery.find('**/*.html');
+      const cssFiles = await discovery.find('**/*.css');
+      const jsFiles = await discovery.find('**/*.js');
+      const imageFiles = await discovery.find('**/*.{jpg,jpeg,png,gif,svg,webp}');
       
       let totalSize = 0;
       let fileCount = 0;
@@ -417,6 +727,26 @@ program
         }
       }
       
+      // 按体积预算检查源文件
+      if (budgets) {
+        const files = [
+          ...htmlFiles.map(file => ({ path: file, type: 'html' })),
+          ...cssFiles.map(file => ({ path: file, type: 'css' })),
+          ...jsFiles.map(file => ({ path: file, type: 'js' })),
+          ...imageFiles.map(file => ({ path: file, type: 'images' }))
+        ].map(file => ({ ...file, size: getFileSize(path.join(inputDir, file.path)) }));
+        
+        const violations = checkBudgets(budgets, files, inputDir);
+        console.log(chalk.gray('─'.repeat(30)));
+        if (violations.length === 0) {
+          console.log(chalk.green('✓ 所有文件均在体积预算之内'));
+        } else {
+          console.log(chalk.red.bold(`🚨 超出体积预算 (${violations.length} 项):`));
+          violations.forEach(violation => console.log(chalk.red(`  ✗ ${violation.message}`)));
+          process.exit(1);
+        }
+      }
+      
     } catch (error) {
       console.error(chalk.red('❌ 分析失败:'), error.message);
       process.exit(1);
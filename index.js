@@ -1,17 +1,67 @@
 const fs = require('fs');
 const path = require('path');
-const { glob } = require('glob');
 const chalk = require('chalk');
 const ora = require('ora');
-const { optimizeHTML } = require('./lib/html-optimizer');
-const { optimizeCSS } = require('./lib/css-optimizer');
-const { optimizeJS } = require('./lib/js-optimizer');
-const { optimizeImages } = require('./lib/image-optimizer');
-const { getFileSize, formatBytes } = require('./lib/utils');
+const { glob } = require('glob');
+const { HTMLOptimizer, resolveImageAttributeOptions } = require('./lib/html-optimizer');
+const { CSSOptimizer } = require('./lib/css-optimizer');
+const { JSOptimizer } = require('./lib/js-optimizer');
+const { ImageOptimizer, resolveResponsiveOptions, getResizedPath, VIDEO_FORMATS } = require('./lib/image-optimizer');
+const { getImageSize } = require('./lib/image-size');
+const { getFileSize, formatBytes, copyFile } = require('./lib/utils');
+const { resolveOptions } = require('./lib/config');
+const { FileDiscovery } = require('./lib/discovery');
+const { runConcurrently, getDefaultConcurrency } = require('./lib/scheduler');
+const { OptimizerCache, DEFAULT_CACHE_DIR } = require('./lib/cache');
+const { buildReport, writeJSONReport, writeHTMLReport } = require('./lib/report');
+const { checkBudgets } = require('./lib/budgets');
+const { Precompressor, resolveCompressionOptions, ENCODINGS } = require('./lib/compression');
+const { fingerprintAssets, isFingerprinted, stripHash } = require('./lib/fingerprint');
+const { writeManifest, DEFAULT_MANIFEST_FILE } = require('./lib/manifest');
+const { SRIGenerator, resolveSRIOptions } = require('./lib/sri');
+const { PurgeContext, resolvePurgeOptions } = require('./lib/purge');
+const { CriticalCSSExtractor, resolveCriticalOptions } = require('./lib/critical');
+const { AssetBundler, resolveBundleOptions } = require('./lib/bundle');
+const { resolveSourceMapMode, writeWithSourceMap } = require('./lib/source-maps');
+const { AssetInliner } = require('./lib/inline');
+const { isLocalReference, resolveReference } = require('./lib/references');
+
+/**
+ * 各类可优化文件的扩展名
+ */
+const ASSET_EXTENSIONS = {
+  html: ['html'],
+  css: ['css'],
+  js: ['js'],
+  images: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp']
+};
+
+/**
+ * 各类可优化文件的匹配模式
+ */
+const ASSET_PATTERNS = Object.fromEntries(Object.entries(ASSET_EXTENSIONS).map(([type, extensions]) => [
+  type,
+  extensions.length > 1 ? `**/*.{${extensions.join(',')}}` : `**/*.${extensions[0]}`
+]));
+
+/**
+ * 页面和样式表中可以改用的新图片格式，按优先顺序排列
+ */
+const NEXT_GEN_IMAGE_FORMATS = ['avif', 'webp'];
+
+/**
+ * 各类文件在输出中的显示名称
+ */
+const TYPE_LABELS = {
+  html: 'HTML',
+  css: 'CSS',
+  js: 'JavaScript',
+  images: '图片'
+};
 
 class StaticPageOptimizer {
   constructor(options = {}) {
-    this.options = {
+    this.options = resolveOptions({
       inputDir: options.inputDir || './',
       outputDir: options.outputDir || './dist',
       html: options.html !== false,
@@ -20,15 +70,47 @@ class StaticPageOptimizer {
       images: options.images !== false,
       backup: options.backup !== false,
       verbose: options.verbose || false,
+      include: options.include || ['**/*'],
+      exclude: options.exclude || [],
+      ignore: options.ignore || [],
+      concurrency: options.concurrency || getDefaultConcurrency(),
+      cache: options.cache !== false,
+      cacheDir: options.cacheDir || DEFAULT_CACHE_DIR,
       ...options
-    };
+    });
     
     this.stats = {
       originalSize: 0,
       optimizedSize: 0,
       filesProcessed: 0,
+      filesCopied: 0,
+      copiedSize: 0,
+      filesCached: 0,
       timeElapsed: 0
     };
+
+    this.handledFiles = new Set();
+    this.results = [];
+    this.fileOutputs = new Map();
+    // 源文件 -> 优化时读取的其他文件（绝对路径），监听模式下这些文件变化时重新处理源文件
+    this.fileDependencies = new Map();
+    this.budgetViolations = [];
+    this.discovery = new FileDiscovery(this.options);
+    this.cache = new OptimizerCache({
+      cacheDir: this.options.cacheDir,
+      enabled: this.options.cache
+    });
+
+    const compressionOptions = resolveCompressionOptions(this.options.compression);
+    this.precompressor = compressionOptions ? new Precompressor(compressionOptions) : null;
+    this.sriOptions = resolveSRIOptions(this.options.sri);
+    this.purgeOptions = resolvePurgeOptions(this.options.purgeCss, this.options.htmlOptions.removeUnusedCss);
+    this.purgeContext = null;
+    this.criticalOptions = resolveCriticalOptions(this.options.critical);
+    this.bundleOptions = resolveBundleOptions(this.options.bundle);
+    this.sourceMapMode = resolveSourceMapMode(this.options.sourceMaps);
+    this.responsiveOptions = resolveResponsiveOptions((this.options.imageOptions || {}).responsive);
+    this.imageAttributeOptions = resolveImageAttributeOptions(this.options.imageAttributes);
   }
 
   async optimize() {
@@ -46,29 +128,98 @@ class StaticPageOptimizer {
         await this.createBackup();
       }
 
-      // 处理HTML文件
-      if (this.options.html) {
-        await this.processHTML();
+      // 并发优化HTML、CSS、JavaScript和图片文件
+      await this.processFiles();
+
+      // 原样复制其余文件（字体、图标、robots.txt等）
+      await this.processAssets();
+
+      // 为有多个尺寸版本的图片填写 srcset 和 sizes
+      if (this.addsResponsiveSrcset()) {
+        await this.addResponsiveSrcset();
+      }
+
+      // 已转换为视频的GIF动图在页面中改用 <video>
+      if (this.replacesGIFsWithVideo()) {
+        await this.replaceGIFsWithVideo();
+      }
+
+      // 页面和样式表中的图片改用生成的WebP/AVIF版本
+      if (this.getNextGenImageTargets().length > 0) {
+        await this.rewriteNextGenImages();
+      }
+
+      // 按图片的固有尺寸补全 width/height，首屏以下的图片延迟加载
+      if (this.imageAttributeOptions && this.options.html) {
+        await this.addImageAttributes();
+      }
+
+      // 把各页面连续引用的样式表和脚本合并为一个文件
+      if (this.bundleOptions) {
+        await this.bundleAssets();
+      }
+
+      // 将小于阈值的样式表、脚本和图片内联到引用它们的文件中
+      if (this.options.inlineThreshold > 0) {
+        await this.inlineAssets();
+      }
+
+      // 内联各页面的关键CSS，完整样式表改为非阻塞加载
+      if (this.criticalOptions) {
+        await this.inlineCriticalCSS();
+      }
+
+      // 为CSS、JS和图片添加内容哈希并改写引用
+      if (this.options.hash) {
+        await this.fingerprintOutputs();
       }
 
-      // 处理CSS文件
-      if (this.options.css) {
-        await this.processCSS();
+      // 按最终输出内容为脚本和样式表添加子资源完整性属性
+      if (this.sriOptions) {
+        await this.addIntegrity();
       }
 
-      // 处理JavaScript文件
-      if (this.options.js) {
-        await this.processJS();
+      // 为文本资源生成 .gz/.br 预压缩文件
+      if (this.precompressor) {
+        await this.precompressOutputs();
       }
 
-      // 处理图片文件
-      if (this.options.images) {
-        await this.processImages();
+      // 删除内容变化后不再生成的旧版带哈希文件，需在写入新清单之前读取上次的清单
+      if (this.options.hash) {
+        const stale = this.removeStaleFingerprints();
+        if (stale.length > 0) {
+          console.log(chalk.gray(`已删除上次构建留下的 ${stale.length} 个带哈希的文件`));
+        }
+      }
+
+      // 输出原始路径到输出文件的资源清单
+      if (this.options.manifest) {
+        const manifestPath = await this.writeManifest();
+        console.log(chalk.green(`✓ 资源清单已生成: ${manifestPath}`));
       }
 
       this.stats.timeElapsed = Date.now() - startTime;
       this.showResults();
 
+      // 检查体积预算，超出项由调用方决定是否以非零状态退出
+      if (this.options.budgets) {
+        this.budgetViolations = this.checkBudgets();
+        this.showBudgetViolations();
+      }
+
+      // 输出机器可读的JSON报告和供阅读的HTML报告
+      if (this.options.report || this.options.reportHtml) {
+        const report = this.getReport();
+        if (this.options.report) {
+          const reportPath = writeJSONReport(this.options.report, report);
+          console.log(chalk.green(`✓ 优化报告已生成: ${reportPath}`));
+        }
+        if (this.options.reportHtml) {
+          const reportPath = writeHTMLReport(this.options.reportHtml, report);
+          console.log(chalk.green(`✓ HTML报告已生成: ${reportPath}`));
+        }
+      }
+
     } catch (error) {
       console.error(chalk.red('❌ 优化过程中出现错误:'), error.message);
       throw error;
@@ -83,8 +234,11 @@ class StaticPageOptimizer {
         fs.mkdirSync(backupDir, { recursive: true });
       }
       
-      // 复制所有文件到备份目录
-      await this.copyDirectory(this.options.inputDir, backupDir);
+      // 复制所有输入文件到备份目录（跳过输出目录本身，避免递归复制）
+      const files = await this.findFiles('**/*', { dot: true });
+      files.forEach(file => {
+        copyFile(path.join(this.options.inputDir, file), path.join(backupDir, file));
+      });
       spinner.succeed('备份文件创建完成');
     } catch (error) {
       spinner.fail('备份文件创建失败');
@@ -92,141 +246,1152 @@ class StaticPageOptimizer {
     }
   }
 
-  async processHTML() {
-    const spinner = ora('优化HTML文件...').start();
+  async processFiles() {
+    const types = Object.keys(ASSET_PATTERNS).filter(type => this.options[type]);
+    if (types.length === 0) {
+      return;
+    }
+
+    const spinner = ora('优化静态资源...').start();
     try {
-      const htmlFiles = await glob('**/*.html', { cwd: this.options.inputDir });
+      // 清理未使用的CSS需要先读取全部HTML和JS作为扫描内容
+      if (this.purgeOptions && types.includes('css')) {
+        await this.loadPurgeContext();
+      }
       
-      for (const file of htmlFiles) {
-        const inputPath = path.join(this.options.inputDir, file);
-        const outputPath = path.join(this.options.outputDir, file);
-        
-        // 确保输出目录存在
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+      const tasks = [];
+      for (const type of types) {
+        const files = await this.findFiles(ASSET_PATTERNS[type]);
+        files.forEach(file => tasks.push({ type, file }));
+      }
+      
+      const results = await runConcurrently(
+        tasks,
+        this.options.concurrency,
+        task => this.optimizeFile(task.type, task.file),
+        (completed, total) => {
+          spinner.text = `优化静态资源... (${completed}/${total})`;
         }
-
-        const originalSize = getFileSize(inputPath);
-        const optimizedContent = await optimizeHTML(inputPath, this.options);
+      );
+      spinner.stop();
+      
+      // 所有任务结束后按固定顺序汇总，保证统计和输出与并发顺序无关
+      types.forEach(type => {
+        const typeResults = results.filter(result => result.type === type);
         
-        fs.writeFileSync(outputPath, optimizedContent);
+        typeResults.forEach(result => {
+          this.results.push(result);
+          this.updateStats(result.originalSize, result.optimizedSize);
+          this.handledFiles.add(result.file);
+          if (result.cached) {
+            this.stats.filesCached++;
+          }
+          
+          if (this.options.verbose) {
+            const cacheHint = result.cached ? chalk.gray(' (缓存)') : '';
+            const purgeHint = result.removedSelectors ? chalk.gray(` (移除 ${result.removedSelectors.length} 个未使用的选择器)`) : '';
+            console.log(chalk.green(`✓ ${result.file}: ${formatBytes(result.originalSize)} → ${formatBytes(result.optimizedSize)}`) + purgeHint + cacheHint);
+            result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+          }
+        });
         
-        const optimizedSize = getFileSize(outputPath);
-        this.updateStats(originalSize, optimizedSize);
+        ora().succeed(`${TYPE_LABELS[type]}文件优化完成 (${typeResults.length} 个文件)`);
+      });
+    } catch (error) {
+      spinner.fail('静态资源优化失败');
+      throw error;
+    }
+  }
+
+  /**
+   * 优化单个文件并写入输出目录
+   * @param {string} type - 文件类型（html/css/js/images）
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {Promise<object>} 处理结果
+   */
+  async optimizeFile(type, file) {
+    const inputPath = path.join(this.options.inputDir, file);
+    const outputPath = path.join(this.options.outputDir, file);
+    const startTime = Date.now();
+    
+    try {
+      const outputDir = path.dirname(outputPath);
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const originalSize = getFileSize(inputPath);
+      
+      // 内容和选项都未变化时直接从缓存恢复
+      const cacheKey = this.cache.enabled
+        ? await this.cache.getKey(file, inputPath, this.getEffectiveOptions(type, file))
+        : null;
+      const cached = cacheKey ? this.cache.restore(cacheKey, this.options.outputDir) : null;
+      if (cached) {
+        this.fileOutputs.set(file, cached.outputs);
+        this.fileDependencies.set(file, (cached.dependencies || []).map(dependency => dependency.file));
+        return {
+          type,
+          file,
+          originalSize,
+          optimizedSize: getFileSize(outputPath),
+          duration: Date.now() - startTime,
+          outputs: cached.outputs,
+          transforms: cached.transforms || [],
+          warnings: cached.warnings || [],
+          ...(cached.removedSelectors ? { removedSelectors: cached.removedSelectors } : {}),
+          cached: true
+        };
+      }
+      
+      const outputs = [outputPath];
+      let optimizer;
+      
+      switch (type) {
+        case 'html':
+          optimizer = new HTMLOptimizer();
+          fs.writeFileSync(outputPath, await optimizer.optimize(inputPath, this.options));
+          break;
+        case 'css':
+          optimizer = new CSSOptimizer();
+          outputs.push(...this.writeOutput(outputPath, await optimizer.optimize(inputPath, {
+            ...this.options,
+            purge: this.getPurgeOptions(file),
+            sourceMaps: this.sourceMapMode
+          }), optimizer.sourceMap));
+          break;
+        case 'js':
+          optimizer = new JSOptimizer();
+          outputs.push(...this.writeOutput(outputPath, await optimizer.optimize(inputPath, {
+            ...this.options,
+            sourceMaps: this.sourceMapMode
+          }), optimizer.sourceMap));
+          break;
+        case 'images':
+          optimizer = new ImageOptimizer();
+          outputs.push(...await optimizer.optimize(inputPath, outputPath, this.options));
+          break;
+        default:
+          throw new Error(`不支持的文件类型: ${type}`);
+      }
+      
+      const relativeOutputs = outputs.map(output => path.relative(this.options.outputDir, output).split(path.sep).join('/'));
+      const details = {
+        transforms: optimizer.transforms,
+        warnings: optimizer.warnings.map(warning => String(warning))
+      };
+      if (optimizer.transforms.includes('purgecss')) {
+        details.removedSelectors = optimizer.removedSelectors;
+      }
+      const dependencies = Array.from(new Set(optimizer.dependencies || []))
+        .map(dependency => path.resolve(dependency))
+        .filter(dependency => dependency !== path.resolve(inputPath));
+      this.fileOutputs.set(file, relativeOutputs);
+      this.fileDependencies.set(file, dependencies);
+      
+      if (cacheKey) {
+        this.cache.store(cacheKey, this.options.outputDir, relativeOutputs, { ...details, dependencies });
+      }
+      
+      return {
+        type,
+        file,
+        originalSize,
+        optimizedSize: getFileSize(outputPath),
+        duration: Date.now() - startTime,
+        outputs: relativeOutputs,
+        ...details,
+        cached: false
+      };
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 写入CSS或JS输出，有 source map 时按配置的方式一并写入
+   * @param {string} outputPath - 输出文件路径
+   * @param {string} content - 输出内容
+   * @param {object|null} sourceMap - 优化器生成的 source map
+   * @returns {Array} 额外写入的文件路径
+   */
+  writeOutput(outputPath, content, sourceMap) {
+    if (!sourceMap) {
+      fs.writeFileSync(outputPath, content);
+      return [];
+    }
+    return writeWithSourceMap(outputPath, content, sourceMap, this.sourceMapMode);
+  }
+
+  /**
+   * 获取影响某个文件输出的选项（用于计算缓存键）
+   * @param {string} type - 文件类型
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {object} 生效的选项
+   */
+  getEffectiveOptions(type, file) {
+    switch (type) {
+      case 'html':
+        return {
+          htmlOptions: this.options.htmlOptions,
+          cssOptions: this.options.cssOptions,
+          jsOptions: this.options.jsOptions
+        };
+      case 'css':
+        return {
+          cssOptions: this.options.cssOptions,
+          purge: this.getPurgeOptions(file) ? this.purgeContext.getCacheInfo() : null,
+          sourceMaps: this.getSourceMapCacheInfo()
+        };
+      case 'js':
+        return { jsOptions: this.options.jsOptions, sourceMaps: this.getSourceMapCacheInfo() };
+      case 'images':
+        return {
+          imageOptions: this.options.imageOptions,
+          generateWebP: this.options.generateWebP,
+          generateAVIF: this.options.generateAVIF
+        };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * 影响 source map 内容的选项：输出方式，以及来源路径所基于的输入目录相对于输出目录的位置
+   * @returns {object|null} 生效的选项，未启用时返回null
+   */
+  getSourceMapCacheInfo() {
+    if (!this.sourceMapMode) {
+      return null;
+    }
+    return {
+      mode: this.sourceMapMode,
+      inputDir: path.relative(this.options.outputDir, this.options.inputDir).split(path.sep).join('/')
+    };
+  }
+
+  /**
+   * 重新读取清理未使用CSS所需的扫描内容
+   * @returns {Promise<boolean>} 扫描内容是否有变化
+   */
+  async loadPurgeContext() {
+    const context = new PurgeContext(this.purgeOptions, this.discovery);
+    await context.load();
+    
+    const changed = !this.purgeContext || this.purgeContext.contentHash !== context.contentHash;
+    this.purgeContext = context;
+    return changed;
+  }
+
+  /**
+   * 获取某个样式表的PurgeCSS选项
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {object|null} PurgeCSS选项，未启用或该文件在安全列表中时返回null
+   */
+  getPurgeOptions(file) {
+    if (!this.purgeContext || this.purgeContext.isSafelistedFile(file)) {
+      return null;
+    }
+    return this.purgeContext.getPurgeOptions();
+  }
+
+  async processAssets() {
+    const spinner = ora('复制其余静态资源...').start();
+    try {
+      // 已由优化生成的输出（如 source map）不再被同名的输入文件覆盖
+      const produced = new Set(Array.from(this.fileOutputs.values()).flat());
+      const assetFiles = (await this.findFiles('**/*', { dot: true }))
+        .filter(file => !this.handledFiles.has(file) && !produced.has(file));
+      
+      for (const file of assetFiles) {
+        const result = this.copyAsset(file);
+        this.results.push(result);
+        this.updateCopyStats(result.optimizedSize);
         
         if (this.options.verbose) {
-          console.log(chalk.green(`✓ ${file}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)}`));
+          console.log(chalk.gray(`→ ${file}: 原样复制`));
         }
       }
       
-      spinner.succeed(`HTML文件优化完成 (${htmlFiles.length} 个文件)`);
+      spinner.succeed(`其余静态资源复制完成 (${assetFiles.length} 个文件)`);
     } catch (error) {
-      spinner.fail('HTML文件优化失败');
+      spinner.fail('静态资源复制失败');
       throw error;
     }
   }
 
-  async processCSS() {
-    const spinner = ora('优化CSS文件...').start();
+  /**
+   * 为CSS、JS和图片输出添加内容哈希，并改写HTML、CSS和JS中的引用
+   * @returns {Promise<void>}
+   */
+  async fingerprintOutputs() {
+    const spinner = ora('生成资源指纹...').start();
     try {
-      const cssFiles = await glob('**/*.css', { cwd: this.options.inputDir });
+      const outputs = this.results.flatMap(result => result.outputs);
+      const hashes = await fingerprintAssets(outputs, { outputDir: this.options.outputDir });
       
-      for (const file of cssFiles) {
-        const inputPath = path.join(this.options.inputDir, file);
-        const outputPath = path.join(this.options.outputDir, file);
-        
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+      this.results.forEach(result => {
+        const primary = hashes.get(result.outputs[0]);
+        result.outputs = result.outputs.map(output => (hashes.has(output) ? hashes.get(output).path : output));
+        if (primary) {
+          result.hash = primary.hash;
+          result.transforms = [...result.transforms, 'fingerprint'];
         }
+        this.fileOutputs.set(result.file, result.outputs);
+        this.refreshOutputSize(result);
+      });
+      
+      spinner.succeed(`资源指纹生成完成 (${hashes.size} 个文件)`);
+    } catch (error) {
+      spinner.fail('资源指纹生成失败');
+      throw error;
+    }
+  }
 
-        const originalSize = getFileSize(inputPath);
-        const optimizedContent = await optimizeCSS(inputPath, this.options);
-        
-        fs.writeFileSync(outputPath, optimizedContent);
-        
-        const optimizedSize = getFileSize(outputPath);
-        this.updateStats(originalSize, optimizedSize);
+  /**
+   * 合并各页面引用的样式表和脚本，并删除合并后不再被引用的输出
+   * @returns {Promise<void>}
+   */
+  async bundleAssets() {
+    const spinner = ora('合并样式表和脚本...').start();
+    try {
+      const bundler = new AssetBundler({ ...this.bundleOptions, outputDir: this.options.outputDir });
+      const outputs = this.results.flatMap(result => result.outputs);
+      const modified = bundler.run(outputs);
+      const removed = new Set(bundler.findUnreferenced([...outputs, ...bundler.bundles.keys()]));
+      
+      this.results.forEach(result => {
+        const primary = result.outputs[0];
+        if (removed.has(primary)) {
+          this.dropOutputs(result, 'bundled');
+          if (this.options.verbose) {
+            spinner.clear();
+            console.log(chalk.gray(`→ ${result.file}: 已合并，不再输出`));
+          }
+        } else if (modified.has(primary)) {
+          result.transforms = [...result.transforms, 'bundle'];
+          this.refreshOutputSize(result);
+        }
+      });
+      
+      // 合并文件没有对应的源文件，原始大小计为0，其成员的原始大小仍记在各自的结果中
+      bundler.bundles.forEach((members, bundle) => {
+        const size = getFileSize(path.join(this.options.outputDir, bundle));
+        this.results.push({
+          type: path.extname(bundle).slice(1),
+          file: bundle,
+          originalSize: 0,
+          optimizedSize: size,
+          duration: 0,
+          outputs: [bundle],
+          transforms: ['bundle'],
+          warnings: [],
+          cached: false,
+          bundled: members
+        });
+        this.fileOutputs.set(bundle, [bundle]);
+        this.stats.optimizedSize += size;
         
         if (this.options.verbose) {
-          console.log(chalk.green(`✓ ${file}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)}`));
+          spinner.clear();
+          console.log(chalk.green(`✓ ${bundle}: 合并 ${members.length} 个文件 (${formatBytes(size)})`));
+        }
+      });
+      
+      spinner.succeed(`样式表和脚本合并完成 (${modified.size} 个页面，生成 ${bundler.bundles.size} 个合并文件，删除 ${removed.size} 个输出)`);
+    } catch (error) {
+      spinner.fail('样式表和脚本合并失败');
+      throw error;
+    }
+  }
+
+  /**
+   * 内联小于阈值的样式表、脚本和图片，并删除内联后不再被引用的输出
+   * @returns {Promise<void>}
+   */
+  async inlineAssets() {
+    const spinner = ora('内联小文件...').start();
+    try {
+      const inliner = new AssetInliner({ outputDir: this.options.outputDir, threshold: this.options.inlineThreshold });
+      const outputs = this.results.flatMap(result => result.outputs);
+      const modified = inliner.run(outputs);
+      const removed = new Set(inliner.findUnreferenced(outputs));
+      
+      this.results.forEach(result => {
+        const primary = result.outputs[0];
+        if (removed.has(primary)) {
+          this.dropOutputs(result);
+          if (this.options.verbose) {
+            spinner.clear();
+            console.log(chalk.gray(`→ ${result.file}: 已内联，不再输出`));
+          }
+        } else if (modified.has(primary)) {
+          if (!result.transforms.includes('inline')) {
+            result.transforms = [...result.transforms, 'inline'];
+          }
+          this.refreshOutputSize(result);
         }
+      });
+      
+      spinner.succeed(`小文件内联完成 (内联 ${inliner.inlined.size} 个文件，删除 ${removed.size} 个输出)`);
+    } catch (error) {
+      spinner.fail('小文件内联失败');
+      throw error;
+    }
+  }
+
+  /**
+   * 删除已全部内联或合并的文件的输出，并从统计中扣除其大小
+   * @param {object} result - 处理结果
+   * @param {string} transform - 记录到处理步骤中的原因
+   * @returns {void}
+   */
+  dropOutputs(result, transform = 'inlined') {
+    result.outputs.forEach(output => {
+      const outputPath = path.join(this.options.outputDir, output);
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+        this.removeEmptyDirs(path.dirname(outputPath));
       }
+    });
+    
+    if (result.type === 'asset') {
+      this.stats.copiedSize -= result.optimizedSize;
+    } else {
+      this.stats.optimizedSize -= result.optimizedSize;
+    }
+    result.optimizedSize = 0;
+    result.outputs = [];
+    result.transforms = [...result.transforms, transform];
+    this.fileOutputs.set(result.file, []);
+  }
+
+  /**
+   * 是否需要为页面中的图片填写响应式 srcset
+   * @returns {boolean} 是否启用
+   */
+  addsResponsiveSrcset() {
+    return Boolean(this.responsiveOptions && this.options.images && this.options.html);
+  }
+
+  /**
+   * 在全部HTML页面中为有多个尺寸版本的图片填写 srcset 和 sizes
+   * @returns {Promise<void>}
+   */
+  async addResponsiveSrcset() {
+    const spinner = ora('填写响应式图片 srcset...').start();
+    try {
+      const pages = this.results.filter(item => item.type === 'html');
+      let replaced = 0;
       
-      spinner.succeed(`CSS文件优化完成 (${cssFiles.length} 个文件)`);
+      pages.forEach(result => {
+        const count = this.applyResponsiveSrcset(result);
+        replaced += count;
+        if (count > 0 && this.options.verbose) {
+          spinner.clear();
+          console.log(chalk.green(`✓ ${result.file}: ${count} 张图片添加 srcset`));
+        }
+      });
+      
+      spinner.succeed(`响应式图片处理完成 (${replaced} 张图片)`);
     } catch (error) {
-      spinner.fail('CSS文件优化失败');
+      spinner.fail('响应式图片处理失败');
       throw error;
     }
   }
 
-  async processJS() {
-    const spinner = ora('优化JavaScript文件...').start();
+  /**
+   * 为单个HTML页面中有多个尺寸版本的图片填写 srcset 和 sizes
+   * @param {object} result - HTML文件的处理结果
+   * @returns {number} 添加了 srcset 的图片数量
+   */
+  applyResponsiveSrcset(result) {
+    if (result.outputs.length === 0) {
+      return 0;
+    }
+    
+    const page = result.outputs[0];
+    const pagePath = path.join(this.options.outputDir, page);
+    const getCandidates = src => {
+      if (!isLocalReference(src)) {
+        return [];
+      }
+      const image = resolveReference(page, src);
+      const outputs = this.fileOutputs.get(image) || [];
+      const size = getImageSize(path.join(this.options.outputDir, image));
+      if (!size) {
+        return [];
+      }
+      return [
+        ...this.responsiveOptions.widths
+          .filter(width => outputs.includes(getResizedPath(image, width)))
+          .map(width => ({ url: getResizedPath(src, width), width })),
+        { url: src, width: size.width }
+      ];
+    };
+    
+    const processed = new HTMLOptimizer().addResponsiveSrcset(fs.readFileSync(pagePath, 'utf8'), getCandidates, this.responsiveOptions.sizes);
+    if (processed.replaced > 0) {
+      fs.writeFileSync(pagePath, processed.content);
+      if (!result.transforms.includes('srcset')) {
+        result.transforms = [...result.transforms, 'srcset'];
+      }
+      this.refreshOutputSize(result);
+    }
+    return processed.replaced;
+  }
+
+  /**
+   * 是否需要把已转换为视频的GIF动图在页面中替换为 <video>
+   * @returns {boolean} 是否启用
+   */
+  replacesGIFsWithVideo() {
+    const animatedGif = (this.options.imageOptions && this.options.imageOptions.animatedGif) || {};
+    return Boolean(this.options.images && this.options.html && animatedGif.video && animatedGif.replaceInHtml !== false);
+  }
+
+  /**
+   * 在全部HTML页面中用 <video> 替换已转换为视频的GIF动图
+   * @returns {Promise<void>}
+   */
+  async replaceGIFsWithVideo() {
+    const spinner = ora('替换GIF动图为视频...').start();
     try {
-      const jsFiles = await glob('**/*.js', { cwd: this.options.inputDir });
+      const pages = this.results.filter(item => item.type === 'html');
+      let replaced = 0;
       
-      for (const file of jsFiles) {
-        const inputPath = path.join(this.options.inputDir, file);
-        const outputPath = path.join(this.options.outputDir, file);
-        
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+      pages.forEach(result => {
+        const count = this.applyGIFVideos(result);
+        replaced += count;
+        if (count > 0 && this.options.verbose) {
+          spinner.clear();
+          console.log(chalk.green(`✓ ${result.file}: ${count} 个GIF动图改用 <video>`));
         }
+      });
+      
+      spinner.succeed(`GIF动图替换完成 (${replaced} 处)`);
+    } catch (error) {
+      spinner.fail('GIF动图替换失败');
+      throw error;
+    }
+  }
 
-        const originalSize = getFileSize(inputPath);
-        const optimizedContent = await optimizeJS(inputPath, this.options);
-        
-        fs.writeFileSync(outputPath, optimizedContent);
-        
-        const optimizedSize = getFileSize(outputPath);
-        this.updateStats(originalSize, optimizedSize);
-        
-        if (this.options.verbose) {
-          console.log(chalk.green(`✓ ${file}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)}`));
+  /**
+   * 将单个HTML页面中已生成视频的GIF动图替换为 <video>
+   * @param {object} result - HTML文件的处理结果
+   * @returns {number} 替换的图片数量
+   */
+  applyGIFVideos(result) {
+    if (result.outputs.length === 0) {
+      return 0;
+    }
+    
+    const page = result.outputs[0];
+    const pagePath = path.join(this.options.outputDir, page);
+    const getVideoFormats = src => this.getVariantFormats(page, src, VIDEO_FORMATS);
+    
+    const processed = new HTMLOptimizer().replaceGIFsWithVideo(fs.readFileSync(pagePath, 'utf8'), getVideoFormats);
+    if (processed.replaced > 0) {
+      fs.writeFileSync(pagePath, processed.content);
+      if (!result.transforms.includes('gif-video')) {
+        result.transforms = [...result.transforms, 'gif-video'];
+      }
+      this.refreshOutputSize(result);
+    }
+    return processed.replaced;
+  }
+
+  /**
+   * 查找引用的图片已生成的衍生格式
+   * @param {string} fromFile - 引用所在的输出文件
+   * @param {string} url - 引用地址
+   * @param {Array} formats - 需要查找的格式（扩展名，不含点）
+   * @returns {Array} 已生成的格式，保持 formats 中的顺序
+   */
+  getVariantFormats(fromFile, url, formats) {
+    if (!isLocalReference(url)) {
+      return [];
+    }
+    
+    // 缩小的尺寸版本本身也是原图的输出，在原图的输出中查找它们的衍生格式
+    const image = resolveReference(fromFile, url);
+    const outputs = this.fileOutputs.get(image) ||
+      Array.from(this.fileOutputs.values()).find(list => list.includes(image)) ||
+      [];
+    return formats.filter(format => outputs.includes(image.replace(/\.[^./]+$/, `.${format}`)));
+  }
+
+  /**
+   * 需要改写为引用WebP/AVIF版本的文件类型
+   * @returns {Array} 已启用的类型：html（<picture>）和 css（image-set()）
+   */
+  getNextGenImageTargets() {
+    const imageOptions = this.options.imageOptions || {};
+    const generatesVariants = imageOptions.generateWebP || imageOptions.generateAVIF ||
+      this.options.generateWebP || this.options.generateAVIF ||
+      (imageOptions.animatedGif && imageOptions.animatedGif.webp);
+    if (!this.options.images || !generatesVariants) {
+      return [];
+    }
+    
+    const targets = [];
+    if (this.options.html && imageOptions.picture !== false) {
+      targets.push('html');
+    }
+    if (this.options.css && imageOptions.imageSet) {
+      targets.push('css');
+    }
+    return targets;
+  }
+
+  /**
+   * 在全部HTML和CSS中改用图片的WebP/AVIF版本
+   * @returns {Promise<void>}
+   */
+  async rewriteNextGenImages() {
+    const spinner = ora('改写图片引用为WebP/AVIF...').start();
+    try {
+      const targets = this.getNextGenImageTargets();
+      let replaced = 0;
+      
+      this.results.filter(item => targets.includes(item.type)).forEach(result => {
+        const count = this.applyNextGenImages(result);
+        replaced += count;
+        if (count > 0 && this.options.verbose) {
+          spinner.clear();
+          console.log(chalk.green(`✓ ${result.file}: ${count} 处图片改用WebP/AVIF`));
         }
+      });
+      
+      spinner.succeed(`图片引用改写完成 (${replaced} 处)`);
+    } catch (error) {
+      spinner.fail('图片引用改写失败');
+      throw error;
+    }
+  }
+
+  /**
+   * 将单个HTML页面中的 <img> 改为 <picture>，或为CSS中的背景图添加 image-set()
+   * @param {object} result - HTML或CSS文件的处理结果
+   * @returns {number} 改写的图片数量
+   */
+  applyNextGenImages(result) {
+    if (result.outputs.length === 0) {
+      return 0;
+    }
+    
+    const file = result.outputs[0];
+    const filePath = path.join(this.options.outputDir, file);
+    const getImageFormats = url => this.getVariantFormats(file, url, NEXT_GEN_IMAGE_FORMATS);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const processed = result.type === 'html'
+      ? new HTMLOptimizer().rewritePictures(content, getImageFormats)
+      : new CSSOptimizer().addImageSets(content, getImageFormats);
+    
+    if (processed.replaced > 0) {
+      const transform = result.type === 'html' ? 'picture' : 'image-set';
+      fs.writeFileSync(filePath, processed.content);
+      if (!result.transforms.includes(transform)) {
+        result.transforms = [...result.transforms, transform];
       }
+      this.refreshOutputSize(result);
+    }
+    return processed.replaced;
+  }
+
+  /**
+   * 为全部HTML页面中的图片补全尺寸和延迟加载属性
+   * @returns {Promise<void>}
+   */
+  async addImageAttributes() {
+    const spinner = ora('补全图片属性...').start();
+    try {
+      const pages = this.results.filter(item => item.type === 'html');
+      const totals = { dimensions: 0, lazy: 0 };
       
-      spinner.succeed(`JavaScript文件优化完成 (${jsFiles.length} 个文件)`);
+      pages.forEach(result => {
+        const processed = this.applyImageAttributes(result);
+        totals.dimensions += processed.dimensions;
+        totals.lazy += processed.lazy;
+        if ((processed.dimensions > 0 || processed.lazy > 0) && this.options.verbose) {
+          spinner.clear();
+          console.log(chalk.green(`✓ ${result.file}: ${processed.dimensions} 张图片添加尺寸，${processed.lazy} 张图片延迟加载`));
+        }
+      });
+      
+      spinner.succeed(`图片属性补全完成 (添加尺寸 ${totals.dimensions} 张，延迟加载 ${totals.lazy} 张)`);
     } catch (error) {
-      spinner.fail('JavaScript文件优化失败');
+      spinner.fail('图片属性补全失败');
       throw error;
     }
   }
 
-  async processImages() {
-    const spinner = ora('优化图片文件...').start();
+  /**
+   * 为单个HTML页面中的图片补全尺寸和延迟加载属性
+   * @param {object} result - HTML文件的处理结果
+   * @returns {object} { dimensions, lazy }
+   */
+  applyImageAttributes(result) {
+    if (result.outputs.length === 0) {
+      return { dimensions: 0, lazy: 0 };
+    }
+    
+    const page = result.outputs[0];
+    const pagePath = path.join(this.options.outputDir, page);
+    const getSize = src => (isLocalReference(src)
+      ? getImageSize(path.join(this.options.outputDir, resolveReference(page, src)))
+      : null);
+    
+    const { content, ...processed } = new HTMLOptimizer().addImageAttributes(fs.readFileSync(pagePath, 'utf8'), getSize, this.imageAttributeOptions);
+    if (processed.dimensions > 0 || processed.lazy > 0) {
+      fs.writeFileSync(pagePath, content);
+      if (!result.transforms.includes('image-attributes')) {
+        result.transforms = [...result.transforms, 'image-attributes'];
+      }
+      this.refreshOutputSize(result);
+    }
+    return processed;
+  }
+
+  /**
+   * 为全部HTML页面内联关键CSS
+   * @returns {Promise<void>}
+   */
+  async inlineCriticalCSS() {
+    const spinner = ora('内联关键CSS...').start();
     try {
-      const imageFiles = await glob('**/*.{jpg,jpeg,png,gif,svg,webp}', { cwd: this.options.inputDir });
+      const extractor = this.createCriticalExtractor();
+      const pages = this.results.filter(item => item.type === 'html');
+      let inlined = 0;
       
-      for (const file of imageFiles) {
-        const inputPath = path.join(this.options.inputDir, file);
-        const outputPath = path.join(this.options.outputDir, file);
-        
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+      pages.forEach(result => {
+        const processed = this.applyCriticalCSS(result, extractor);
+        if (processed.stylesheets > 0) {
+          inlined++;
+          if (this.options.verbose) {
+            spinner.clear();
+            console.log(chalk.green(`✓ ${result.file}: 内联关键CSS ${formatBytes(processed.size)}，${processed.stylesheets} 个样式表改为非阻塞加载`));
+          }
         }
+      });
+      
+      spinner.succeed(`关键CSS内联完成 (${inlined}/${pages.length} 个页面)`);
+    } catch (error) {
+      spinner.fail('关键CSS内联失败');
+      throw error;
+    }
+  }
 
-        const originalSize = getFileSize(inputPath);
-        await optimizeImages(inputPath, outputPath, this.options);
-        
-        const optimizedSize = getFileSize(outputPath);
-        this.updateStats(originalSize, optimizedSize);
-        
-        if (this.options.verbose) {
-          console.log(chalk.green(`✓ ${file}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)}`));
+  /**
+   * 创建关键CSS提取器
+   * @returns {CriticalCSSExtractor} 提取器
+   */
+  createCriticalExtractor() {
+    return new CriticalCSSExtractor({ ...this.criticalOptions, outputDir: this.options.outputDir });
+  }
+
+  /**
+   * 为单个HTML页面内联关键CSS
+   * @param {object} result - HTML文件的处理结果
+   * @param {CriticalCSSExtractor} extractor - 关键CSS提取器
+   * @returns {object} { stylesheets, size, warnings }
+   */
+  applyCriticalCSS(result, extractor) {
+    const processed = extractor.processFile(result.outputs[0]);
+    if (processed.stylesheets > 0 && !result.transforms.includes('critical-css')) {
+      result.transforms = [...result.transforms, 'critical-css'];
+    }
+    result.warnings = Array.from(new Set([...result.warnings, ...processed.warnings]));
+    this.refreshOutputSize(result);
+    return processed;
+  }
+
+  /**
+   * 为HTML中引用的脚本和样式表添加 integrity 和 crossorigin 属性
+   * @returns {Promise<void>}
+   */
+  async addIntegrity() {
+    const spinner = ora('添加子资源完整性校验...').start();
+    try {
+      const tags = await this.applyIntegrity();
+      spinner.succeed(`子资源完整性校验添加完成 (${tags} 个标签)`);
+    } catch (error) {
+      spinner.fail('子资源完整性校验失败');
+      throw error;
+    }
+  }
+
+  /**
+   * 按当前输出内容改写全部HTML中的 integrity 属性
+   * @returns {Promise<number>} 添加了 integrity 的标签数量
+   */
+  async applyIntegrity() {
+    const generator = new SRIGenerator({ ...this.sriOptions, outputDir: this.options.outputDir });
+    let tags = 0;
+    
+    for (const result of this.results.filter(item => item.type === 'html')) {
+      const processed = await generator.processFile(result.outputs[0]);
+      tags += processed.tags;
+      if (processed.tags > 0 && !result.transforms.includes('sri')) {
+        result.transforms = [...result.transforms, 'sri'];
+      }
+      result.warnings = Array.from(new Set([...result.warnings, ...processed.warnings]));
+      this.refreshOutputSize(result);
+    }
+    
+    if (generator.saveLockfile()) {
+      console.log(chalk.green(`✓ SRI锁文件已更新: ${path.resolve(this.sriOptions.lockfile)}`));
+    }
+    return tags;
+  }
+
+  /**
+   * 监听模式重建后，更新依赖全部输出文件的后处理结果
+   * （未使用CSS的清理、关键CSS、子资源完整性、HTML的预压缩文件和资源清单）
+   * @param {Array} changed - 本次重建的处理结果
+   * @returns {Promise<void>}
+   */
+  async finalizeRebuild(changed = []) {
+    let stylesChanged = changed.some(result => result.type === 'css' || result.file.endsWith('.css'));
+    
+    // HTML或JS变化后，样式表中可保留的选择器也可能变化
+    if (this.purgeContext && await this.loadPurgeContext()) {
+      for (const result of this.results.filter(item => item.type === 'css')) {
+        await this.processFile(result.file);
+      }
+      stylesChanged = true;
+    }
+    
+    // 样式表变化后重新生成各页面内联的关键CSS
+    if (this.criticalOptions && stylesChanged) {
+      for (const result of this.results.filter(item => item.type === 'html')) {
+        await this.processFile(result.file);
+      }
+    }
+    
+    if (this.sriOptions) {
+      await this.applyIntegrity();
+      
+      if (this.precompressor) {
+        for (const result of this.results.filter(item => item.type === 'html')) {
+          await this.compressResult(result);
         }
       }
+    }
+    
+    if (this.options.manifest) {
+      await this.writeManifest();
+    }
+  }
+
+  /**
+   * 输出文件被改写后重新读取其大小，并同步更新统计
+   * @param {object} result - 处理结果
+   * @returns {void}
+   */
+  refreshOutputSize(result) {
+    if (result.outputs.length === 0) {
+      return;
+    }
+    
+    const size = getFileSize(path.join(this.options.outputDir, result.outputs[0]));
+    if (result.type === 'asset') {
+      this.stats.copiedSize += size - result.optimizedSize;
+    } else {
+      this.stats.optimizedSize += size - result.optimizedSize;
+    }
+    result.optimizedSize = size;
+  }
+
+  /**
+   * 将当前全部处理结果写入资源清单
+   * @returns {Promise<string>} 清单文件路径
+   */
+  async writeManifest() {
+    return await writeManifest(this.results, this.options.outputDir, this.getManifestFile());
+  }
+
+  /**
+   * 获取资源清单的文件名
+   * @returns {string} 相对于输出目录的路径
+   */
+  getManifestFile() {
+    return typeof this.options.manifest === 'string' ? this.options.manifest : DEFAULT_MANIFEST_FILE;
+  }
+
+  /**
+   * 删除本次不再生成的带哈希文件：输出目录中与本次某个输出文件同名、只有哈希不同的文件，
+   * 以及上次的资源清单中记录的文件（包括源文件已删除的条目）及其 .map 和预压缩文件
+   * 内容变化后文件名随之改变，旧的 name.[hash].ext 不会被覆盖，不清理会在输出目录中不断累积
+   * @returns {Array} 已删除的文件列表（相对于输出目录）
+   */
+  removeStaleFingerprints() {
+    const outputRoot = path.resolve(this.options.outputDir);
+    const current = new Set(this.results.flatMap(result => result.outputs));
+    const currentNames = new Set(Array.from(current, output => stripHash(output)));
+    const candidates = [
+      ...this.getPreviousManifestOutputs(),
+      ...glob.sync('**/*', { cwd: outputRoot, nodir: true, dot: true, posix: true })
+        .filter(output => currentNames.has(stripHash(output)))
+    ];
+    
+    const removed = [];
+    candidates.forEach(output => {
+      if (current.has(output) || removed.includes(output) || !isFingerprinted(output)) {
+        return;
+      }
+      const outputPath = path.resolve(outputRoot, output);
+      if (!outputPath.startsWith(outputRoot + path.sep) || !fs.existsSync(outputPath) || !fs.statSync(outputPath).isFile()) {
+        return;
+      }
+      fs.unlinkSync(outputPath);
+      removed.push(output);
+      this.removeEmptyDirs(path.dirname(outputPath));
+    });
+    
+    return removed;
+  }
+
+  /**
+   * 读取上次的资源清单中记录的输出文件，并补上各文件的 .map 和预压缩文件
+   * 清单只记录主输出文件的预压缩版本，source map 的预压缩文件需按文件名推算
+   * @returns {Array} 相对于输出目录的文件列表，没有清单时为空
+   */
+  getPreviousManifestOutputs() {
+    let previous;
+    try {
+      previous = JSON.parse(fs.readFileSync(path.join(this.options.outputDir, this.getManifestFile()), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+    
+    const encodings = Object.values(ENCODINGS).map(({ extension }) => extension);
+    return Object.values(previous)
+      .filter(entry => entry && typeof entry.path === 'string')
+      .flatMap(entry => [entry.path, ...Object.values(entry.variants || {})])
+      .filter(output => typeof output === 'string')
+      .flatMap(output => (encodings.some(extension => output.endsWith(extension)) ? [output] : [output, `${output}.map`]))
+      .flatMap(output => [output, ...encodings.map(extension => output + extension)]);
+  }
+
+  /**
+   * 为所有输出文件生成预压缩文件
+   * @returns {Promise<void>}
+   */
+  async precompressOutputs() {
+    const spinner = ora('生成预压缩文件...').start();
+    try {
+      await runConcurrently(
+        this.results,
+        this.options.concurrency,
+        result => this.compressResult(result),
+        (completed, total) => {
+          spinner.text = `生成预压缩文件... (${completed}/${total})`;
+        }
+      );
       
-      spinner.succeed(`图片文件优化完成 (${imageFiles.length} 个文件)`);
+      const compressed = this.results.filter(result => Object.keys(result.transferSizes).length > 1).length;
+      spinner.succeed(`预压缩文件生成完成 (${compressed} 个文件)`);
     } catch (error) {
-      spinner.fail('图片文件优化失败');
+      spinner.fail('预压缩文件生成失败');
       throw error;
     }
   }
 
+  /**
+   * 为单个处理结果的输出文件生成预压缩文件，并记录各编码的传输大小
+   * @param {object} result - 处理结果
+   * @returns {Promise<object>} 更新后的处理结果
+   */
+  async compressResult(result) {
+    const variants = [];
+    result.transferSizes = { identity: result.optimizedSize };
+    
+    // 重复压缩时（如监听模式）先去掉上次生成的预压缩文件
+    const sources = result.outputs.filter(output => !/\.(gz|br)$/.test(output) ||
+      !result.outputs.includes(output.replace(/\.(gz|br)$/, '')));
+    
+    for (const [index, output] of sources.entries()) {
+      if (!this.precompressor.shouldCompress(output)) continue;
+      
+      const { sizes, outputs } = await this.precompressor.compressFile(path.join(this.options.outputDir, output));
+      variants.push(...outputs.map(variant => path.relative(this.options.outputDir, variant).split(path.sep).join('/')));
+      
+      // 传输大小以主输出文件为准
+      if (index === 0) {
+        result.transferSizes = sizes;
+      }
+    }
+    
+    result.outputs = [...sources, ...variants];
+    this.fileOutputs.set(result.file, result.outputs);
+    if (variants.length > 0 && !result.transforms.includes('precompress')) {
+      result.transforms = [...result.transforms, 'precompress'];
+    }
+    
+    return result;
+  }
+
+  /**
+   * 原样复制单个文件到输出目录
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {object} 处理结果
+   */
+  copyAsset(file) {
+    const inputPath = path.join(this.options.inputDir, file);
+    const outputPath = path.join(this.options.outputDir, file);
+    const startTime = Date.now();
+    
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    fs.copyFileSync(inputPath, outputPath);
+    this.fileOutputs.set(file, [file]);
+    
+    const size = getFileSize(outputPath);
+    return {
+      type: 'asset',
+      file,
+      originalSize: size,
+      optimizedSize: size,
+      duration: Date.now() - startTime,
+      outputs: [file],
+      transforms: ['copy'],
+      warnings: [],
+      cached: false
+    };
+  }
+
+  /**
+   * 按文件类型处理单个文件：可优化且已启用的类型进行优化，其余原样复制
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {Promise<object>} 处理结果
+   */
+  async processFile(file) {
+    // 输入的 source map 与生成的同名输出对应时，重新处理引用它的源文件
+    const owner = Array.from(this.fileOutputs.entries())
+      .find(([source, outputs]) => source !== file && outputs.includes(file));
+    if (owner) {
+      return await this.processFile(owner[0]);
+    }
+    
+    const type = this.getFileType(file);
+    const result = type && this.options[type]
+      ? await this.optimizeFile(type, file)
+      : this.copyAsset(file);
+    
+    if (this.addsResponsiveSrcset() && result.type === 'html') {
+      this.applyResponsiveSrcset(result);
+    }
+    
+    if (this.replacesGIFsWithVideo() && result.type === 'html') {
+      this.applyGIFVideos(result);
+    }
+    
+    if (this.getNextGenImageTargets().includes(result.type)) {
+      this.applyNextGenImages(result);
+    }
+    
+    if (this.imageAttributeOptions && this.options.html && result.type === 'html') {
+      this.applyImageAttributes(result);
+    }
+    
+    if (this.criticalOptions && result.type === 'html') {
+      this.applyCriticalCSS(result, this.createCriticalExtractor());
+    }
+    
+    if (this.precompressor) {
+      await this.compressResult(result);
+    }
+    
+    // 替换该文件之前的处理结果，使资源清单等汇总信息保持最新
+    this.results = this.results.filter(existing => existing.file !== file);
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * 获取优化时读取了某个文件的源文件（如 @import 了该样式表的文件）
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {Array} 相对于输入目录的源文件列表
+   */
+  getDependents(file) {
+    const filePath = path.resolve(this.options.inputDir, file);
+    return Array.from(this.fileDependencies.entries())
+      .filter(([source, dependencies]) => source !== file && dependencies.includes(filePath))
+      .map(([source]) => source);
+  }
+
+  /**
+   * 根据扩展名判断文件类型
+   * @param {string} file - 文件路径
+   * @returns {string|null} 文件类型（html/css/js/images），其他文件返回null
+   */
+  getFileType(file) {
+    const ext = path.extname(file).slice(1);
+    const entry = Object.entries(ASSET_EXTENSIONS).find(([, extensions]) => extensions.includes(ext));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 删除源文件对应的全部输出文件（包括WebP等衍生文件）
+   * @param {string} file - 相对于输入目录的文件或目录路径
+   * @returns {Array} 已删除的输出文件列表
+   */
+  removeOutputs(file) {
+    const removed = [];
+    const sources = Array.from(this.fileOutputs.keys())
+      .filter(source => source === file || source.startsWith(`${file}/`));
+    
+    if (sources.length === 0) {
+      sources.push(file);
+      this.fileOutputs.set(file, [file]);
+    }
+    
+    sources.forEach(source => {
+      this.fileOutputs.get(source).forEach(output => {
+        const outputPath = path.join(this.options.outputDir, output);
+        if (fs.existsSync(outputPath) && fs.statSync(outputPath).isFile()) {
+          fs.unlinkSync(outputPath);
+          removed.push(output);
+          this.removeEmptyDirs(path.dirname(outputPath));
+        }
+      });
+      this.fileOutputs.delete(source);
+      this.fileDependencies.delete(source);
+    });
+    this.results = this.results.filter(result => !sources.includes(result.file));
+    
+    return removed;
+  }
+
+  /**
+   * 自下而上删除输出目录中的空目录
+   * @param {string} dir - 起始目录
+   * @returns {void}
+   */
+  removeEmptyDirs(dir) {
+    const outputRoot = path.resolve(this.options.outputDir);
+    let current = path.resolve(dir);
+    
+    while (current.startsWith(outputRoot + path.sep) && fs.readdirSync(current).length === 0) {
+      fs.rmdirSync(current);
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * 查找输入目录中未被忽略的文件
+   * @param {string} pattern - 匹配模式
+   * @param {object} globOptions - 额外的glob选项
+   * @returns {Promise<Array>} 相对于输入目录的文件列表
+   */
+  async findFiles(pattern, globOptions = {}) {
+    return await this.discovery.find(pattern, globOptions);
+  }
+
   async copyDirectory(src, dest) {
     const entries = fs.readdirSync(src, { withFileTypes: true });
     
@@ -243,12 +1408,56 @@ class StaticPageOptimizer {
     }
   }
 
+  /**
+   * 生成本次运行的报告数据
+   * @returns {object} 报告
+   */
+  getReport() {
+    return buildReport(this.results, this.stats, this.options, this.budgetViolations);
+  }
+
+  /**
+   * 按配置的体积预算检查输出文件
+   * @returns {Array} 超出预算的项目列表
+   */
+  checkBudgets() {
+    const files = this.results.map(result => ({
+      path: result.file,
+      output: (result.outputs && result.outputs[0]) || result.file,
+      type: result.type,
+      size: result.optimizedSize
+    }));
+
+    return checkBudgets(this.options.budgets, files, this.options.outputDir);
+  }
+
+  /**
+   * 输出体积预算检查结果
+   * @returns {void}
+   */
+  showBudgetViolations() {
+    if (this.budgetViolations.length === 0) {
+      console.log(chalk.green('✓ 所有文件均在体积预算之内'));
+      return;
+    }
+
+    console.log(chalk.red.bold(`\n🚨 超出体积预算 (${this.budgetViolations.length} 项):`));
+    this.budgetViolations.forEach(violation => {
+      console.log(chalk.red(`  ✗ ${violation.message}`));
+    });
+  }
+
   updateStats(originalSize, optimizedSize) {
     this.stats.originalSize += originalSize;
     this.stats.optimizedSize += optimizedSize;
     this.stats.filesProcessed++;
   }
 
+  updateCopyStats(size) {
+    this.stats.copiedSize += size;
+    this.stats.filesCopied++;
+  }
+
   showResults() {
     const savedBytes = this.stats.originalSize - this.stats.optimizedSize;
     const savedPercentage = ((savedBytes / this.stats.originalSize) * 100).toFixed(2);
@@ -256,10 +1465,22 @@ class StaticPageOptimizer {
     console.log(chalk.blue.bold('\n📊 优化结果统计:'));
     console.log(chalk.gray('─'.repeat(50)));
     console.log(chalk.white(`处理文件数量: ${chalk.yellow(this.stats.filesProcessed)}`));
+    console.log(chalk.white(`原样复制文件: ${chalk.yellow(this.stats.filesCopied)} (${formatBytes(this.stats.copiedSize)})`));
+    if (this.cache.enabled) {
+      console.log(chalk.white(`缓存命中: ${chalk.yellow(this.stats.filesCached)}/${this.stats.filesProcessed}`));
+    }
     console.log(chalk.white(`原始文件大小: ${chalk.red(formatBytes(this.stats.originalSize))}`));
     console.log(chalk.white(`优化后大小: ${chalk.green(formatBytes(this.stats.optimizedSize))}`));
     console.log(chalk.white(`节省空间: ${chalk.cyan(formatBytes(savedBytes))} (${savedPercentage}%)`));
+    const transfer = this.precompressor && this.getReport().totals.transferSizes;
+    if (transfer) {
+      console.log(chalk.white(`传输大小: gzip ${chalk.green(formatBytes(transfer.gzip))} / brotli ${chalk.green(formatBytes(transfer.br))}`));
+    }
     console.log(chalk.white(`处理时间: ${chalk.magenta((this.stats.timeElapsed / 1000).toFixed(2))}s`));
+    const warningCount = this.results.reduce((count, result) => count + result.warnings.length, 0);
+    if (warningCount > 0) {
+      console.log(chalk.yellow(`警告: ${warningCount} 条（使用 --verbose 或 --report 查看详情）`));
+    }
     console.log(chalk.gray('─'.repeat(50)));
     
     if (savedBytes > 0) {
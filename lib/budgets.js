@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { formatBytes } = require('./utils');
+const { compilePattern } = require('./discovery');
+const { HTMLOptimizer } = require('./html-optimizer');
+const { isLocalReference, resolveReference } = require('./references');
+
+/**
+ * 大小单位对应的字节数
+ */
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024
+};
+
+/**
+ * 解析大小限制，支持字节数或 "300KB"、"1.5MB" 形式的字符串
+ * @param {number|string} value - 大小
+ * @returns {number} 字节数
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^\s*([\d.]+)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`无法解析的大小: ${value}`);
+  }
+
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * 体积预算检查器
+ * 预算配置示例：
+ * {
+ *   "maxTotal": "2MB",
+ *   "maxPageWeight": "500KB",
+ *   "types": { "js": { "maxTotal": "300KB", "maxFile": "100KB" }, "images": { "maxFile": "200KB" } },
+ *   "rules": [{ "pattern": "img/hero/**", "maxFile": "150KB" }]
+ * }
+ */
+class BudgetChecker {
+  constructor(budgets = {}) {
+    this.budgets = budgets;
+    this.htmlOptimizer = new HTMLOptimizer();
+  }
+
+  /**
+   * 检查文件列表是否超出预算
+   * @param {Array} files - 文件列表 [{ path, output, type, size }]，output 为在 rootDir 中的路径
+   * @param {string} rootDir - 用于读取HTML内容的目录
+   * @returns {Array} 超出预算的项目列表
+   */
+  check(files, rootDir) {
+    const violations = [];
+    const { maxTotal, maxPageWeight, types = {}, rules = [] } = this.budgets;
+
+    if (maxTotal !== undefined) {
+      this.checkTotal(violations, '全部文件', files, parseSize(maxTotal));
+    }
+
+    Object.entries(types).forEach(([type, limits]) => {
+      const typeFiles = files.filter(file => file.type === type);
+      this.checkLimits(violations, `${type} 类型`, typeFiles, limits);
+    });
+
+    rules.forEach(rule => {
+      const matcher = compilePattern(rule.pattern, { anchored: true });
+      const ruleFiles = matcher ? files.filter(file => matcher.regex.test(file.path)) : [];
+      this.checkLimits(violations, `规则 "${rule.pattern}"`, ruleFiles, rule);
+    });
+
+    if (maxPageWeight !== undefined) {
+      const limit = parseSize(maxPageWeight);
+      this.getPageWeights(files, rootDir).forEach(page => {
+        if (page.size > limit) {
+          violations.push({
+            budget: 'maxPageWeight',
+            path: page.path,
+            actual: page.size,
+            limit,
+            message: `页面 ${page.path} 总大小 ${formatBytes(page.size)}（含 ${page.assets.length} 个引用资源）超出预算 ${formatBytes(limit)}`
+          });
+        }
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * 检查一组文件的总大小和单文件大小限制
+   * @param {Array} violations - 收集超出项的数组
+   * @param {string} scope - 检查范围描述
+   * @param {Array} files - 文件列表
+   * @param {object} limits - { maxTotal, maxFile }
+   * @returns {void}
+   */
+  checkLimits(violations, scope, files, limits = {}) {
+    if (limits.maxTotal !== undefined) {
+      this.checkTotal(violations, scope, files, parseSize(limits.maxTotal));
+    }
+
+    if (limits.maxFile !== undefined) {
+      const limit = parseSize(limits.maxFile);
+      files.filter(file => file.size > limit).forEach(file => {
+        violations.push({
+          budget: 'maxFile',
+          scope,
+          path: file.path,
+          actual: file.size,
+          limit,
+          message: `${scope}: ${file.path} 大小 ${formatBytes(file.size)} 超出单文件预算 ${formatBytes(limit)}`
+        });
+      });
+    }
+  }
+
+  /**
+   * 检查一组文件的总大小
+   * @param {Array} violations - 收集超出项的数组
+   * @param {string} scope - 检查范围描述
+   * @param {Array} files - 文件列表
+   * @param {number} limit - 总大小上限
+   * @returns {void}
+   */
+  checkTotal(violations, scope, files, limit) {
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    if (total > limit) {
+      violations.push({
+        budget: 'maxTotal',
+        scope,
+        actual: total,
+        limit,
+        message: `${scope}: 总大小 ${formatBytes(total)} 超出预算 ${formatBytes(limit)}`
+      });
+    }
+  }
+
+  /**
+   * 计算每个HTML页面及其引用的本地CSS、JS、图片的总大小
+   * @param {Array} files - 文件列表
+   * @param {string} rootDir - 用于读取HTML内容的目录
+   * @returns {Array} [{ path, size, assets }]
+   */
+  getPageWeights(files, rootDir) {
+    const sizes = new Map(files.map(file => [file.output || file.path, file.size]));
+
+    return files.filter(file => file.type === 'html').map(file => {
+      const htmlPath = file.output || file.path;
+      const content = fs.readFileSync(path.join(rootDir, htmlPath), 'utf8');
+      const references = [
+        ...this.htmlOptimizer.extractStyles(content).filter(style => !style.inline).map(style => style.href),
+        ...this.htmlOptimizer.extractScripts(content).filter(script => !script.inline).map(script => script.src),
+        ...this.htmlOptimizer.extractImages(content).map(image => image.src)
+      ].filter(isLocalReference);
+
+      const assets = Array.from(new Set(references.map(url => resolveReference(htmlPath, url))))
+        .filter(asset => sizes.has(asset));
+      const size = assets.reduce((sum, asset) => sum + sizes.get(asset), file.size);
+
+      return { path: file.path, size, assets };
+    });
+  }
+}
+
+/**
+ * 检查体积预算的主函数
+ * @param {object} budgets - 预算配置
+ * @param {Array} files - 文件列表
+ * @param {string} rootDir - 用于读取HTML内容的目录
+ * @returns {Array} 超出预算的项目列表
+ */
+function checkBudgets(budgets, files, rootDir) {
+  const checker = new BudgetChecker(budgets);
+  return checker.check(files, rootDir);
+}
+
+module.exports = {
+  BudgetChecker,
+  checkBudgets,
+  parseSize
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HTMLOptimizer, getNoscriptRanges, getScriptType, JS_SCRIPT_TYPES } = require('./html-optimizer');
+const {
+  isLocalReference,
+  resolveReference,
+  rebaseReference,
+  rewriteCSSReferences,
+  rewriteHTMLReferences,
+  getReferenceRewriter,
+  findUnreferencedFiles
+} = require('./references');
+
+/**
+ * 资源合并的默认选项
+ */
+const DEFAULT_BUNDLE_OPTIONS = {
+  dir: 'bundles'
+};
+
+/**
+ * 可以合并的样式表 <link> 只能带有这些属性
+ */
+const STYLE_ATTRIBUTES = ['rel', 'href', 'media', 'type'];
+
+/**
+ * 可以合并的 <script> 只能带有这些属性
+ */
+const SCRIPT_ATTRIBUTES = ['src', 'type', 'defer', 'charset'];
+
+/**
+ * 同步脚本之间只允许出现的内容，否则合并后脚本的执行位置会改变
+ */
+const SCRIPT_GAP_REGEX = /^(?:\s|<!--[\s\S]*?-->|<link\b[^>]*>|<meta\b[^>]*>)*$/i;
+
+/**
+ * 将 bundle 配置规范化为完整选项
+ * @param {boolean|object} value - bundle 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveBundleOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  return { ...DEFAULT_BUNDLE_OPTIONS, ...rest };
+}
+
+/**
+ * 样式表和脚本合并器
+ * 把每个页面中连续引用的本地样式表和传统脚本按顺序拼接为一个文件，并改写页面中的引用。
+ * 成员相同的合并文件在页面之间共用。
+ */
+class AssetBundler {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './dist';
+    this.dir = options.dir || DEFAULT_BUNDLE_OPTIONS.dir;
+    this.htmlOptimizer = new HTMLOptimizer();
+    // 合并文件到其成员列表的映射
+    this.bundles = new Map();
+  }
+
+  /**
+   * 合并全部页面引用的样式表和脚本
+   * @param {Array} outputs - 相对于输出目录的输出文件列表
+   * @returns {Map} 被修改的页面到其引用的合并文件列表的映射
+   */
+  run(outputs) {
+    const available = new Set(outputs);
+    const modified = new Map();
+
+    outputs.filter(file => getReferenceRewriter(file) === rewriteHTMLReferences).forEach(file => {
+      const bundles = this.processPage(file, available);
+      if (bundles.length > 0) {
+        modified.set(file, bundles);
+      }
+    });
+
+    return modified;
+  }
+
+  /**
+   * 合并单个页面中连续引用的样式表和脚本
+   * @param {string} file - 相对于输出目录的HTML文件路径
+   * @param {Set} available - 可以合并的输出文件
+   * @returns {Array} 页面引用的合并文件列表
+   */
+  processPage(file, available) {
+    const content = this.read(file);
+    const noscripts = getNoscriptRanges(content);
+    const elements = [
+      ...this.htmlOptimizer.extractStyles(content).map(element => ({ ...element, kind: 'css' })),
+      ...this.htmlOptimizer.extractScripts(content).map(element => ({ ...element, kind: 'js' }))
+    ]
+      .filter(({ index }) => !noscripts.some(([start, end]) => index >= start && index < end))
+      .sort((a, b) => a.index - b.index);
+
+    // 内联样式、不能合并的样式表或脚本会中断当前分组，保证层叠顺序和执行顺序不变
+    const groups = [];
+    const current = { css: null, js: null };
+    elements.forEach(element => {
+      const target = this.getMember(file, element, available);
+      const key = target && this.getGroupKey(element);
+      const group = current[element.kind];
+
+      if (!target) {
+        current[element.kind] = null;
+      } else if (group && group.key === key && this.canFollow(content, group, element)) {
+        group.members.push({ element, target });
+      } else {
+        current[element.kind] = { kind: element.kind, key, members: [{ element, target }] };
+        groups.push(current[element.kind]);
+      }
+    });
+
+    const replacements = [];
+    const bundles = [];
+    groups.filter(group => group.members.length > 1).forEach(group => {
+      const bundle = this.getBundle(group.kind, group.members.map(member => member.target));
+      const href = path.posix.relative(path.posix.dirname(file), bundle);
+      const tags = group.members.map(member => member.element);
+      // 样式表和延迟脚本放在第一个成员的位置，同步脚本放在最后一个成员的位置
+      const anchor = group.key === 'sync' ? tags[tags.length - 1] : tags[0];
+
+      tags.forEach(element => {
+        replacements.push({ ...element, html: element === anchor ? this.createTag(group, href) : '' });
+      });
+      bundles.push(bundle);
+    });
+
+    let updated = content;
+    replacements.sort((a, b) => b.index - a.index).forEach(({ index, tag, html }) => {
+      updated = updated.slice(0, index) + html + updated.slice(index + tag.length);
+    });
+
+    if (updated !== content) {
+      this.write(file, updated);
+    }
+    return Array.from(new Set(bundles));
+  }
+
+  /**
+   * 获取可以合并的样式表或脚本
+   * @param {string} file - 页面的相对路径
+   * @param {object} element - extractStyles/extractScripts 返回的元素
+   * @param {Set} available - 可以合并的输出文件
+   * @returns {string|null} 相对于输出目录的路径，不能合并时返回null
+   */
+  getMember(file, element, available) {
+    const { attributes } = element;
+    const url = element.kind === 'css' ? element.href : element.src;
+    const allowed = element.kind === 'css' ? STYLE_ATTRIBUTES : SCRIPT_ATTRIBUTES;
+
+    if (element.inline || !isLocalReference(url) || Object.keys(attributes).some(name => !allowed.includes(name))) {
+      return null;
+    }
+    if (element.kind === 'css' && (attributes.rel || '').trim().toLowerCase() !== 'stylesheet') {
+      return null;
+    }
+    if (element.kind === 'js' && !JS_SCRIPT_TYPES.includes(getScriptType(attributes))) {
+      return null;
+    }
+
+    const target = resolveReference(file, url);
+    const extension = element.kind === 'css' ? '.css' : '.js';
+    if (!available.has(target) || path.extname(target).toLowerCase() !== extension) {
+      return null;
+    }
+
+    // @import 只能出现在样式表开头；严格模式指令拼接后会作用于其后的全部脚本
+    const content = this.read(target);
+    if (element.kind === 'css' ? /@import\b/i.test(content) : /^\s*(['"])use strict\1/.test(content)) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * 获取元素的分组键：样式表按 media 分组，脚本按是否延迟执行分组
+   * @param {object} element - 样式表或脚本元素
+   * @returns {string} 分组键
+   */
+  getGroupKey(element) {
+    if (element.kind === 'css') {
+      return (element.attributes.media || '').trim();
+    }
+    return element.attributes.defer !== undefined ? 'defer' : 'sync';
+  }
+
+  /**
+   * 判断元素能否加入当前分组
+   * @param {string} content - HTML内容
+   * @param {object} group - 当前分组
+   * @param {object} element - 样式表或脚本元素
+   * @returns {boolean} 能否加入
+   */
+  canFollow(content, group, element) {
+    if (group.key !== 'sync') {
+      return true;
+    }
+    const previous = group.members[group.members.length - 1].element;
+    return SCRIPT_GAP_REGEX.test(content.slice(previous.index + previous.tag.length, element.index));
+  }
+
+  /**
+   * 生成引用合并文件的标签
+   * @param {object} group - 分组
+   * @param {string} href - 合并文件相对于页面的地址
+   * @returns {string} HTML标签
+   */
+  createTag(group, href) {
+    if (group.kind === 'css') {
+      const media = group.key ? ` media="${group.key.replace(/"/g, '&quot;')}"` : '';
+      return `<link rel="stylesheet" href="${href}"${media}>`;
+    }
+    return `<script src="${href}"${group.key === 'defer' ? ' defer' : ''}></script>`;
+  }
+
+  /**
+   * 获取成员列表对应的合并文件，不存在时生成
+   * @param {string} kind - css 或 js
+   * @param {Array} members - 按顺序排列的成员文件
+   * @returns {string} 相对于输出目录的合并文件路径
+   */
+  getBundle(kind, members) {
+    const hash = crypto.createHash('sha256').update(members.join('\n')).digest('hex').slice(0, 8);
+    const bundle = path.posix.join(this.dir, `bundle-${hash}.${kind}`);
+
+    if (!this.bundles.has(bundle)) {
+      const contents = members.map(member => {
+        // 各成员的 source map 注释在合并后不再对应
+        const content = this.read(member).replace(/\n?\/[/*]# sourceMappingURL=[^\n]*$/gm, '');
+        if (kind === 'js') {
+          return content;
+        }
+        return rewriteCSSReferences(content.replace(/@charset\s+("[^"]*"|'[^']*')\s*;/gi, ''),
+          url => rebaseReference(url, member, bundle));
+      });
+
+      // 脚本之间用换行和分号分隔，避免上一个文件末尾的表达式或行注释影响下一个文件
+      const bundlePath = path.join(this.outputDir, bundle);
+      fs.mkdirSync(path.dirname(bundlePath), { recursive: true });
+      fs.writeFileSync(bundlePath, contents.join(kind === 'js' ? '\n;' : '\n'));
+      this.bundles.set(bundle, members);
+    }
+    return bundle;
+  }
+
+  /**
+   * 找出合并后不再被任何HTML、CSS或JS引用的成员文件
+   * @param {Array} outputs - 相对于输出目录的输出文件列表（包括合并文件）
+   * @returns {Array} 可以删除的文件列表
+   */
+  findUnreferenced(outputs) {
+    const members = new Set(Array.from(this.bundles.values()).flat());
+    const texts = outputs
+      .filter(file => getReferenceRewriter(file))
+      .map(file => ({ file, content: this.read(file) }));
+
+    return findUnreferencedFiles(Array.from(members), texts);
+  }
+
+  /**
+   * 读取输出文件
+   * @param {string} file - 相对于输出目录的路径
+   * @returns {string} 文件内容
+   */
+  read(file) {
+    return fs.readFileSync(path.join(this.outputDir, file), 'utf8');
+  }
+
+  /**
+   * 写入输出文件
+   * @param {string} file - 相对于输出目录的路径
+   * @param {string} content - 文件内容
+   * @returns {void}
+   */
+  write(file, content) {
+    fs.writeFileSync(path.join(this.outputDir, file), content);
+  }
+}
+
+module.exports = {
+  AssetBundler,
+  resolveBundleOptions,
+  DEFAULT_BUNDLE_OPTIONS
+};
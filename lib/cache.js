@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getFileHash, ensureDir } = require('./utils');
+const { version } = require('../package.json');
+
+/**
+ * 默认缓存目录
+ */
+const DEFAULT_CACHE_DIR = '.optimizer-cache';
+
+/**
+ * 生成键名有序的JSON字符串，保证相同配置得到相同的缓存键
+ * @param {*} value - 任意值
+ * @returns {string} 序列化结果
+ */
+function stableStringify(value) {
+  if (value instanceof RegExp) {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  if (typeof value === 'function') {
+    return JSON.stringify(value.toString());
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 同步计算文件内容的哈希
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} 哈希值，文件不存在时返回null
+ */
+function hashFileSync(filePath) {
+  try {
+    return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 优化结果缓存
+ * 以 输入内容哈希 + 文件路径 + 生效的优化选项 + 工具版本 作为缓存键，
+ * 每个缓存项保存该文件的全部输出（包括WebP等衍生文件），命中时直接复制到输出目录。
+ * 优化时读取的其他文件（@import 的样式表、输入的 .map 文件）连同内容哈希记录在缓存项中，
+ * 其中任一文件变化或被删除时视为未命中。
+ */
+class OptimizerCache {
+  constructor(options = {}) {
+    this.cacheDir = path.resolve(options.cacheDir || DEFAULT_CACHE_DIR);
+    this.enabled = options.enabled !== false;
+    this.version = options.version || version;
+  }
+
+  /**
+   * 计算缓存键
+   * @param {string} file - 相对于输入目录的路径
+   * @param {string} inputPath - 输入文件路径
+   * @param {object} effectiveOptions - 影响该文件输出的选项
+   * @returns {Promise<string>} 缓存键
+   */
+  async getKey(file, inputPath, effectiveOptions = {}) {
+    const contentHash = await getFileHash(inputPath);
+    return crypto.createHash('sha256')
+      .update(this.version)
+      .update('\0')
+      .update(file.split(path.sep).join('/'))
+      .update('\0')
+      .update(contentHash)
+      .update('\0')
+      .update(stableStringify(effectiveOptions))
+      .digest('hex');
+  }
+
+  /**
+   * 获取缓存项所在目录
+   * @param {string} key - 缓存键
+   * @returns {string} 目录路径
+   */
+  getEntryDir(key) {
+    return path.join(this.cacheDir, key.slice(0, 2), key);
+  }
+
+  /**
+   * 从缓存恢复输出文件
+   * @param {string} key - 缓存键
+   * @param {string} outputDir - 输出目录
+   * @returns {object|null} 缓存的元数据，未命中时返回null
+   */
+  restore(key, outputDir) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entryDir = this.getEntryDir(key);
+    const metaPath = path.join(entryDir, 'meta.json');
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      if (!this.isFresh(meta)) {
+        return null;
+      }
+
+      meta.outputs.forEach((output, index) => {
+        const destPath = path.join(outputDir, output);
+        ensureDir(path.dirname(destPath));
+        fs.copyFileSync(path.join(entryDir, String(index)), destPath);
+      });
+
+      return meta;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 判断缓存项记录的依赖文件是否都未变化
+   * @param {object} meta - 缓存的元数据
+   * @returns {boolean} 是否可以使用
+   */
+  isFresh(meta) {
+    return (meta.dependencies || []).every(dependency => hashFileSync(dependency.file) === dependency.hash);
+  }
+
+  /**
+   * 保存输出文件到缓存
+   * @param {string} key - 缓存键
+   * @param {string} outputDir - 输出目录
+   * @param {Array} outputs - 相对于输出目录的输出文件列表
+   * @param {object} extra - 额外保存的元数据，其中 dependencies 为优化时读取的其他文件的绝对路径
+   * @returns {void}
+   */
+  store(key, outputDir, outputs, extra = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const entryDir = this.getEntryDir(key);
+    const { dependencies = [], ...meta } = extra;
+    const tempDir = `${entryDir}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+      ensureDir(tempDir);
+      outputs.forEach((output, index) => {
+        fs.copyFileSync(path.join(outputDir, output), path.join(tempDir, String(index)));
+      });
+      fs.writeFileSync(path.join(tempDir, 'meta.json'), JSON.stringify({
+        ...meta,
+        dependencies: dependencies.map(file => ({ file, hash: hashFileSync(file) })),
+        version: this.version,
+        outputs: outputs.map(output => output.split(path.sep).join('/'))
+      }));
+
+      // 先写入临时目录再重命名，避免并发任务或中断留下不完整的缓存项
+      fs.rmSync(entryDir, { recursive: true, force: true });
+      fs.renameSync(tempDir, entryDir);
+    } catch (error) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      console.warn(`写入缓存失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 清空缓存目录
+   * @returns {object} { files, size } 清理的文件数量和大小
+   */
+  clean() {
+    const removed = { files: 0, size: 0 };
+
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else {
+          removed.files++;
+          removed.size += fs.statSync(entryPath).size;
+        }
+      });
+    };
+
+    if (fs.existsSync(this.cacheDir)) {
+      walk(this.cacheDir);
+      fs.rmSync(this.cacheDir, { recursive: true, force: true });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = {
+  OptimizerCache,
+  DEFAULT_CACHE_DIR,
+  stableStringify
+};
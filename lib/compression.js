@@ -0,0 +1,126 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+/**
+ * 预压缩的默认选项
+ */
+const DEFAULT_COMPRESSION_OPTIONS = {
+  gzip: true,
+  brotli: true,
+  threshold: 1024,
+  gzipLevel: 9,
+  brotliLevel: 11,
+  extensions: ['html', 'htm', 'css', 'js', 'mjs', 'json', 'map', 'svg', 'xml', 'txt', 'webmanifest']
+};
+
+/**
+ * 支持的编码及其预压缩文件扩展名，键名与 HTTP Content-Encoding 一致
+ */
+const ENCODINGS = {
+  gzip: { option: 'gzip', extension: '.gz' },
+  br: { option: 'brotli', extension: '.br' }
+};
+
+/**
+ * 将 compression 配置（true、false 或对象）规范化为完整选项
+ * @param {boolean|object} value - compression 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveCompressionOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  return { ...DEFAULT_COMPRESSION_OPTIONS, ...rest };
+}
+
+/**
+ * 预压缩器
+ * 为超过大小阈值的文本资源生成 .gz 和 .br 同名文件，压缩后没有变小的编码不会生成。
+ */
+class Precompressor {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_COMPRESSION_OPTIONS, ...options };
+    this.extensions = new Set(this.options.extensions.map(ext => ext.replace(/^\./, '').toLowerCase()));
+  }
+
+  /**
+   * 判断文件是否需要预压缩
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} 是否需要预压缩
+   */
+  shouldCompress(filePath) {
+    const ext = filePath.split('.').pop().toLowerCase();
+    return filePath.includes('.') && this.extensions.has(ext);
+  }
+
+  /**
+   * 使用指定编码压缩内容
+   * @param {Buffer} content - 原始内容
+   * @param {string} encoding - 编码（gzip/br）
+   * @returns {Promise<Buffer>} 压缩后的内容
+   */
+  async encode(content, encoding) {
+    if (encoding === 'gzip') {
+      return await gzip(content, { level: this.options.gzipLevel });
+    }
+
+    return await brotliCompress(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: this.options.brotliLevel,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT
+      }
+    });
+  }
+
+  /**
+   * 为单个文件生成预压缩文件
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<object>} { sizes: { identity, gzip, br }, outputs }，未生成的编码不出现在 sizes 中
+   */
+  async compressFile(filePath) {
+    const content = fs.readFileSync(filePath);
+    const sizes = { identity: content.length };
+    const outputs = [];
+
+    for (const [encoding, { option, extension }] of Object.entries(ENCODINGS)) {
+      const variantPath = filePath + extension;
+      let compressed = null;
+
+      if (this.options[option] && content.length >= this.options.threshold) {
+        compressed = await this.encode(content, encoding);
+      }
+
+      // 压缩后没有变小的编码不生成，并清理上次运行留下的旧文件
+      if (!compressed || compressed.length >= content.length) {
+        if (fs.existsSync(variantPath)) {
+          fs.unlinkSync(variantPath);
+        }
+        continue;
+      }
+
+      fs.writeFileSync(variantPath, compressed);
+      sizes[encoding] = compressed.length;
+      outputs.push(variantPath);
+    }
+
+    return { sizes, outputs };
+  }
+}
+
+module.exports = {
+  Precompressor,
+  resolveCompressionOptions,
+  DEFAULT_COMPRESSION_OPTIONS,
+  ENCODINGS
+};
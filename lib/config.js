@@ -0,0 +1,550 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSize } = require('./budgets');
+const { SRI_ALGORITHMS } = require('./sri');
+
+/**
+ * 检查预算中的大小能否解析
+ * @param {number|string} value - 大小
+ * @returns {string|null} 错误说明，合法时返回null
+ */
+function checkSize(value) {
+  try {
+    return parseSize(value) >= 0 ? null : '大小不能为负数';
+  } catch (error) {
+    return `${error.message}，应为字节数或 "300KB"、"1.5MB" 形式的字符串`;
+  }
+}
+
+/**
+ * 检查 images.avif.speed 是否为 0-9 的整数
+ * @param {number} value - 编码速度
+ * @returns {string|null} 错误说明，合法时返回null
+ */
+function checkAVIFSpeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 9 ? null : '应为 0-9 的整数';
+}
+
+/**
+ * 检查 sri.algorithm 是否为浏览器支持的摘要算法
+ * @param {string} value - 算法名称
+ * @returns {string|null} 错误说明，合法时返回null
+ */
+function checkSRIAlgorithm(value) {
+  return SRI_ALGORITHMS.includes(value) ? null : `应为 ${SRI_ALGORITHMS.join('、')} 之一`;
+}
+
+/**
+ * 预算中的大小限制
+ */
+const SIZE_RULE = { type: ['number', 'string'], validate: checkSize };
+
+/**
+ * 预算中一组文件的总大小和单文件大小限制
+ */
+const LIMIT_KEYS = {
+  maxTotal: SIZE_RULE,
+  maxFile: SIZE_RULE
+};
+
+/**
+ * 配置文件结构定义
+ * 每一项可以是类型字符串、类型数组，或 { type, keys, required, items, validate } 形式的定义：
+ * keys 校验对象的键名，required 列出对象必须包含的键，items 校验数组的每一项，
+ * validate 对通过类型检查的值做进一步检查并返回错误说明。
+ * 未声明 keys 的对象视为开放对象，不校验其内部键名。
+ */
+const CONFIG_SCHEMA = {
+  inputDir: 'string',
+  outputDir: 'string',
+  include: 'array',
+  exclude: 'array',
+  ignore: 'array',
+  concurrency: 'number',
+  cache: 'boolean',
+  cacheDir: 'string',
+  report: 'string',
+  reportHtml: 'string',
+  backup: 'boolean',
+  verbose: 'boolean',
+  hash: 'boolean',
+  inlineThreshold: 'number',
+  sourceMaps: ['boolean', 'string'],
+  manifest: ['boolean', 'string'],
+  sri: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      algorithm: { type: 'string', validate: checkSRIAlgorithm },
+      crossorigin: 'string',
+      lockfile: 'string',
+      verifyRemote: 'boolean',
+      updateLockfile: 'boolean',
+      timeout: 'number'
+    }
+  },
+  imageAttributes: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      dimensions: 'boolean',
+      lazy: 'boolean',
+      eagerCount: 'number'
+    }
+  },
+  critical: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      maxSize: 'number'
+    }
+  },
+  bundle: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      dir: 'string'
+    }
+  },
+  purgeCss: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      safelist: 'array',
+      safelistPatterns: 'array',
+      safelistFiles: 'array',
+      content: 'array',
+      dynamicPrefixes: 'boolean'
+    }
+  },
+  compression: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      gzip: 'boolean',
+      brotli: 'boolean',
+      threshold: 'number',
+      gzipLevel: 'number',
+      brotliLevel: 'number',
+      extensions: 'array'
+    }
+  },
+  budgets: {
+    type: 'object',
+    keys: {
+      maxTotal: SIZE_RULE,
+      maxPageWeight: SIZE_RULE,
+      types: {
+        type: 'object',
+        keys: {
+          html: { type: 'object', keys: LIMIT_KEYS },
+          css: { type: 'object', keys: LIMIT_KEYS },
+          js: { type: 'object', keys: LIMIT_KEYS },
+          images: { type: 'object', keys: LIMIT_KEYS },
+          asset: { type: 'object', keys: LIMIT_KEYS }
+        }
+      },
+      rules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          keys: { pattern: 'string', ...LIMIT_KEYS },
+          required: ['pattern']
+        }
+      }
+    }
+  },
+  html: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      caseSensitive: 'boolean',
+      collapseBooleanAttributes: 'boolean',
+      collapseInlineTagWhitespace: 'boolean',
+      collapseWhitespace: 'boolean',
+      conservativeCollapse: 'boolean',
+      continueOnParseError: 'boolean',
+      customAttrAssign: 'array',
+      customAttrCollapse: 'regex',
+      customAttrSurround: 'array',
+      customEventAttributes: 'array',
+      decodeEntities: 'boolean',
+      html5: 'boolean',
+      ignoreCustomComments: 'array',
+      ignoreCustomFragments: 'array',
+      includeAutoGeneratedTags: 'boolean',
+      keepClosingSlash: 'boolean',
+      lint: 'boolean',
+      maxLineLength: 'number',
+      minifyCSS: ['boolean', 'object'],
+      minifyJS: ['boolean', 'object'],
+      minifyURLs: ['boolean', 'string', 'object'],
+      noNewlinesBeforeTagClose: 'boolean',
+      preserveLineBreaks: 'boolean',
+      preventAttributesEscaping: 'boolean',
+      processConditionalComments: 'boolean',
+      processScripts: 'array',
+      quoteCharacter: 'string',
+      removeAttributeQuotes: 'boolean',
+      removeCDATASectionsFromCDATA: 'boolean',
+      removeComments: 'boolean',
+      removeCommentsFromCDATA: 'boolean',
+      removeEmptyAttributes: 'boolean',
+      removeEmptyElements: 'boolean',
+      removeHTMLComments: 'boolean',
+      removeIntertagSpaces: 'boolean',
+      removeOptionalTags: 'boolean',
+      removeRedundantAttributes: 'boolean',
+      removeScriptTypeAttributes: 'boolean',
+      removeStyleLinkTypeAttributes: 'boolean',
+      removeTagWhitespace: 'boolean',
+      removeUnusedCss: 'boolean',
+      removeUnusedJs: 'boolean',
+      removeXMLProcInst: 'boolean',
+      sortAttributes: 'boolean',
+      sortClassName: 'boolean',
+      trimCustomFragments: 'boolean',
+      useShortDoctype: 'boolean'
+    }
+  },
+  css: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      batch: 'boolean',
+      compatibility: ['string', 'object'],
+      format: ['boolean', 'string', 'object'],
+      inline: ['boolean', 'string', 'array'],
+      inlineRequest: 'object',
+      inlineTimeout: 'number',
+      level: ['number', 'object'],
+      rebase: 'boolean',
+      rebaseTo: 'string',
+      returnPromise: 'boolean',
+      sourceMap: 'boolean',
+      sourceMapInlineSources: 'boolean'
+    }
+  },
+  js: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      compress: ['boolean', 'object'],
+      mangle: {
+        type: ['boolean', 'object'],
+        keys: {
+          eval: 'boolean',
+          keep_classnames: ['boolean', 'regex'],
+          keep_fnames: ['boolean', 'regex'],
+          module: 'boolean',
+          reserved: 'array',
+          safari10: 'boolean',
+          toplevel: 'boolean',
+          properties: {
+            type: ['boolean', 'object'],
+            keys: {
+              builtins: 'boolean',
+              debug: ['boolean', 'string'],
+              keep_quoted: ['boolean', 'string'],
+              regex: 'regex',
+              reserved: 'array',
+              undeclared: 'boolean'
+            }
+          }
+        }
+      },
+      format: 'object',
+      output: 'object',
+      parse: 'object',
+      ecma: 'number',
+      enclose: ['boolean', 'string'],
+      ie8: 'boolean',
+      keep_classnames: ['boolean', 'regex'],
+      keep_fnames: ['boolean', 'regex'],
+      module: 'boolean',
+      nameCache: ['object', 'null'],
+      safari10: 'boolean',
+      sourceMap: ['boolean', 'object'],
+      toplevel: 'boolean',
+      warnings: ['boolean', 'string']
+    }
+  },
+  images: {
+    type: ['boolean', 'object'],
+    keys: {
+      enabled: 'boolean',
+      jpeg: 'object',
+      png: 'object',
+      svg: 'object',
+      webp: 'object',
+      avif: {
+        type: 'object',
+        keys: {
+          quality: 'number',
+          effort: 'number',
+          speed: { type: 'number', validate: checkAVIFSpeed },
+          chromaSubsampling: 'string',
+          lossless: 'boolean'
+        }
+      },
+      gif: {
+        type: 'object',
+        keys: {
+          optimizationLevel: 'number',
+          colors: 'number',
+          lossy: 'number',
+          interlaced: 'boolean'
+        }
+      },
+      animatedGif: {
+        type: 'object',
+        keys: {
+          webp: 'boolean',
+          webpQuality: 'number',
+          video: ['boolean', 'string', 'array'],
+          mp4Crf: 'number',
+          webmCrf: 'number',
+          replaceInHtml: 'boolean'
+        }
+      },
+      generateWebP: 'boolean',
+      generateAVIF: 'boolean',
+      picture: 'boolean',
+      imageSet: 'boolean',
+      responsive: {
+        type: ['boolean', 'object'],
+        keys: {
+          enabled: 'boolean',
+          widths: 'array',
+          sizes: 'string'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 配置分节与各优化器读取的选项字段之间的映射
+ */
+const SECTION_OPTION_KEYS = {
+  html: 'htmlOptions',
+  css: 'cssOptions',
+  js: 'jsOptions',
+  images: 'imageOptions'
+};
+
+/**
+ * 获取值的配置类型名称
+ * @param {*} value - 配置值
+ * @returns {string} 类型名称
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof RegExp) return 'regex';
+  return typeof value;
+}
+
+/**
+ * 计算两个字符串的编辑距离，用于提示拼写错误的配置项
+ * @param {string} a - 字符串A
+ * @param {string} b - 字符串B
+ * @returns {number} 编辑距离
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const dist = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+  for (let j = 1; j < cols; j++) dist[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      dist[i][j] = Math.min(dist[i - 1][j] + 1, dist[i][j - 1] + 1, dist[i - 1][j - 1] + cost);
+    }
+  }
+
+  return dist[rows - 1][cols - 1];
+}
+
+/**
+ * 在已知键名中查找最接近的候选项
+ * @param {string} key - 未知键名
+ * @param {Array} candidates - 已知键名列表
+ * @returns {string|null} 最接近的键名
+ */
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * 按结构定义校验单个配置值，并返回规范化后的值
+ * @param {*} value - 配置值
+ * @param {string|Array|object} rule - 结构定义
+ * @param {string} keyPath - 配置项路径
+ * @param {object} result - 收集错误与警告的结果对象
+ * @returns {*} 规范化后的值
+ */
+function validateValue(value, rule, keyPath, result) {
+  const spec = typeof rule === 'object' && !Array.isArray(rule) ? rule : { type: rule };
+  const allowed = [].concat(spec.type);
+  const actual = typeOf(value);
+
+  // 正则表达式在JSON中以字符串形式书写
+  if (allowed.includes('regex') && actual === 'string') {
+    try {
+      return new RegExp(value);
+    } catch (error) {
+      result.errors.push(`${result.source}: 配置项 "${keyPath}" 不是合法的正则表达式: ${error.message}`);
+      return value;
+    }
+  }
+
+  if (!allowed.includes(actual)) {
+    result.errors.push(`${result.source}: 配置项 "${keyPath}" 应为 ${allowed.join(' | ')} 类型，实际为 ${actual}`);
+    return value;
+  }
+
+  if (spec.validate) {
+    const error = spec.validate(value);
+    if (error) {
+      result.errors.push(`${result.source}: 配置项 "${keyPath}" 无效: ${error}`);
+      return value;
+    }
+  }
+
+  if (actual === 'object' && spec.required) {
+    spec.required.filter(key => value[key] === undefined).forEach(key => {
+      result.errors.push(`${result.source}: 配置项 "${keyPath}" 缺少必填的 "${key}"`);
+    });
+  }
+
+  if (actual === 'object' && spec.keys) {
+    return validateObject(value, spec.keys, keyPath, result);
+  }
+
+  if (actual === 'array' && spec.items) {
+    return value.map((item, index) => validateValue(item, spec.items, `${keyPath}[${index}]`, result));
+  }
+
+  return value;
+}
+
+/**
+ * 按结构定义校验对象的所有键
+ * @param {object} obj - 配置对象
+ * @param {object} keys - 键名到结构定义的映射
+ * @param {string} prefix - 配置项路径前缀
+ * @param {object} result - 收集错误与警告的结果对象
+ * @returns {object} 规范化后的对象
+ */
+function validateObject(obj, keys, prefix, result) {
+  const normalized = {};
+  const knownKeys = Object.keys(keys);
+
+  for (const key of Object.keys(obj)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (!keys.hasOwnProperty(key)) {
+      const suggestion = suggestKey(key, knownKeys);
+      const hint = suggestion ? `，是否应为 "${prefix ? `${prefix}.${suggestion}` : suggestion}"？` : '';
+      result.warnings.push(`${result.source}: 未知配置项 "${keyPath}"，已忽略${hint}`);
+      continue;
+    }
+
+    normalized[key] = validateValue(obj[key], keys[key], keyPath, result);
+  }
+
+  return normalized;
+}
+
+/**
+ * 校验配置对象
+ * @param {object} config - 配置对象
+ * @param {string} source - 配置来源（用于错误提示）
+ * @returns {object} { config, errors, warnings }
+ */
+function validateConfig(config, source = '配置') {
+  const result = { source, errors: [], warnings: [] };
+
+  if (typeOf(config) !== 'object') {
+    result.errors.push(`${source}: 配置内容必须是JSON对象`);
+    return { config: {}, errors: result.errors, warnings: result.warnings };
+  }
+
+  const normalized = validateObject(config, CONFIG_SCHEMA, '', result);
+  return { config: normalized, errors: result.errors, warnings: result.warnings };
+}
+
+/**
+ * 读取并校验配置文件
+ * @param {string} filePath - 配置文件路径
+ * @returns {object} { config, warnings }
+ */
+function loadConfig(filePath) {
+  const configPath = path.resolve(filePath);
+  let raw;
+
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取配置文件失败 ${configPath}: ${error.message}`);
+  }
+
+  const { config, errors, warnings } = validateConfig(raw, configPath);
+
+  // 类型错误常由拼错的键名引起，一并给出未知配置项的拼写建议
+  if (errors.length > 0) {
+    const hints = warnings.length > 0 ? `\n警告:\n  ${warnings.join('\n  ')}` : '';
+    throw new Error(`配置文件校验失败:\n  ${errors.join('\n  ')}${hints}`);
+  }
+
+  return { config, warnings };
+}
+
+/**
+ * 将配置分节解析为优化器选项
+ * html/css/js/images 分节可以是布尔值或包含 enabled 的对象，
+ * 对象中的其余字段映射到对应优化器读取的 htmlOptions/cssOptions/jsOptions/imageOptions。
+ * @param {object} options - 原始配置
+ * @returns {object} 解析后的选项
+ */
+function resolveOptions(options = {}) {
+  const resolved = { ...options };
+
+  Object.entries(SECTION_OPTION_KEYS).forEach(([section, optionKey]) => {
+    const value = options[section];
+    const sectionOptions = {};
+    let enabled = value !== false;
+
+    if (typeOf(value) === 'object') {
+      const { enabled: sectionEnabled, ...rest } = value;
+      enabled = sectionEnabled !== false;
+      Object.assign(sectionOptions, rest);
+    }
+
+    resolved[section] = enabled;
+    resolved[optionKey] = { ...sectionOptions, ...options[optionKey] };
+  });
+
+  return resolved;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  loadConfig,
+  resolveOptions
+};
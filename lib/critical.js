@@ -0,0 +1,630 @@
+const fs = require('fs');
+const path = require('path');
+const postcss = require('postcss');
+const CleanCSS = require('clean-css');
+const { HTMLOptimizer, tokenizeAttributes, getNoscriptRanges } = require('./html-optimizer');
+const { formatBytes } = require('./utils');
+const { isLocalReference, resolveReference, rebaseReference, rewriteCSSReferences } = require('./references');
+
+/**
+ * 关键CSS的默认选项
+ * maxSize 默认约为TCP首个拥塞窗口能传输的字节数，超出时不内联
+ */
+const DEFAULT_CRITICAL_OPTIONS = {
+  maxSize: 14 * 1024
+};
+
+/**
+ * 内容需要逐条筛选的条件规则
+ */
+const CONDITIONAL_AT_RULES = ['media', 'supports', 'layer', 'container', 'document', '-moz-document'];
+
+/**
+ * 首屏渲染时不会生效的用户交互伪类
+ */
+const INTERACTION_PSEUDOS = ['hover', 'active', 'focus', 'focus-visible', 'focus-within'];
+
+/**
+ * 按参数中的选择器匹配的伪类
+ */
+const MATCHES_ANY_PSEUDOS = ['is', 'where', 'matches', '-webkit-any', '-moz-any'];
+
+/**
+ * 旧式单冒号写法的伪元素
+ */
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+/**
+ * 省略 <body> 时仍属于 <head> 的元素
+ */
+const HEAD_ELEMENTS = ['base', 'link', 'meta', 'noscript', 'script', 'style', 'template', 'title'];
+
+/**
+ * 复合选择器中的各组成部分：类型、ID、类、属性、伪类/伪元素
+ */
+const COMPOUND_PART_REGEX = /(\*|(?:\\.|[\w-]|[^\x00-\x7f])+)|#((?:\\.|[\w-]|[^\x00-\x7f])+)|\.((?:\\.|[\w-]|[^\x00-\x7f])+)|\[([^\]]*)\]|(::?)([\w-]+)(\((?:[^()]|\([^()]*\))*\))?/y;
+
+/**
+ * 将 critical 配置（true、false 或对象）规范化为完整选项
+ * @param {boolean|object} value - critical 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveCriticalOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  return { ...DEFAULT_CRITICAL_OPTIONS, ...rest };
+}
+
+/**
+ * 去掉CSS标识符中的转义，如 md\:flex → md:flex
+ * @param {string} value - 标识符
+ * @returns {string} 去掉转义后的标识符
+ */
+function unescapeIdentifier(value) {
+  return value.replace(/\\([0-9a-fA-F]{1,6}\s?|[\s\S])/g, (match, escaped) => (
+    /^[0-9a-fA-F]/.test(escaped) && escaped.trim().length > 1
+      ? String.fromCodePoint(parseInt(escaped, 16))
+      : escaped
+  ));
+}
+
+/**
+ * 按顶层逗号拆分选择器列表
+ * @param {string} selectors - 选择器列表
+ * @returns {Array} 选择器列表
+ */
+function splitSelectorList(selectors) {
+  return splitTopLevel(selectors, ch => ch === ',')
+    .filter(part => part.type === 'text')
+    .map(part => part.value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 在括号、方括号和引号之外按分隔符拆分字符串
+ * @param {string} source - 源字符串
+ * @param {Function} isSeparator - (字符) => 是否为分隔符
+ * @returns {Array} [{ type: 'text'|'separator', value }]
+ */
+function splitTopLevel(source, isSeparator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      current += ch + (source[++i] || '');
+    } else if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+      current += ch;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+      current += ch;
+    } else if (depth === 0 && isSeparator(ch)) {
+      if (current) parts.push({ type: 'text', value: current });
+      parts.push({ type: 'separator', value: ch });
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current) parts.push({ type: 'text', value: current });
+  return parts;
+}
+
+/**
+ * 解析属性选择器，如 [type="text" i]
+ * @param {string} source - 方括号内的内容
+ * @returns {object|null} { name, operator, value, insensitive }，无法解析时返回null
+ */
+function parseAttributeSelector(source) {
+  const match = /^\s*([^\s~|^$*!=]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?\s*([iIsS])?\s*$/.exec(source);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: unescapeIdentifier(match[1]).toLowerCase(),
+    operator: match[2] || null,
+    value: match[3] ?? match[4] ?? (match[5] !== undefined ? unescapeIdentifier(match[5]) : null),
+    insensitive: (match[6] || '').toLowerCase() === 'i'
+  };
+}
+
+/**
+ * 解析复合选择器，如 a.nav-link[href]:hover
+ * @param {string} source - 复合选择器
+ * @returns {object|null} { tag, ids, classes, attributes, pseudos }，无法解析时返回null
+ */
+function parseCompound(source) {
+  const compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+  let index = 0;
+
+  while (index < source.length) {
+    COMPOUND_PART_REGEX.lastIndex = index;
+    const match = COMPOUND_PART_REGEX.exec(source);
+    if (!match) {
+      return null;
+    }
+    index = COMPOUND_PART_REGEX.lastIndex;
+
+    const [, tag, id, className, attribute, colons, pseudo, args] = match;
+    if (tag !== undefined) {
+      if (compound.tag !== null) return null;
+      compound.tag = tag === '*' ? '*' : unescapeIdentifier(tag).toLowerCase();
+    } else if (id !== undefined) {
+      compound.ids.push(unescapeIdentifier(id));
+    } else if (className !== undefined) {
+      compound.classes.push(unescapeIdentifier(className));
+    } else if (attribute !== undefined) {
+      const parsed = parseAttributeSelector(attribute);
+      if (!parsed) return null;
+      compound.attributes.push(parsed);
+    } else {
+      compound.pseudos.push({
+        name: pseudo.toLowerCase(),
+        element: colons === '::' || LEGACY_PSEUDO_ELEMENTS.includes(pseudo.toLowerCase()),
+        args: args ? args.slice(1, -1) : null
+      });
+    }
+  }
+
+  return compound;
+}
+
+/**
+ * 解析复杂选择器为复合选择器序列
+ * @param {string} selector - 选择器，如 .nav > li a
+ * @returns {Array|null} [{ combinator, compound }]，combinator 为与前一个复合选择器之间的组合符；无法解析时返回null
+ */
+function parseSelector(selector) {
+  const parts = [];
+  let combinator = null;
+
+  for (const token of splitTopLevel(selector.trim(), ch => /[\s>+~]/.test(ch))) {
+    if (token.type === 'separator') {
+      // 空白只在没有其他组合符时表示后代组合符
+      if (parts.length > 0 && (combinator === null || combinator === ' ')) {
+        combinator = token.value.trim() || ' ';
+      }
+      continue;
+    }
+
+    const compound = parseCompound(token.value);
+    if (!compound || (parts.length > 0 && combinator === null)) {
+      return null;
+    }
+    parts.push({ combinator: parts.length > 0 ? combinator : null, compound });
+    combinator = null;
+  }
+
+  return parts.length > 0 && combinator === null ? parts : null;
+}
+
+/**
+ * 补全被省略的 <html>、<head> 和 <body> 元素（压缩后的HTML通常会省略这些标签）
+ * @param {Array} elements - extractElements 返回的元素
+ * @returns {Array} 补全后的元素
+ */
+function addImpliedElements(elements) {
+  const create = (tagName, parent, previous = null) => ({
+    tagName, attributes: {}, id: null, classes: [], parent, previous
+  });
+  const result = [...elements];
+
+  let html = elements.find(element => element.tagName === 'html' && element.parent === null);
+  if (!html) {
+    html = create('html', null);
+    result.unshift(html);
+  }
+
+  let head = elements.find(element => element.tagName === 'head');
+  let body = elements.find(element => element.tagName === 'body');
+  const orphans = elements.filter(element => element !== html && (element.parent === null || element.parent === html) &&
+    element !== head && element !== body);
+  if (!head) {
+    head = create('head', html);
+    result.push(head);
+  }
+  if (!body) {
+    body = create('body', html, head);
+    result.push(body);
+  }
+
+  // 第一个不属于 <head> 的元素之后的顶层元素都归入 <body>
+  const firstBodyIndex = orphans.findIndex(element => !HEAD_ELEMENTS.includes(element.tagName));
+  const lastChild = new Map();
+  orphans.forEach((element, index) => {
+    element.parent = firstBodyIndex !== -1 && index >= firstBodyIndex ? body : head;
+    element.previous = lastChild.get(element.parent) || null;
+    lastChild.set(element.parent, element);
+  });
+
+  return result;
+}
+
+/**
+ * 判断属性值是否满足属性选择器
+ * @param {object} element - 元素
+ * @param {object} selector - 属性选择器
+ * @returns {boolean} 是否匹配
+ */
+function matchesAttribute(element, { name, operator, value, insensitive }) {
+  let actual = element.attributes[name];
+  if (actual === undefined) {
+    return false;
+  }
+  if (!operator) {
+    return true;
+  }
+
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return true;
+  }
+}
+
+/**
+ * 页面静态DOM上的选择器匹配器
+ * 只依据页面中的元素及其属性判断，无法在静态DOM上确定的伪类（如 :nth-child、:not）按匹配处理，
+ * 宁可多保留规则，也不让首屏缺少样式；用户交互伪类（如 :hover）在首屏不会生效，按不匹配处理。
+ */
+class SelectorMatcher {
+  constructor(elements) {
+    this.elements = elements;
+    this.parsed = new Map();
+  }
+
+  /**
+   * 判断选择器是否匹配页面中的任一元素
+   * @param {string} selector - 选择器
+   * @returns {boolean} 是否匹配
+   */
+  matchesAny(selector) {
+    const parts = this.parse(selector);
+    if (!parts) {
+      return true;
+    }
+    return this.elements.some(element => this.matchesAt(element, parts, parts.length - 1));
+  }
+
+  /**
+   * 判断选择器是否匹配某个元素
+   * @param {object} element - 元素
+   * @param {string} selector - 选择器
+   * @returns {boolean} 是否匹配
+   */
+  matches(element, selector) {
+    const parts = this.parse(selector);
+    return !parts || this.matchesAt(element, parts, parts.length - 1);
+  }
+
+  /**
+   * 解析并缓存选择器
+   * @param {string} selector - 选择器
+   * @returns {Array|null} 复合选择器序列
+   */
+  parse(selector) {
+    if (!this.parsed.has(selector)) {
+      this.parsed.set(selector, parseSelector(selector));
+    }
+    return this.parsed.get(selector);
+  }
+
+  /**
+   * 从右向左匹配复合选择器序列
+   * @param {object} element - 元素
+   * @param {Array} parts - 复合选择器序列
+   * @param {number} index - 当前匹配的位置
+   * @returns {boolean} 是否匹配
+   */
+  matchesAt(element, parts, index) {
+    const { combinator, compound } = parts[index];
+    if (!this.matchesCompound(element, compound)) {
+      return false;
+    }
+    if (index === 0) {
+      return true;
+    }
+
+    switch (combinator) {
+      case '>':
+        return Boolean(element.parent) && this.matchesAt(element.parent, parts, index - 1);
+      case '+':
+        return Boolean(element.previous) && this.matchesAt(element.previous, parts, index - 1);
+      case '~':
+        for (let sibling = element.previous; sibling; sibling = sibling.previous) {
+          if (this.matchesAt(sibling, parts, index - 1)) return true;
+        }
+        return false;
+      default:
+        for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+          if (this.matchesAt(ancestor, parts, index - 1)) return true;
+        }
+        return false;
+    }
+  }
+
+  /**
+   * 匹配单个复合选择器
+   * @param {object} element - 元素
+   * @param {object} compound - 复合选择器
+   * @returns {boolean} 是否匹配
+   */
+  matchesCompound(element, compound) {
+    return (!compound.tag || compound.tag === '*' || compound.tag === element.tagName) &&
+      compound.ids.every(id => element.id === id) &&
+      compound.classes.every(className => element.classes.includes(className)) &&
+      compound.attributes.every(attribute => matchesAttribute(element, attribute)) &&
+      compound.pseudos.every(pseudo => this.matchesPseudo(element, pseudo));
+  }
+
+  /**
+   * 匹配伪类，伪元素按其所属元素处理
+   * @param {object} element - 元素
+   * @param {object} pseudo - 伪类
+   * @returns {boolean} 是否匹配
+   */
+  matchesPseudo(element, { name, element: isPseudoElement, args }) {
+    if (isPseudoElement) {
+      return true;
+    }
+    if (INTERACTION_PSEUDOS.includes(name)) {
+      return false;
+    }
+    if (name === 'root') {
+      return element.parent === null;
+    }
+    if (name === 'first-child') {
+      return element.previous === null;
+    }
+    if (MATCHES_ANY_PSEUDOS.includes(name) && args !== null) {
+      return splitSelectorList(args).some(selector => this.matches(element, selector));
+    }
+    return true;
+  }
+}
+
+/**
+ * 关键CSS提取器
+ * 按页面的静态DOM从已优化的样式表中筛选首屏需要的规则，内联到 <style> 中，
+ * 并把原 <link rel="stylesheet"> 改为 preload 加 onload 的非阻塞加载方式，同时保留 <noscript> 回退。
+ */
+class CriticalCSSExtractor {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './dist';
+    this.options = { ...DEFAULT_CRITICAL_OPTIONS, ...options };
+    this.htmlOptimizer = new HTMLOptimizer();
+    this.stylesheets = new Map();
+  }
+
+  /**
+   * 处理一个HTML输出文件
+   * @param {string} file - 相对于输出目录的HTML文件路径
+   * @returns {object} { stylesheets, size, warnings }
+   */
+  processFile(file) {
+    const filePath = path.join(this.outputDir, file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const warnings = [];
+    const noscripts = getNoscriptRanges(content);
+
+    const styles = this.htmlOptimizer.extractStyles(content).filter(style => {
+      if (style.inline || noscripts.some(([start, end]) => style.index >= start && style.index < end)) {
+        return false;
+      }
+      if (!this.isDeferrable(style)) {
+        return false;
+      }
+
+      style.target = resolveReference(file, style.href);
+      if (!fs.existsSync(path.join(this.outputDir, style.target))) {
+        warnings.push(`关键CSS: 找不到样式表 ${style.href}`);
+        return false;
+      }
+      return true;
+    });
+
+    if (styles.length === 0) {
+      return { stylesheets: 0, size: 0, warnings };
+    }
+
+    const matcher = new SelectorMatcher(addImpliedElements(this.htmlOptimizer.extractElements(content)));
+    const critical = styles.map(style => {
+      const css = this.rebase(this.extract(this.readStylesheet(style.target), matcher), style.target, file);
+      const media = style.attributes.media;
+      return css && media && media.trim().toLowerCase() !== 'all' ? `@media ${media}{${css}}` : css;
+    }).join('');
+    const size = Buffer.byteLength(critical);
+
+    if (size > this.options.maxSize) {
+      warnings.push(`关键CSS为 ${formatBytes(size)}，超过 ${formatBytes(this.options.maxSize)}，未内联`);
+      return { stylesheets: 0, size: 0, warnings };
+    }
+
+    let updated = content;
+    styles.slice().reverse().forEach(style => {
+      updated = updated.slice(0, style.index) + this.deferStylesheet(style.tag) + updated.slice(style.index + style.tag.length);
+    });
+
+    if (critical) {
+      // 关键CSS放在 <head> 中第一个样式表的位置，样式表都在 <body> 中时放在 </head> 之前
+      const headEnd = updated.search(/<\/head\s*>/i);
+      const position = headEnd !== -1 && styles[0].index > headEnd ? headEnd : styles[0].index;
+      updated = `${updated.slice(0, position)}<style>${critical}</style>${updated.slice(position)}`;
+    }
+
+    fs.writeFileSync(filePath, updated);
+    return { stylesheets: styles.length, size, warnings };
+  }
+
+  /**
+   * 判断样式表是否可以改为非阻塞加载
+   * @param {object} style - extractStyles 返回的样式表信息
+   * @returns {boolean} 是否可以延迟加载
+   */
+  isDeferrable({ href, attributes }) {
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    const media = (attributes.media || '').trim().toLowerCase();
+    return isLocalReference(href) &&
+      !rel.includes('alternate') &&
+      attributes.onload === undefined &&
+      media !== 'print';
+  }
+
+  /**
+   * 从样式表中筛选匹配页面元素的规则
+   * @param {string} css - 样式表内容
+   * @param {SelectorMatcher} matcher - 页面的选择器匹配器
+   * @returns {string} 关键CSS
+   */
+  extract(css, matcher) {
+    const root = postcss.parse(css);
+    const nodes = this.filterNodes(root, matcher);
+    const used = { fonts: [], animations: [] };
+
+    postcss.root().append(nodes.map(node => node.clone())).walkDecls(decl => {
+      const prop = decl.prop.toLowerCase().replace(/^-\w+-/, '');
+      if (prop === 'font' || prop === 'font-family') {
+        used.fonts.push(decl.value.toLowerCase());
+      } else if (prop === 'animation' || prop === 'animation-name') {
+        used.animations.push(decl.value);
+      }
+    });
+
+    // 只保留关键规则用到的字体和动画
+    root.each(node => {
+      if (node.type !== 'atrule') {
+        return;
+      }
+      const name = node.name.toLowerCase();
+      if (name === 'font-face') {
+        let family = null;
+        node.walkDecls(/^font-family$/i, decl => {
+          family = decl.value.replace(/^["']|["']$/g, '').toLowerCase();
+        });
+        if (family && used.fonts.some(value => value.includes(family))) {
+          nodes.push(node.clone());
+        }
+      } else if (/keyframes$/.test(name)) {
+        const pattern = new RegExp(`(^|[\\s,])${node.params.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[\\s,])`);
+        if (used.animations.some(value => pattern.test(value))) {
+          nodes.push(node.clone());
+        }
+      }
+    });
+
+    if (nodes.length === 0) {
+      return '';
+    }
+    return new CleanCSS({ level: 1 }).minify(postcss.root().append(nodes).toString()).styles;
+  }
+
+  /**
+   * 递归筛选规则，条件规则中没有保留的子规则时整体移除
+   * @param {object} container - PostCSS节点容器
+   * @param {SelectorMatcher} matcher - 页面的选择器匹配器
+   * @returns {Array} 保留的节点（副本）
+   */
+  filterNodes(container, matcher) {
+    const nodes = [];
+
+    container.each(node => {
+      if (node.type === 'rule') {
+        const selectors = node.selectors.filter(selector => matcher.matchesAny(selector));
+        if (selectors.length > 0) {
+          nodes.push(node.clone({ selectors }));
+        }
+      } else if (node.type === 'atrule' && CONDITIONAL_AT_RULES.includes(node.name.toLowerCase())) {
+        if (!node.nodes) {
+          // 如 @layer a, b; 这样的声明需要保留以维持层叠顺序
+          nodes.push(node.clone());
+          return;
+        }
+        const children = this.filterNodes(node, matcher);
+        if (children.length > 0) {
+          nodes.push(node.clone({ nodes: [] }).append(children));
+        }
+      }
+    });
+
+    return nodes;
+  }
+
+  /**
+   * 将关键CSS中的相对地址从样式表位置改为相对于页面
+   * @param {string} css - 关键CSS
+   * @param {string} stylesheet - 样式表相对于输出目录的路径
+   * @param {string} page - 页面相对于输出目录的路径
+   * @returns {string} 改写后的CSS
+   */
+  rebase(css, stylesheet, page) {
+    if (path.posix.dirname(stylesheet) === path.posix.dirname(page)) {
+      return css;
+    }
+
+    return rewriteCSSReferences(css, url => rebaseReference(url, stylesheet, page));
+  }
+
+  /**
+   * 将阻塞渲染的 <link rel="stylesheet"> 改为非阻塞加载，并保留 <noscript> 回退
+   * @param {string} tag - 原标签
+   * @returns {string} 新的标签
+   */
+  deferStylesheet(tag) {
+    const source = tag.replace(/^<link\b/i, '').replace(/\/?>$/, '');
+    const kept = tokenizeAttributes(source)
+      .filter(({ name }) => !['rel', 'as', 'onload'].includes(name))
+      .map(({ raw }) => raw);
+
+    return `<link rel="preload" as="style" ${kept.join(' ')} onload="this.onload=null;this.rel='stylesheet'">` +
+      `<noscript>${tag}</noscript>`;
+  }
+
+  /**
+   * 读取并缓存样式表内容
+   * @param {string} file - 相对于输出目录的路径
+   * @returns {string} 样式表内容
+   */
+  readStylesheet(file) {
+    if (!this.stylesheets.has(file)) {
+      this.stylesheets.set(file, fs.readFileSync(path.join(this.outputDir, file), 'utf8'));
+    }
+    return this.stylesheets.get(file);
+  }
+}
+
+module.exports = {
+  CriticalCSSExtractor,
+  SelectorMatcher,
+  resolveCriticalOptions,
+  parseSelector,
+  DEFAULT_CRITICAL_OPTIONS
+};
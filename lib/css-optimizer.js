@@ -1,9 +1,44 @@
 const fs = require('fs');
+const path = require('path');
 const CleanCSS = require('clean-css');
 const { PurgeCSS } = require('purgecss');
 const postcss = require('postcss');
 const postcssImport = require('postcss-import');
 const postcssPresetEnv = require('postcss-preset-env');
+const { deepMerge } = require('./utils');
+const { getSourceMapPath, removeSourceMappingURL, toAbsoluteSources } = require('./source-maps');
+
+/**
+ * image-set() 中各格式的类型，新格式按AVIF、WebP的顺序排在原图之前
+ */
+const IMAGE_SET_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif'
+};
+
+/**
+ * 匹配 url() 引用
+ */
+const URL_REGEX = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s'"]*))\s*\)/gi;
+
+/**
+ * 判断属性值是否包含多个以逗号分隔的层（忽略括号内的逗号）
+ * @param {string} value - 属性值
+ * @returns {boolean} 是否为多层
+ */
+function hasMultipleLayers(value) {
+  let depth = 0;
+  for (const char of value) {
+    if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if (char === ',' && depth === 0) return true;
+  }
+  return false;
+}
 
 /**
  * CSS文件优化器
@@ -11,6 +46,14 @@ const postcssPresetEnv = require('postcss-preset-env');
  */
 class CSSOptimizer {
   constructor() {
+    // 最近一次优化所应用的处理步骤、产生的警告和移除的未使用选择器，用于生成报告
+    this.transforms = [];
+    this.warnings = [];
+    this.removedSelectors = [];
+    // 启用 sourceMaps 时最近一次优化生成的 source map（来源为绝对路径）
+    this.sourceMap = null;
+    // 最近一次优化读取的其他文件（@import 的样式表、串联的 .map 文件），用于判断缓存是否过期
+    this.dependencies = [];
     this.defaultOptions = {
       level: 2,
       format: {
@@ -49,40 +92,87 @@ class CSSOptimizer {
    * @returns {Promise<string>} 优化后的CSS内容
    */
   async optimize(filePath, options = {}) {
+    return await this.optimizeContent(fs.readFileSync(filePath, 'utf8'), filePath, options);
+  }
+
+  /**
+   * 优化CSS内容
+   * 依次经过PostCSS、PurgeCSS和CleanCSS，启用 sourceMaps 时各步骤依次串联 source map。
+   * 是否生成 source map 不影响输出的CSS：两种方式执行相同的步骤，
+   * 注释、空白和多余分号的移除都由CleanCSS完成
+   * @param {string} cssContent - CSS内容
+   * @param {string} filePath - 内容所在文件的路径，用于解析 @import
+   * @param {object} options - 优化选项
+   * @returns {Promise<string>} 优化后的CSS内容
+   */
+  async optimizeContent(cssContent, filePath, options = {}) {
     try {
-      const cssContent = fs.readFileSync(filePath, 'utf8');
-      const mergedOptions = { ...this.defaultOptions, ...options.cssOptions };
-      
-      // 预处理：移除开发工具相关的代码
-      let processedContent = this.preprocessCSS(cssContent);
+      const mergedOptions = deepMerge(this.defaultOptions, options.cssOptions);
+      const sourceMaps = Boolean(options.sourceMaps);
+      this.transforms = [];
+      this.warnings = [];
+      this.removedSelectors = [];
+      this.sourceMap = null;
+      this.dependencies = [];
       
       // 使用PostCSS处理
-      processedContent = await this.processWithPostCSS(processedContent, filePath);
-      
-      // 使用CleanCSS压缩
-      const cleanCSS = new CleanCSS(mergedOptions);
-      const result = cleanCSS.minify(processedContent);
+      let processedContent = await this.processWithPostCSS(cssContent, filePath, sourceMaps);
+      this.transforms.push('postcss');
       
-      if (result.errors.length > 0) {
-        console.warn('CSS压缩警告:', result.errors);
+      // 按HTML和JS内容移除未使用的样式
+      if (options.purge) {
+        const { content, ...purgeOptions } = options.purge;
+        processedContent = await this.removeUnusedCSS(processedContent, content, { purgeOptions });
+        this.transforms.push('purgecss');
       }
       
-      // 后处理：进一步优化
-      const finalContent = this.postprocessCSS(result.styles);
+      // 使用CleanCSS压缩；以文件路径为键传入内容和上一步的 source map，映射的来源只包含真实的输入文件
+      const result = this.sourceMap
+        ? new CleanCSS({ ...mergedOptions, sourceMap: true, sourceMapInlineSources: true }).minify({
+          [path.resolve(filePath)]: { styles: processedContent, sourceMap: this.sourceMap }
+        })
+        : new CleanCSS(mergedOptions).minify(processedContent);
+      this.transforms.push('clean-css');
+      
+      this.warnings.push(...result.errors, ...result.warnings);
       
-      return finalContent;
+      if (this.sourceMap) {
+        // CleanCSS将来源改写为相对于 rebaseTo（默认为当前目录）的路径
+        const rebaseTo = mergedOptions.rebaseTo ? path.resolve(mergedOptions.rebaseTo) : process.cwd();
+        this.sourceMap = toAbsoluteSources(JSON.parse(result.sourceMap.toString()), rebaseTo);
+      }
+      return result.styles;
     } catch (error) {
       throw new Error(`CSS优化失败: ${error.message}`);
     }
   }
 
+  /**
+   * 压缩 style 属性中的声明
+   * @param {string} declarations - 声明列表，如 color: red; margin: 0
+   * @param {object} options - 优化选项
+   * @returns {string} 压缩后的声明列表
+   */
+  minifyDeclarations(declarations, options = {}) {
+    const mergedOptions = deepMerge(this.defaultOptions, options.cssOptions);
+    const result = new CleanCSS(mergedOptions).minify(`*{${declarations}}`);
+    this.warnings.push(...result.errors, ...result.warnings);
+
+    if (result.errors.length > 0) {
+      return declarations;
+    }
+    const match = /^\*\{([\s\S]*)\}$/.exec(result.styles);
+    return match ? match[1] : '';
+  }
+
   /**
    * 使用PostCSS处理CSS
    * @param {string} content - CSS内容
    * @param {string} filePath - 文件路径
+   * @param {boolean} sourceMap - 是否生成 source map（串联源文件中已有的 source map），结果记录在 sourceMap 中
    * @returns {Promise<string>} 处理后的CSS内容
    */
-  async processWithPostCSS(content, filePath) {
+  async processWithPostCSS(content, filePath, sourceMap = false) {
     const plugins = [
       postcssImport(),
       postcssPresetEnv({
@@ -97,93 +187,44 @@ class CSSOptimizer {
 
     const result = await postcss(plugins).process(content, {
       from: filePath,
-      to: filePath
+      to: filePath,
+      map: sourceMap ? { inline: false, annotation: false, sourcesContent: true, absolute: true } : false
     });
 
-    return result.css;
-  }
+    // postcss-import 为每个导入的文件记录一条 dependency 消息
+    result.messages
+      .filter(message => message.type === 'dependency' && message.file)
+      .forEach(message => this.dependencies.push(message.file));
 
-  /**
-   * 预处理CSS内容
-   * @param {string} content - CSS内容
-   * @returns {string} 预处理后的内容
-   */
-  preprocessCSS(content) {
-    let processed = content;
-    
-    // 移除开发环境相关的注释
-    processed = processed.replace(/\/\*[\s\S]*?\*\//g, (match) => {
-      // 保留重要的注释（如版权信息）
-      if (match.includes('Copyright') || match.includes('License')) {
-        return match;
+    if (sourceMap) {
+      // PostCSS会自动读取 sourceMappingURL 指向的 .map 文件并串联
+      const mapPath = getSourceMapPath(content, filePath);
+      if (mapPath) {
+        this.dependencies.push(mapPath);
       }
-      return '';
-    });
-    
-    // 移除空白行
-    processed = processed.replace(/^\s*[\r\n]/gm, '');
-    
-    // 移除不必要的分号
-    processed = processed.replace(/;\s*}/g, '}');
-    
-    return processed;
-  }
-
-  /**
-   * 后处理CSS内容
-   * @param {string} content - 已压缩的CSS内容
-   * @returns {string} 最终优化后的内容
-   */
-  postprocessCSS(content) {
-    let processed = content;
-    
-    // 移除多余的空格
-    processed = processed.replace(/\s+/g, ' ');
-    
-    // 优化选择器
-    processed = this.optimizeSelectors(processed);
-    
-    // 移除空的规则
-    processed = processed.replace(/[^{}]*{\s*}/g, '');
-    
-    return processed.trim();
-  }
-
-  /**
-   * 优化CSS选择器
-   * @param {string} content - CSS内容
-   * @returns {string} 优化后的内容
-   */
-  optimizeSelectors(content) {
-    return content.replace(/([^{}]+){([^{}]*)}/g, (match, selector, rules) => {
-      // 优化选择器
-      let optimizedSelector = selector
-        .replace(/\s*>\s*/g, '>')
-        .replace(/\s*\+\s*/g, '+')
-        .replace(/\s*~\s*/g, '~')
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      // 移除重复的选择器
-      const selectors = optimizedSelector.split(',').map(s => s.trim());
-      const uniqueSelectors = [...new Set(selectors)];
-      
-      return `${uniqueSelectors.join(',')}{${rules}}`;
-    });
+      this.sourceMap = toAbsoluteSources(result.map.toJSON(), path.dirname(path.resolve(filePath)));
+    }
+    return result.css;
   }
 
   /**
-   * 移除未使用的CSS
+   * 移除未使用的CSS，移除的选择器记录在 removedSelectors 中
    * @param {string} cssContent - CSS内容
-   * @param {Array} htmlFiles - HTML文件列表
+   * @param {Array} htmlFiles - 扫描内容：文件路径或 { raw, extension } 列表
    * @param {object} options - 选项
    * @returns {Promise<string>} 清理后的CSS内容
    */
   async removeUnusedCSS(cssContent, htmlFiles, options = {}) {
     try {
+      // PurgeCSS只能从内容中的注释读取上一步的 source map
+      const css = this.sourceMap
+        ? `${cssContent}\n/*# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(this.sourceMap)).toString('base64')} */`
+        : cssContent;
       const purgeOptions = {
         content: htmlFiles,
-        css: [{ raw: cssContent }],
+        css: [{ raw: css }],
+        rejected: true,
+        sourceMap: this.sourceMap ? { inline: false, annotation: false, sourcesContent: true } : false,
         defaultExtractor: content => {
           // 自定义提取器，提取所有可能的类名和ID
           const broadMatches = content.match(/[^<>"'`\s]*[^<>"'`\s:]/g) || [];
@@ -194,13 +235,65 @@ class CSSOptimizer {
       };
 
       const purgeResult = await new PurgeCSS().purge(purgeOptions);
-      return purgeResult[0].css || cssContent;
+      this.removedSelectors = purgeResult[0].rejected || [];
+      if (!purgeResult[0].css) {
+        return cssContent;
+      }
+      if (this.sourceMap) {
+        this.sourceMap = toAbsoluteSources(JSON.parse(purgeResult[0].sourceMap), process.cwd());
+        return removeSourceMappingURL(purgeResult[0].css);
+      }
+      return purgeResult[0].css;
     } catch (error) {
-      console.warn('移除未使用CSS失败:', error.message);
+      this.warnings.push(`移除未使用CSS失败: ${error.message}`);
       return cssContent;
     }
   }
 
+  /**
+   * 为引用了有WebP/AVIF版本的图片的背景声明添加使用 image-set() 的声明
+   * 原声明保留在前面，不支持 image-set() 及 type() 的浏览器忽略新声明后继续使用原图
+   * 只处理只引用一张图片的 background-image，以及单层的 background 简写
+   * @param {string} content - CSS内容
+   * @param {Function} getImageFormats - (url) => 该图片已生成的新格式列表（如 ['avif', 'webp']）
+   * @returns {object} { content, replaced }
+   */
+  addImageSets(content, getImageFormats) {
+    const root = postcss.parse(content);
+    let replaced = 0;
+
+    root.walkDecls(/^background(-image)?$/i, decl => {
+      const urls = Array.from(decl.value.matchAll(URL_REGEX));
+      if (urls.length !== 1 || /image-set\(/i.test(decl.value)) {
+        return;
+      }
+      const isShorthand = decl.prop.toLowerCase() === 'background';
+      if (isShorthand && hasMultipleLayers(decl.value)) {
+        return;
+      }
+
+      const [token, double, single, bare] = urls[0];
+      const url = double ?? single ?? bare;
+      const formats = ['avif', 'webp'].filter(format => url && getImageFormats(url).includes(format));
+      if (formats.length === 0) {
+        return;
+      }
+
+      const originalType = IMAGE_SET_TYPES[path.posix.extname(url.split(/[?#]/)[0]).slice(1).toLowerCase()];
+      const candidates = formats.map(format => `url("${url.replace(/\.[^./?#]+(?=[?#]|$)/, `.${format}`)}") type("${IMAGE_SET_TYPES[format]}")`);
+      candidates.push(originalType ? `${token} type("${originalType}")` : token);
+      const imageSet = `image-set(${candidates.join(',')})`;
+
+      decl.cloneAfter({
+        prop: 'background-image',
+        value: isShorthand ? imageSet : decl.value.replace(token, () => imageSet)
+      });
+      replaced++;
+    });
+
+    return { content: replaced > 0 ? root.toString() : content, replaced };
+  }
+
   /**
    * 分析CSS文件
    * @param {string} filePath - 文件路径
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+
+/**
+ * 始终跳过的目录
+ */
+const DEFAULT_IGNORES = ['node_modules/', '.git/'];
+
+/**
+ * 从输入目录读取的忽略文件，语法与 .gitignore 相同
+ */
+const IGNORE_FILES = ['.gitignore', '.optimizerignore'];
+
+/**
+ * 将 .gitignore 风格的模式编译为规则
+ * @param {string} line - 模式
+ * @param {object} options - 选项（anchored: 是否强制从根目录匹配）
+ * @returns {object|null} 规则 { regex, negate, dirOnly }，空行和注释返回null
+ */
+function compilePattern(line, options = {}) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+
+  const dirOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+
+  // 含有斜杠的模式相对于根目录匹配，否则匹配任意层级
+  const anchored = options.anchored || pattern.includes('/');
+  pattern = pattern.replace(/^\.?\//, '');
+  if (!pattern) {
+    return null;
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+        if (atStart && atEnd) {
+          // "**/" 匹配零个或多个目录，结尾的 "**" 匹配全部内容
+          source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      const close = pattern.indexOf('}', i + 1);
+      if (close === -1) {
+        source += '\\{';
+      } else {
+        const alternatives = pattern.slice(i + 1, close).split(',')
+          .map(alt => alt.replace(/[.+^$()|\\]/g, '\\$&').replace(/\*/g, '[^/]*'));
+        source += `(?:${alternatives.join('|')})`;
+        i = close;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return {
+    regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`),
+    negate,
+    dirOnly
+  };
+}
+
+/**
+ * 读取忽略文件中的模式
+ * @param {string} filePath - 忽略文件路径
+ * @returns {Array} 模式列表
+ */
+function readIgnoreFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 输入文件查找器
+ * 统一负责查找待处理文件，自动跳过输出目录、缓存目录、node_modules、.git，
+ * 以及 .gitignore、.optimizerignore、ignore 选项和 exclude 选项中列出的文件。
+ */
+class FileDiscovery {
+  constructor(options = {}) {
+    this.inputDir = options.inputDir || './';
+    this.outputDir = options.outputDir || './dist';
+    this.include = options.include || ['**/*'];
+    this.rules = [];
+
+    const patterns = [...DEFAULT_IGNORES];
+
+    // 输出目录（包括其中的backup目录）、缓存目录和报告文件位于输入目录内时跳过
+    const generated = [
+      { target: this.outputDir, suffix: '/' },
+      { target: options.cacheDir, suffix: '/' },
+      { target: options.report, suffix: '' },
+      { target: options.reportHtml, suffix: '' }
+    ];
+    generated.filter(({ target }) => target).forEach(({ target, suffix }) => {
+      const relative = path.relative(path.resolve(this.inputDir), path.resolve(target));
+      if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        patterns.push(`/${relative.split(path.sep).join('/')}${suffix}`);
+      }
+    });
+
+    if (options.useIgnoreFiles !== false) {
+      IGNORE_FILES.forEach(file => {
+        patterns.push(...readIgnoreFile(path.join(this.inputDir, file)));
+      });
+    }
+
+    patterns.push(...(options.ignore || []));
+    this.addPatterns(patterns);
+
+    // exclude 为相对于输入目录的glob模式
+    (options.exclude || []).forEach(pattern => {
+      const rule = compilePattern(pattern, { anchored: true });
+      if (rule) this.rules.push(rule);
+    });
+  }
+
+  /**
+   * 添加 .gitignore 风格的忽略模式
+   * @param {Array} patterns - 模式列表
+   * @returns {void}
+   */
+  addPatterns(patterns) {
+    patterns.forEach(pattern => {
+      const rule = compilePattern(pattern);
+      if (rule) this.rules.push(rule);
+    });
+  }
+
+  /**
+   * 判断相对路径是否被忽略（后出现的规则优先，与 .gitignore 一致）
+   * @param {string} relativePath - 相对于输入目录的路径（使用 / 分隔）
+   * @param {boolean} isDirectory - 是否为目录
+   * @returns {boolean} 是否被忽略
+   */
+  isIgnored(relativePath, isDirectory = false) {
+    let ignored = false;
+
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+
+  /**
+   * 判断相对路径本身或其任一上级目录是否被忽略
+   * @param {string} relativePath - 相对于输入目录的路径
+   * @returns {boolean} 是否被忽略
+   */
+  isPathIgnored(relativePath) {
+    const parts = relativePath.split(/[\\/]/);
+
+    for (let i = 1; i < parts.length; i++) {
+      if (this.isIgnored(parts.slice(0, i).join('/'), true)) {
+        return true;
+      }
+    }
+
+    return this.isIgnored(parts.join('/'));
+  }
+
+  /**
+   * 生成供glob使用的忽略对象
+   * @returns {object} glob的IgnoreLike对象
+   */
+  createGlobIgnore() {
+    return {
+      ignored: p => this.isIgnored(p.relativePosix(), p.isDirectory()),
+      childrenIgnored: p => this.isIgnored(p.relativePosix(), true)
+    };
+  }
+
+  /**
+   * 查找匹配模式且未被忽略的文件
+   * @param {string|Array} pattern - glob匹配模式
+   * @param {object} globOptions - 额外的glob选项
+   * @returns {Promise<Array>} 排序后的相对路径列表
+   */
+  async find(pattern, globOptions = {}) {
+    const options = {
+      cwd: this.inputDir,
+      nodir: true,
+      posix: true,
+      ignore: this.createGlobIgnore(),
+      ...globOptions
+    };
+
+    const [files, included] = await Promise.all([
+      glob(pattern, options),
+      glob(this.include, { ...options, dot: true })
+    ]);
+    const includedSet = new Set(included);
+
+    return files.filter(file => includedSet.has(file)).sort();
+  }
+}
+
+module.exports = {
+  FileDiscovery,
+  compilePattern
+};
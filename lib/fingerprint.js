@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getFileHash } = require('./utils');
+const { getReferenceRewriter, findReferences, resolveReference } = require('./references');
+const { setSourceMappingURL } = require('./source-maps');
+
+/**
+ * 需要添加内容哈希的文件扩展名
+ */
+const HASHABLE_EXTENSIONS = ['.css', '.js', '.mjs', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.avif', '.mp4', '.webm'];
+
+/**
+ * 在文件名的扩展名前插入哈希，如 css/main.css → css/main.1a2b3c4d.css
+ * @param {string} file - 文件路径或引用地址中的路径部分
+ * @param {string} hash - 哈希
+ * @returns {string} 带哈希的路径
+ */
+function insertHash(file, hash) {
+  const ext = path.posix.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * 判断文件名中是否带有内容哈希，如 main.1a2b3c4d.css、main.1a2b3c4d.css.map
+ * @param {string} file - 文件路径
+ * @param {number} hashLength - 哈希长度
+ * @returns {boolean} 是否带有哈希
+ */
+function isFingerprinted(file, hashLength = 8) {
+  return new RegExp(`\\.[0-9a-f]{${hashLength}}\\.`).test(path.posix.basename(file));
+}
+
+/**
+ * 去掉文件名中的内容哈希，如 css/main.1a2b3c4d.css.map → css/main.css.map
+ * @param {string} file - 文件路径
+ * @param {number} hashLength - 哈希长度
+ * @returns {string} 不带哈希的路径
+ */
+function stripHash(file, hashLength = 8) {
+  const base = path.posix.basename(file);
+  return file.slice(0, file.length - base.length) + base.replace(new RegExp(`\\.[0-9a-f]{${hashLength}}(?=\\.)`), '');
+}
+
+/**
+ * 资源指纹生成器
+ * 将CSS、JS和图片输出重命名为 name.[contenthash].ext，并改写HTML、CSS和ES模块中对它们的引用。
+ * 文件按依赖顺序处理：被引用的文件先确定哈希，引用方改写地址后再计算自身哈希，
+ * 因此任一依赖变化都会传递到引用它的文件名上。循环引用的文件共用一个由各自内容计算出的哈希。
+ */
+class AssetFingerprinter {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './dist';
+    this.hashLength = options.hashLength || 8;
+    this.hashes = new Map();
+    this.contents = new Map();
+  }
+
+  /**
+   * 为输出文件生成指纹并改写引用
+   * @param {Array} outputs - 相对于输出目录的输出文件列表
+   * @returns {Promise<Map>} 原输出路径到 { path, hash } 的映射
+   */
+  async run(outputs) {
+    const hashable = outputs.filter(file => HASHABLE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    const hashableSet = new Set(hashable);
+    this.sourceMaps = new Set(outputs.filter(file => path.extname(file).toLowerCase() === '.map'));
+
+    outputs.filter(file => getReferenceRewriter(file)).forEach(file => {
+      this.contents.set(file, fs.readFileSync(this.resolve(file), 'utf8'));
+    });
+
+    const dependencies = new Map(hashable.map(file => [
+      file,
+      this.contents.has(file)
+        ? findReferences(file, this.contents.get(file)).filter(dep => dep !== file && hashableSet.has(dep))
+        : []
+    ]));
+
+    for (const group of this.getProcessingOrder(hashable, dependencies)) {
+      await this.processGroup(group);
+    }
+
+    // 最后改写不需要重命名的文件（主要是HTML）
+    outputs.filter(file => !hashableSet.has(file) && this.contents.has(file)).forEach(file => {
+      this.rewriteFile(file);
+    });
+
+    return this.hashes;
+  }
+
+  /**
+   * 处理一组需要同时确定哈希的文件（单个文件或一个循环引用）
+   * @param {Array} group - 文件列表
+   * @returns {Promise<void>}
+   */
+  async processGroup(group) {
+    // 先改写对已确定哈希的依赖的引用
+    group.forEach(file => this.rewriteFile(file));
+
+    let hash;
+    if (group.length === 1) {
+      hash = await getFileHash(this.resolve(group[0]));
+    } else {
+      const combined = crypto.createHash('md5');
+      for (const file of group.slice().sort()) {
+        combined.update(await getFileHash(this.resolve(file)));
+      }
+      hash = combined.digest('hex');
+    }
+    hash = hash.slice(0, this.hashLength);
+
+    group.forEach(file => this.hashes.set(file, { path: insertHash(file, hash), hash }));
+
+    // 循环引用的文件在确定哈希后再次改写彼此之间的引用
+    if (group.length > 1) {
+      group.forEach(file => this.rewriteFile(file));
+    }
+
+    group.forEach(file => {
+      fs.renameSync(this.resolve(file), this.resolve(this.hashes.get(file).path));
+      this.renameSourceMap(file);
+    });
+  }
+
+  /**
+   * 将文件的 source map 随文件一起重命名，并改写文件末尾指向它的地址
+   * @param {string} file - 重命名前的相对路径
+   * @returns {void}
+   */
+  renameSourceMap(file) {
+    const mapFile = `${file}.map`;
+    if (!this.sourceMaps.has(mapFile)) {
+      return;
+    }
+
+    const { path: hashedFile, hash } = this.hashes.get(file);
+    const hashedMap = `${hashedFile}.map`;
+    const map = JSON.parse(fs.readFileSync(this.resolve(mapFile), 'utf8'));
+    fs.writeFileSync(this.resolve(hashedMap), JSON.stringify({ ...map, file: path.posix.basename(hashedFile) }));
+    fs.unlinkSync(this.resolve(mapFile));
+
+    const content = fs.readFileSync(this.resolve(hashedFile), 'utf8');
+    fs.writeFileSync(this.resolve(hashedFile), setSourceMappingURL(content, path.posix.basename(hashedMap)));
+    this.hashes.set(mapFile, { path: hashedMap, hash });
+  }
+
+  /**
+   * 改写文件中对已生成指纹的资源的引用
+   * @param {string} file - 相对于输出目录的路径
+   * @returns {void}
+   */
+  rewriteFile(file) {
+    const rewriter = getReferenceRewriter(file);
+    if (!rewriter || !this.contents.has(file)) {
+      return;
+    }
+
+    const content = this.contents.get(file);
+    const rewritten = rewriter(content, url => {
+      const target = this.hashes.get(resolveReference(file, url));
+      if (!target) {
+        return null;
+      }
+      const [, urlPath, suffix] = /^([^?#]*)(.*)$/.exec(url);
+      return insertHash(urlPath, target.hash) + suffix;
+    });
+
+    if (rewritten !== content) {
+      this.contents.set(file, rewritten);
+      fs.writeFileSync(this.resolve(file), rewritten);
+    }
+  }
+
+  /**
+   * 按依赖关系计算处理顺序（Tarjan强连通分量算法，依赖先于引用方输出）
+   * @param {Array} files - 文件列表
+   * @param {Map} dependencies - 文件到其依赖列表的映射
+   * @returns {Array} 分组列表，每组为单个文件或一个循环引用
+   */
+  getProcessingOrder(files, dependencies) {
+    const groups = [];
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    let index = 0;
+
+    const visit = file => {
+      indexes.set(file, index);
+      lowLinks.set(file, index);
+      index++;
+      stack.push(file);
+      onStack.add(file);
+
+      dependencies.get(file).forEach(dep => {
+        if (!indexes.has(dep)) {
+          visit(dep);
+          lowLinks.set(file, Math.min(lowLinks.get(file), lowLinks.get(dep)));
+        } else if (onStack.has(dep)) {
+          lowLinks.set(file, Math.min(lowLinks.get(file), indexes.get(dep)));
+        }
+      });
+
+      if (lowLinks.get(file) === indexes.get(file)) {
+        const group = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          group.push(member);
+        } while (member !== file);
+        groups.push(group);
+      }
+    };
+
+    files.forEach(file => {
+      if (!indexes.has(file)) visit(file);
+    });
+
+    return groups;
+  }
+
+  /**
+   * 获取输出文件的完整路径
+   * @param {string} file - 相对于输出目录的路径
+   * @returns {string} 完整路径
+   */
+  resolve(file) {
+    return path.join(this.outputDir, file);
+  }
+}
+
+/**
+ * 为输出文件生成指纹的主函数
+ * @param {Array} outputs - 相对于输出目录的输出文件列表
+ * @param {object} options - 选项
+ * @returns {Promise<Map>} 原输出路径到 { path, hash } 的映射
+ */
+async function fingerprintAssets(outputs, options = {}) {
+  const fingerprinter = new AssetFingerprinter(options);
+  return await fingerprinter.run(outputs);
+}
+
+module.exports = {
+  AssetFingerprinter,
+  fingerprintAssets,
+  insertHash,
+  isFingerprinted,
+  stripHash,
+  HASHABLE_EXTENSIONS
+};
@@ -1,5 +1,223 @@
 const fs = require('fs');
 const htmlMinifier = require('html-minifier-terser');
+const { deepMerge } = require('./utils');
+const { CSSOptimizer } = require('./css-optimizer');
+const { JSOptimizer } = require('./js-optimizer');
+
+/**
+ * 匹配 <script> 和 <link> 开始标签（属性值中可以包含 >）
+ */
+const SUBRESOURCE_TAG_REGEX = /<(script|link)\b((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/gi;
+
+/**
+ * 匹配注释、开始标签和结束标签（属性值中可以包含 >）
+ */
+const ELEMENT_TAG_REGEX = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+/**
+ * 匹配 <img> 标签（属性值中可以包含 >）
+ */
+const IMG_TAG_REGEX = /<img\b((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+
+/**
+ * 没有结束标签的空元素
+ */
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+/**
+ * 内容不按HTML解析的元素
+ */
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'template', 'noscript'];
+
+/**
+ * 后处理时内容需要原样保留的元素
+ */
+const PRESERVED_ELEMENTS = ['script', 'style', 'pre', 'textarea'];
+
+/**
+ * 按JavaScript执行的 <script> 类型（module 单独处理）
+ */
+const JS_SCRIPT_TYPES = [
+  '',
+  'text/javascript',
+  'application/javascript',
+  'application/x-javascript',
+  'text/ecmascript',
+  'application/ecmascript',
+  'text/jscript'
+];
+
+/**
+ * 内容为JSON的 <script> 类型
+ */
+const JSON_SCRIPT_TYPES = ['application/json', 'application/ld+json', 'importmap', 'speculationrules'];
+
+/**
+ * GIF替换为 <video> 时 <source> 的顺序，体积较小的WebM优先
+ */
+const VIDEO_SOURCE_ORDER = ['webm', 'mp4'];
+
+/**
+ * GIF替换为 <video> 时从 <img> 移到 <video> 上的属性
+ */
+const VIDEO_COPIED_ATTRIBUTES = ['id', 'class', 'style', 'width', 'height', 'title'];
+
+/**
+ * <picture> 中 <source> 的顺序及类型，体积较小的AVIF优先
+ */
+const PICTURE_SOURCE_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
+/**
+ * 图片属性补全的默认选项
+ */
+const DEFAULT_IMAGE_ATTRIBUTE_OPTIONS = {
+  dimensions: true,
+  lazy: true,
+  eagerCount: 2
+};
+
+/**
+ * 将 imageAttributes 配置（true、false 或对象）规范化为完整选项
+ * @param {boolean|object} value - imageAttributes 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveImageAttributeOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  const options = { ...DEFAULT_IMAGE_ATTRIBUTE_OPTIONS, ...rest };
+  if (!Number.isInteger(options.eagerCount) || options.eagerCount < 0) {
+    throw new Error(`imageAttributes.eagerCount 必须是非负整数: ${options.eagerCount}`);
+  }
+  return options;
+}
+
+/**
+ * 拆分标签中的属性，支持双引号、单引号、无引号和无值属性
+ * @param {string} source - 标签名之后的属性部分
+ * @returns {Array} 属性列表 [{ name, value, raw, index }]，name 为小写，无值属性的 value 为空字符串，index 为 raw 在 source 中的位置
+ */
+function tokenizeAttributes(source) {
+  const attributeRegex = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const attributes = [];
+  let match;
+
+  while ((match = attributeRegex.exec(source)) !== null) {
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: match[2] ?? match[3] ?? match[4] ?? '',
+      raw: match[0],
+      index: match.index
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * 解析标签中的属性
+ * @param {string} source - 标签名之后的属性部分
+ * @returns {object} 属性名（小写）到属性值的映射，重复的属性以第一个为准
+ */
+function parseAttributes(source) {
+  const attributes = {};
+
+  tokenizeAttributes(source).forEach(({ name, value }) => {
+    if (!(name in attributes)) {
+      attributes[name] = value;
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * 查找 <noscript> 元素所在的范围
+ * @param {string} content - HTML内容
+ * @returns {Array} [[起始位置, 结束位置]]
+ */
+function getNoscriptRanges(content) {
+  const noscriptRegex = /<noscript\b[\s\S]*?<\/noscript\s*>/gi;
+  const ranges = [];
+  let match;
+
+  while ((match = noscriptRegex.exec(content)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return ranges;
+}
+
+/**
+ * 查找指定元素的内容范围，跳过注释和其他原始文本元素中的内容
+ * @param {string} content - HTML内容
+ * @param {Array} tagNames - 元素名列表
+ * @returns {Array} 按文档顺序排列的内容范围 [{ tagName, attributes, start, end }]
+ */
+function findElementContents(content, tagNames) {
+  const skipped = new Set([...RAW_TEXT_ELEMENTS, ...tagNames]);
+  const tagRegex = new RegExp(ELEMENT_TAG_REGEX.source, 'g');
+  const ranges = [];
+  let match;
+
+  while ((match = tagRegex.exec(content)) !== null) {
+    const [tag, closing, rawName, attributeSource] = match;
+    const tagName = rawName && rawName.toLowerCase();
+    if (!tagName || closing || !skipped.has(tagName)) {
+      continue;
+    }
+
+    const start = match.index + tag.length;
+    const closeRegex = new RegExp(`</${tagName}\\s*>`, 'gi');
+    closeRegex.lastIndex = start;
+    const close = closeRegex.exec(content);
+    const end = close ? close.index : content.length;
+
+    if (tagNames.includes(tagName)) {
+      ranges.push({ tagName, attributes: parseAttributes(attributeSource), start, end });
+    }
+    tagRegex.lastIndex = close ? close.index + close[0].length : content.length;
+  }
+
+  return ranges;
+}
+
+/**
+ * 只对指定范围之外的内容进行转换
+ * @param {string} content - HTML内容
+ * @param {Array} ranges - 按顺序排列、互不重叠的范围 [{ start, end }]
+ * @param {Function} transform - 转换函数 (text) => string
+ * @returns {string} 转换后的内容
+ */
+function mapOutsideRanges(content, ranges, transform) {
+  let result = '';
+  let position = 0;
+
+  ranges.forEach(({ start, end }) => {
+    result += transform(content.slice(position, start)) + content.slice(start, end);
+    position = end;
+  });
+
+  return result + transform(content.slice(position));
+}
+
+/**
+ * 获取 <script> 的类型（小写，不含参数）
+ * @param {object} attributes - 脚本属性
+ * @returns {string} 脚本类型，未指定时为空字符串
+ */
+function getScriptType(attributes) {
+  return (attributes.type || '').split(';')[0].trim().toLowerCase();
+}
 
 /**
  * HTML文件优化器
@@ -7,6 +225,11 @@ const htmlMinifier = require('html-minifier-terser');
  */
 class HTMLOptimizer {
   constructor() {
+    // 最近一次优化所应用的处理步骤和产生的警告，用于生成报告
+    this.transforms = [];
+    this.warnings = [];
+    // 最近一次优化读取的其他文件（<style> 中 @import 的样式表），用于判断缓存是否过期
+    this.dependencies = [];
     this.defaultOptions = {
       removeComments: true,
       removeCommentsFromCDATA: true,
@@ -49,16 +272,26 @@ class HTMLOptimizer {
   async optimize(filePath, options = {}) {
     try {
       const htmlContent = fs.readFileSync(filePath, 'utf8');
-      const mergedOptions = { ...this.defaultOptions, ...options.htmlOptions };
+      const mergedOptions = deepMerge(this.defaultOptions, options.htmlOptions);
+      this.transforms = [];
+      this.warnings = [];
+      this.dependencies = [];
       
       // 预处理：移除开发工具相关的注释和代码
       let processedContent = this.preprocessHTML(htmlContent);
+      this.transforms.push('preprocess');
+      
+      // 用CSS和JS优化器压缩内联的样式和脚本
+      processedContent = await this.minifyInlineCode(processedContent, filePath, options);
+      this.transforms.push('inline-code');
       
       // 使用html-minifier进行压缩
       const optimizedContent = await htmlMinifier.minify(processedContent, mergedOptions);
+      this.transforms.push('html-minifier');
       
       // 后处理：进一步优化
       const finalContent = this.postprocessHTML(optimizedContent);
+      this.transforms.push('postprocess');
       
       return finalContent;
     } catch (error) {
@@ -83,31 +316,146 @@ class HTMLOptimizer {
       return '';
     });
     
-    // 移除console.log等调试代码
-    processed = processed.replace(/console\.(log|warn|error|info|debug)\([^)]*\);?/g, '');
-    
-    // 移除空白行
-    processed = processed.replace(/^\s*[\r\n]/gm, '');
+    // 移除空白行（脚本中的调试代码由JS优化器按 drop_console 选项处理）
+    processed = mapOutsideRanges(processed, findElementContents(processed, PRESERVED_ELEMENTS), text =>
+      text.replace(/^\s*[\r\n]/gm, ''));
     
     return processed;
   }
 
+  /**
+   * 压缩内联的 <style>、<script> 和 style 属性
+   * 传统脚本和模块脚本交给JS优化器，JSON类型的脚本重新序列化，模板等其他类型保持不变；
+   * 无法压缩的代码保持原样并记录警告。
+   * @param {string} content - HTML内容
+   * @param {string} filePath - 文件路径，用于解析内联样式中的 @import
+   * @param {object} options - 优化选项（使用其中的 cssOptions 和 jsOptions）
+   * @returns {Promise<string>} 处理后的内容
+   */
+  async minifyInlineCode(content, filePath, options = {}) {
+    const blocks = findElementContents(content, ['script', 'style']);
+    let processed = content;
+
+    // 从后往前替换，保持前面内容的位置不变
+    for (const block of blocks.reverse()) {
+      const code = content.slice(block.start, block.end);
+      if (!code.trim()) {
+        continue;
+      }
+
+      const minified = block.tagName === 'style'
+        ? await this.minifyInlineStyle(code, filePath, options)
+        : await this.minifyInlineScript(code, block.attributes, options);
+      processed = processed.slice(0, block.start) + minified + processed.slice(block.end);
+    }
+
+    return this.minifyStyleAttributes(processed, options);
+  }
+
+  /**
+   * 压缩 <style> 的内容
+   * @param {string} code - CSS内容
+   * @param {string} filePath - 文件路径
+   * @param {object} options - 优化选项
+   * @returns {Promise<string>} 压缩后的内容，失败时返回原内容
+   */
+  async minifyInlineStyle(code, filePath, options) {
+    const cssOptimizer = new CSSOptimizer();
+
+    try {
+      const css = await cssOptimizer.optimizeContent(code, filePath, { cssOptions: options.cssOptions });
+      this.warnings.push(...cssOptimizer.warnings);
+      this.dependencies.push(...cssOptimizer.dependencies);
+      return /<\/style/i.test(css) ? code : css;
+    } catch (error) {
+      this.warnings.push(`内联样式未压缩: ${error.message}`);
+      return code;
+    }
+  }
+
+  /**
+   * 压缩 <script> 的内容
+   * @param {string} code - 脚本内容
+   * @param {object} attributes - 脚本属性
+   * @param {object} options - 优化选项
+   * @returns {Promise<string>} 压缩后的内容，不支持的类型或失败时返回原内容
+   */
+  async minifyInlineScript(code, attributes, options) {
+    const type = getScriptType(attributes);
+
+    // 设置了 src 的脚本会忽略内容
+    if (attributes.src !== undefined) {
+      return code;
+    }
+
+    if (JSON_SCRIPT_TYPES.includes(type)) {
+      try {
+        // JSON中的 < 只会出现在字符串里，转义后不会提前结束 <script>
+        return JSON.stringify(JSON.parse(code)).replace(/</g, '\\u003c');
+      } catch (error) {
+        this.warnings.push(`内联JSON未压缩（${type}）: ${error.message}`);
+        return code;
+      }
+    }
+
+    if (type !== 'module' && !JS_SCRIPT_TYPES.includes(type)) {
+      return code;
+    }
+
+    try {
+      return await new JSOptimizer().optimizeInline(code, options, type === 'module');
+    } catch (error) {
+      this.warnings.push(error.message);
+      return code;
+    }
+  }
+
+  /**
+   * 压缩元素的 style 属性
+   * 包含字符引用或模板语法的属性值保持不变
+   * @param {string} content - HTML内容
+   * @param {object} options - 优化选项
+   * @returns {string} 处理后的内容
+   */
+  minifyStyleAttributes(content, options) {
+    const cssOptimizer = new CSSOptimizer();
+    const tagRegex = new RegExp(ELEMENT_TAG_REGEX.source, 'g');
+
+    const processed = mapOutsideRanges(content, findElementContents(content, PRESERVED_ELEMENTS), text =>
+      text.replace(tagRegex, (tag, closing, rawName, attributeSource) => {
+        const style = rawName && !closing && tokenizeAttributes(attributeSource).find(({ name }) => name === 'style');
+        if (!style || !style.value.trim() || /&|\{\{/.test(style.value)) {
+          return tag;
+        }
+
+        const minified = cssOptimizer.minifyDeclarations(style.value, options);
+        const quote = style.raw.endsWith("'") ? "'" : '"';
+        const escaped = minified.replace(quote === '"' ? /"/g : /'/g, quote === '"' ? '&quot;' : '&#39;');
+        const start = 1 + rawName.length + style.index;
+        return `${tag.slice(0, start)}style=${quote}${escaped}${quote}${tag.slice(start + style.raw.length)}`;
+      }));
+
+    this.warnings.push(...cssOptimizer.warnings);
+    return processed;
+  }
+
   /**
    * 后处理HTML内容
    * @param {string} content - 已压缩的HTML内容
    * @returns {string} 最终优化后的内容
    */
   postprocessHTML(content) {
-    let processed = content;
-    
-    // 移除多余的空格
-    processed = processed.replace(/\s+/g, ' ');
-    
-    // 优化属性顺序（可选）
-    processed = this.optimizeAttributeOrder(processed);
-    
-    // 移除空的class和id属性
-    processed = processed.replace(/\s+(class|id)=""/g, '');
+    // 脚本、样式和预格式化文本的内容保持不变
+    const processed = mapOutsideRanges(content, findElementContents(content, PRESERVED_ELEMENTS), text => {
+      // 移除多余的空格
+      let result = text.replace(/\s+/g, ' ');
+      
+      // 优化属性顺序（可选）
+      result = this.optimizeAttributeOrder(result);
+      
+      // 移除空的class和id属性
+      return result.replace(/\s+(class|id)=""/g, '');
+    });
     
     return processed.trim();
   }
@@ -123,12 +471,12 @@ class HTMLOptimizer {
       
       // 属性优先级：id, class, 其他属性
       const attrMap = new Map();
-      const attrList = [];
       
-      // 解析属性
-      attributes.replace(/(\w+)=["']([^"']*)["']/g, (attrMatch, name, value) => {
-        attrMap.set(name, value);
-        attrList.push(name);
+      // 解析属性（保留原始写法，避免丢失无引号和无值的属性）
+      tokenizeAttributes(attributes).forEach(({ name, raw }) => {
+        if (!attrMap.has(name)) {
+          attrMap.set(name, raw);
+        }
       });
       
       // 重新排序属性
@@ -138,7 +486,7 @@ class HTMLOptimizer {
       const priorityAttrs = ['id', 'class', 'type', 'name', 'value', 'src', 'href'];
       priorityAttrs.forEach(attr => {
         if (attrMap.has(attr)) {
-          orderedAttrs.push(`${attr}="${attrMap.get(attr)}"`);
+          orderedAttrs.push(attrMap.get(attr));
           attrMap.delete(attr);
         }
       });
@@ -147,8 +495,8 @@ class HTMLOptimizer {
       const remainingAttrs = Array.from(attrMap.entries())
         .sort((a, b) => a[0].localeCompare(b[0]));
       
-      remainingAttrs.forEach(([name, value]) => {
-        orderedAttrs.push(`${name}="${value}"`);
+      remainingAttrs.forEach(([, raw]) => {
+        orderedAttrs.push(raw);
       });
       
       return `<${tagName}${orderedAttrs.length ? ' ' + orderedAttrs.join(' ') : ''}>`;
@@ -193,31 +541,94 @@ class HTMLOptimizer {
     return tags;
   }
 
+  /**
+   * 解析页面的静态DOM结构（不执行脚本，不补全省略的结束标签）
+   * @param {string} content - HTML内容
+   * @returns {Array} 按文档顺序排列的元素 [{ tagName, attributes, id, classes, parent, previous }]
+   */
+  extractElements(content) {
+    const elements = [];
+    const stack = [];
+    const lastChild = new Map();
+    let match;
+    
+    ELEMENT_TAG_REGEX.lastIndex = 0;
+    while ((match = ELEMENT_TAG_REGEX.exec(content)) !== null) {
+      const [tag, closing, rawName, attributeSource, selfClosing] = match;
+      if (!rawName) {
+        continue;
+      }
+      
+      const tagName = rawName.toLowerCase();
+      if (closing) {
+        const openIndex = stack.map(element => element.tagName).lastIndexOf(tagName);
+        if (openIndex !== -1) {
+          stack.length = openIndex;
+        }
+        continue;
+      }
+      
+      const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+      const attributes = parseAttributes(attributeSource);
+      const element = {
+        tagName,
+        attributes,
+        id: attributes.id || null,
+        classes: (attributes.class || '').split(/\s+/).filter(Boolean),
+        parent,
+        previous: lastChild.get(parent) || null
+      };
+      elements.push(element);
+      lastChild.set(parent, element);
+      
+      // 跳过脚本、样式等元素的内容
+      if (RAW_TEXT_ELEMENTS.includes(tagName)) {
+        const closeRegex = new RegExp(`</${tagName}\\s*>`, 'gi');
+        closeRegex.lastIndex = match.index + tag.length;
+        const close = closeRegex.exec(content);
+        ELEMENT_TAG_REGEX.lastIndex = close ? close.index + close[0].length : content.length;
+        continue;
+      }
+      
+      if (!selfClosing && !VOID_ELEMENTS.includes(tagName)) {
+        stack.push(element);
+      }
+    }
+    
+    return elements;
+  }
+
   /**
    * 提取脚本标签
    * @param {string} content - HTML内容
    * @returns {Array} 脚本信息
    */
   extractScripts(content) {
-    const scriptRegex = /<script[^>]*src=["']([^"']*)["'][^>]*>/g;
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
     const scripts = [];
     let match;
     
     while ((match = scriptRegex.exec(content)) !== null) {
-      scripts.push({
-        src: match[1],
-        inline: false
-      });
-    }
-    
-    // 内联脚本
-    const inlineScriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/g;
-    while ((match = inlineScriptRegex.exec(content)) !== null) {
-      scripts.push({
-        src: 'inline',
-        content: match[1].trim(),
-        inline: true
-      });
+      const attributes = parseAttributes(match[1]);
+      if (attributes.src !== undefined) {
+        scripts.push({
+          src: attributes.src,
+          inline: false,
+          attributes,
+          tag: match[0],
+          index: match.index
+        });
+      } else {
+        // 内联脚本
+        scripts.push({
+          src: 'inline',
+          content: match[2].trim(),
+          inline: true,
+          attributes,
+          tag: match[0],
+          index: match.index
+        });
+      }
     }
     
     return scripts;
@@ -229,45 +640,301 @@ class HTMLOptimizer {
    * @returns {Array} 样式信息
    */
   extractStyles(content) {
-    const styleRegex = /<link[^>]*rel=["']stylesheet["'][^>]*href=["']([^"']*)["'][^>]*>/g;
+    const linkRegex = /<link\b([^>]*)>/gi;
     const styles = [];
     let match;
     
-    while ((match = styleRegex.exec(content)) !== null) {
-      styles.push({
-        href: match[1],
-        inline: false
-      });
+    while ((match = linkRegex.exec(content)) !== null) {
+      const attributes = parseAttributes(match[1]);
+      const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+      if (rel.includes('stylesheet') && attributes.href !== undefined) {
+        styles.push({
+          href: attributes.href,
+          inline: false,
+          attributes,
+          tag: match[0],
+          index: match.index
+        });
+      }
     }
     
     // 内联样式
-    const inlineStyleRegex = /<style[^>]*>([\s\S]*?)<\/style>/g;
+    const inlineStyleRegex = /<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi;
     while ((match = inlineStyleRegex.exec(content)) !== null) {
       styles.push({
         href: 'inline',
-        content: match[1].trim(),
-        inline: true
+        content: match[2].trim(),
+        inline: true,
+        attributes: parseAttributes(match[1]),
+        tag: match[0],
+        index: match.index
       });
     }
     
     return styles;
   }
 
+  /**
+   * 提取可以使用子资源完整性校验的标签：外部脚本，以及样式表、modulepreload 和预加载脚本/样式的 <link>
+   * @param {string} content - HTML内容
+   * @returns {Array} 子资源信息 [{ url, tagName, attributes, tag }]
+   */
+  extractSubresources(content) {
+    const subresources = [];
+    let match;
+
+    SUBRESOURCE_TAG_REGEX.lastIndex = 0;
+    while ((match = SUBRESOURCE_TAG_REGEX.exec(content)) !== null) {
+      const tagName = match[1].toLowerCase();
+      const attributes = parseAttributes(match[2]);
+      const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+      const url = tagName === 'script' ? attributes.src : attributes.href;
+
+      const isSubresource = tagName === 'script' ||
+        rel.includes('stylesheet') ||
+        rel.includes('modulepreload') ||
+        (rel.includes('preload') && ['script', 'style'].includes((attributes.as || '').toLowerCase()));
+
+      if (url && isSubresource) {
+        subresources.push({ url, tagName, attributes, tag: match[0] });
+      }
+    }
+
+    return subresources;
+  }
+
+  /**
+   * 为外部脚本和样式表标签设置 integrity 属性，缺少 crossorigin 时一并添加
+   * @param {string} content - HTML内容
+   * @param {Map} integrities - 引用地址到完整性摘要的映射
+   * @param {string} crossorigin - crossorigin 属性值
+   * @returns {string} 处理后的HTML内容
+   */
+  addIntegrity(content, integrities, crossorigin = 'anonymous') {
+    SUBRESOURCE_TAG_REGEX.lastIndex = 0;
+    return content.replace(SUBRESOURCE_TAG_REGEX, (tag, tagName, attributes, selfClosing) => {
+      const parsed = parseAttributes(attributes);
+      const url = tagName.toLowerCase() === 'script' ? parsed.src : parsed.href;
+      const integrity = url && integrities.get(url);
+      if (!integrity) {
+        return tag;
+      }
+
+      const kept = tokenizeAttributes(attributes)
+        .filter(({ name }) => name !== 'integrity')
+        .map(({ raw }) => raw);
+      kept.push(`integrity="${integrity}"`);
+      if (parsed.crossorigin === undefined) {
+        kept.push(`crossorigin="${crossorigin}"`);
+      }
+
+      return `<${tagName} ${kept.join(' ')}${selfClosing ? ' /' : ''}>`;
+    });
+  }
+
+  /**
+   * 将引用GIF动图的 <img> 替换为自动播放、循环且静音的 <video>，原 <img> 作为不支持视频时的回退
+   * 带 srcset 的图片和已位于 <picture>、<video> 中的图片保持不变
+   * @param {string} content - HTML内容
+   * @param {Function} getVideoFormats - (src) => 该图片已生成的视频格式列表（如 ['webm', 'mp4']）
+   * @returns {object} { content, replaced }
+   */
+  replaceGIFsWithVideo(content, getVideoFormats) {
+    const ranges = findElementContents(content, [...RAW_TEXT_ELEMENTS, 'picture', 'video']);
+    let replaced = 0;
+
+    const result = mapOutsideRanges(content, ranges, text => text.replace(IMG_TAG_REGEX, (tag, attributeSource) => {
+      const attributes = tokenizeAttributes(attributeSource);
+      const parsed = parseAttributes(attributeSource);
+      const formats = parsed.src && parsed.srcset === undefined
+        ? VIDEO_SOURCE_ORDER.filter(format => getVideoFormats(parsed.src).includes(format))
+        : [];
+      if (formats.length === 0) {
+        return tag;
+      }
+
+      // 尺寸、样式和 id 移到 <video> 上，替代文本改为无障碍标签
+      const videoAttributes = attributes
+        .filter(({ name }) => VIDEO_COPIED_ATTRIBUTES.includes(name))
+        .map(({ raw }) => raw);
+      videoAttributes.push(parsed.alt ? `aria-label="${parsed.alt.replace(/"/g, '&quot;')}" role="img"` : 'aria-hidden="true"');
+      const fallbackAttributes = attributes
+        .filter(({ name }) => name !== 'id')
+        .map(({ raw }) => raw);
+
+      const sources = formats.map(format => {
+        const src = parsed.src.replace(/\.gif(?=[?#]|$)/i, `.${format}`);
+        return `<source src="${src}" type="video/${format}">`;
+      });
+
+      replaced++;
+      return `<video autoplay loop muted playsinline ${videoAttributes.join(' ')}>${sources.join('')}<img ${fallbackAttributes.join(' ')}></video>`;
+    }));
+
+    return { content: result, replaced };
+  }
+
+  /**
+   * 为 <img> 补全属性：按图片的固有尺寸添加缺少的 width/height，避免加载时的布局偏移；
+   * 文档中前 eagerCount 张之后的图片添加 loading="lazy" 和 decoding="async"
+   * 已有的属性保持不变，只有 width 或 height 之一时按固有宽高比计算另一个
+   * @param {string} content - HTML内容
+   * @param {Function} getImageSize - (src) => { width, height }，无法读取时返回null
+   * @param {object} options - 图片属性选项 { dimensions, lazy, eagerCount }
+   * @returns {object} { content, dimensions, lazy } 添加了尺寸和延迟加载的图片数量
+   */
+  addImageAttributes(content, getImageSize, options) {
+    const ranges = findElementContents(content, RAW_TEXT_ELEMENTS);
+    const counts = { dimensions: 0, lazy: 0 };
+    let index = 0;
+
+    const result = mapOutsideRanges(content, ranges, text => text.replace(IMG_TAG_REGEX, (tag, attributeSource) => {
+      const attributes = parseAttributes(attributeSource);
+      const added = [];
+      index++;
+
+      const hasWidth = attributes.width !== undefined;
+      const hasHeight = attributes.height !== undefined;
+      if (options.dimensions && !(hasWidth && hasHeight) && attributes.src) {
+        const size = getImageSize(attributes.src);
+        // 只按纯数字的尺寸计算，百分比等写法不作处理
+        const width = /^\d+$/.test(attributes.width) ? Number(attributes.width) : 0;
+        const height = /^\d+$/.test(attributes.height) ? Number(attributes.height) : 0;
+        if (size && !hasWidth && !hasHeight) {
+          added.push(`width="${size.width}"`, `height="${size.height}"`);
+        } else if (size && width > 0) {
+          added.push(`height="${Math.round(width * size.height / size.width)}"`);
+        } else if (size && height > 0) {
+          added.push(`width="${Math.round(height * size.width / size.height)}"`);
+        }
+        if (added.length > 0) {
+          counts.dimensions++;
+        }
+      }
+
+      if (options.lazy && index > options.eagerCount) {
+        const lazyAttributes = [];
+        if (attributes.loading === undefined) {
+          lazyAttributes.push('loading="lazy"');
+        }
+        if (attributes.decoding === undefined) {
+          lazyAttributes.push('decoding="async"');
+        }
+        if (lazyAttributes.length > 0) {
+          added.push(...lazyAttributes);
+          counts.lazy++;
+        }
+      }
+
+      return added.length > 0 ? `<img${attributeSource} ${added.join(' ')}>` : tag;
+    }));
+
+    return { content: result, ...counts };
+  }
+
+  /**
+   * 为有多个尺寸版本的 <img> 填写 srcset（按宽度描述），缺少 sizes 时一并添加
+   * 已有 srcset 的图片以及已位于 <picture>、<video> 中的图片保持不变
+   * @param {string} content - HTML内容
+   * @param {Function} getCandidates - (src) => 按宽度排列的候选地址 [{ url, width }]，包含原图
+   * @param {string} sizes - 默认的 sizes 属性值
+   * @returns {object} { content, replaced }
+   */
+  addResponsiveSrcset(content, getCandidates, sizes) {
+    const ranges = findElementContents(content, [...RAW_TEXT_ELEMENTS, 'picture', 'video']);
+    let replaced = 0;
+
+    const result = mapOutsideRanges(content, ranges, text => text.replace(IMG_TAG_REGEX, (tag, attributeSource) => {
+      const attributes = parseAttributes(attributeSource);
+      const candidates = attributes.src && attributes.srcset === undefined ? getCandidates(attributes.src) : [];
+      if (candidates.length < 2) {
+        return tag;
+      }
+
+      const added = [`srcset="${candidates.map(({ url, width }) => `${url} ${width}w`).join(', ')}"`];
+      if (attributes.sizes === undefined) {
+        added.push(`sizes="${sizes}"`);
+      }
+
+      replaced++;
+      return `<img${attributeSource} ${added.join(' ')}>`;
+    }));
+
+    return { content: result, replaced };
+  }
+
+  /**
+   * 将有WebP/AVIF版本的 <img> 包装为 <picture>，按格式添加 <source>，原 <img> 保持不变作为回退
+   * src 和 srcset 中的每个候选地址都有对应版本时才添加该格式的 <source>，sizes 一并复制；
+   * 已位于 <picture>、<video> 中的图片保持不变
+   * @param {string} content - HTML内容
+   * @param {Function} getImageFormats - (url) => 该图片已生成的新格式列表（如 ['avif', 'webp']）
+   * @returns {object} { content, replaced }
+   */
+  rewritePictures(content, getImageFormats) {
+    const ranges = findElementContents(content, [...RAW_TEXT_ELEMENTS, 'picture', 'video']);
+    let replaced = 0;
+
+    const result = mapOutsideRanges(content, ranges, text => text.replace(IMG_TAG_REGEX, (tag, attributeSource) => {
+      const attributes = parseAttributes(attributeSource);
+      const candidates = [];
+      if (attributes.src) {
+        candidates.push({ url: attributes.src, descriptor: '' });
+      }
+      // srcset 中已包含 src 时以 srcset 为准
+      if (attributes.srcset) {
+        candidates.length = 0;
+        attributes.srcset.split(/,(?=\s*\S)/).forEach(candidate => {
+          const [url, ...descriptors] = candidate.trim().split(/\s+/);
+          candidates.push({ url, descriptor: descriptors.join(' ') });
+        });
+      }
+      if (candidates.length === 0 || candidates.some(({ url }) => !url || url.startsWith('data:'))) {
+        return tag;
+      }
+
+      const sources = Object.entries(PICTURE_SOURCE_TYPES)
+        .filter(([format]) => candidates.every(({ url }) => getImageFormats(url).includes(format)))
+        .map(([format, type]) => {
+          const srcset = candidates
+            .map(({ url, descriptor }) => {
+              const variant = url.replace(/\.[^./?#]+(?=[?#]|$)/, `.${format}`);
+              return descriptor ? `${variant} ${descriptor}` : variant;
+            })
+            .join(', ');
+          const sizes = attributes.sizes !== undefined ? ` sizes="${attributes.sizes}"` : '';
+          return `<source type="${type}" srcset="${srcset}"${sizes}>`;
+        });
+      if (sources.length === 0) {
+        return tag;
+      }
+
+      replaced++;
+      return `<picture>${sources.join('')}${tag}</picture>`;
+    }));
+
+    return { content: result, replaced };
+  }
+
   /**
    * 提取图片标签
    * @param {string} content - HTML内容
    * @returns {Array} 图片信息
    */
   extractImages(content) {
-    const imgRegex = /<img[^>]*src=["']([^"']*)["'][^>]*>/g;
+    const imgRegex = /<img\b([^>]*)>/gi;
     const images = [];
     let match;
     
     while ((match = imgRegex.exec(content)) !== null) {
+      const attributes = parseAttributes(match[1]);
+      if (attributes.src === undefined) continue;
       images.push({
-        src: match[1],
-        alt: match[0].match(/alt=["']([^"']*)["']/)?.[1] || '',
-        title: match[0].match(/title=["']([^"']*)["']/)?.[1] || ''
+        src: attributes.src,
+        alt: attributes.alt || '',
+        title: attributes.title || '',
+        attributes,
+        tag: match[0]
       });
     }
     
@@ -308,5 +975,12 @@ async function optimizeHTML(filePath, options = {}) {
 
 module.exports = {
   HTMLOptimizer,
-  optimizeHTML
+  optimizeHTML,
+  tokenizeAttributes,
+  parseAttributes,
+  getNoscriptRanges,
+  getScriptType,
+  resolveImageAttributeOptions,
+  JS_SCRIPT_TYPES,
+  DEFAULT_IMAGE_ATTRIBUTE_OPTIONS
 };
@@ -1,17 +1,165 @@
 const fs = require('fs');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const imagemin = require('imagemin');
 const imageminMozjpeg = require('imagemin-mozjpeg');
 const imageminPngquant = require('imagemin-pngquant');
 const imageminSvgo = require('imagemin-svgo');
 const imageminWebp = require('imagemin-webp');
+const gifsicle = require('gifsicle');
+const ffmpeg = require('ffmpeg-static');
+const { deepMerge } = require('./utils');
+const { getImageSize } = require('./image-size');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * 调用外部编码器时允许的最大输出（GIF通过标准输出返回）
+ */
+const MAX_BUFFER = 512 * 1024 * 1024;
+
+/**
+ * 动图可以转换成的视频格式
+ */
+const VIDEO_FORMATS = ['mp4', 'webm'];
+
+/**
+ * 响应式图片的默认选项
+ */
+const DEFAULT_RESPONSIVE_OPTIONS = {
+  widths: [320, 640, 1280, 1920],
+  sizes: '100vw'
+};
+
+/**
+ * 可以生成不同尺寸版本的格式，以及缩放后重新压缩所用的方法
+ */
+const RESIZABLE_FORMATS = {
+  '.jpg': 'optimizeJPEG',
+  '.jpeg': 'optimizeJPEG',
+  '.png': 'optimizePNG',
+  '.webp': 'optimizeWebP'
+};
+
+/**
+ * 将 responsive 配置（true、false 或对象）规范化为完整选项
+ * @param {boolean|object} value - responsive 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveResponsiveOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  const options = { ...DEFAULT_RESPONSIVE_OPTIONS, ...rest };
+  if (!Array.isArray(options.widths) || options.widths.some(width => !Number.isInteger(width) || width <= 0)) {
+    throw new Error(`响应式图片的宽度必须是正整数列表: ${JSON.stringify(options.widths)}`);
+  }
+  options.widths = Array.from(new Set(options.widths)).sort((a, b) => a - b);
+  return options;
+}
+
+/**
+ * 计算AVIF编码的 effort：设置了 speed（0 最慢、9 最快）时按 effort = 9 - speed 换算，否则使用 effort
+ * @param {object} avif - avif 配置
+ * @returns {number} sharp的 effort（0-9）
+ */
+function getAVIFEffort(avif) {
+  return avif.speed === undefined ? avif.effort : 9 - avif.speed;
+}
+
+/**
+ * 获取某个宽度版本的路径，如 img/hero.jpg → img/hero-640w.jpg（保留地址中的查询参数和锚点）
+ * @param {string} file - 原图的路径或引用地址
+ * @param {number} width - 宽度
+ * @returns {string} 该宽度版本的路径
+ */
+function getResizedPath(file, width) {
+  return file.replace(/(\.[^./\\?#]+)(?=[?#]|$)/, `-${width}w$1`);
+}
+
+/**
+ * 统计GIF中的帧数（图像描述块的数量），无法解析时返回0
+ * @param {Buffer} buffer - GIF数据
+ * @returns {number} 帧数
+ */
+function countGIFFrames(buffer) {
+  if (buffer.length < 13 || buffer.toString('latin1', 0, 3) !== 'GIF') {
+    return 0;
+  }
+
+  // 跳过数据子块序列，返回块结束符之后的位置
+  const skipSubBlocks = position => {
+    while (position < buffer.length && buffer[position] !== 0) {
+      position += buffer[position] + 1;
+    }
+    return position + 1;
+  };
+
+  const flags = buffer[10];
+  let position = 13 + (flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0);
+  let frames = 0;
+
+  while (position < buffer.length) {
+    const block = buffer[position];
+    if (block === 0x2C) {
+      const imageFlags = buffer[position + 9];
+      frames++;
+      position += 10 + (imageFlags & 0x80 ? 3 * (1 << ((imageFlags & 0x07) + 1)) : 0);
+      position = skipSubBlocks(position + 1);
+    } else if (block === 0x21) {
+      position = skipSubBlocks(position + 2);
+    } else {
+      break;
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * 获取可用的ffmpeg路径
+ * ffmpeg-static 在安装时下载二进制文件，下载失败或平台不受支持时没有可用的文件
+ * @returns {string|null} ffmpeg路径，不可用时返回null
+ */
+function getFFmpegPath() {
+  return ffmpeg && fs.existsSync(ffmpeg) ? ffmpeg : null;
+}
+
+/**
+ * 将 animatedGif.video 配置规范化为视频格式列表
+ * @param {boolean|string|Array} value - video 配置
+ * @returns {Array} 视频格式列表，未启用时为空数组
+ */
+function resolveVideoFormats(value) {
+  if (!value) {
+    return [];
+  }
+
+  const formats = value === true ? VIDEO_FORMATS : [].concat(value);
+  formats.forEach(format => {
+    if (!VIDEO_FORMATS.includes(format)) {
+      throw new Error(`不支持的动图视频格式: ${format}（可选 ${VIDEO_FORMATS.join('、')}）`);
+    }
+  });
+  return Array.from(new Set(formats));
+}
 
 /**
  * 图片文件优化器
- * 功能包括：压缩图片、格式转换、生成WebP格式、优化SVG等
+ * 功能包括：压缩图片、格式转换、生成WebP和AVIF格式、优化SVG和GIF等
  */
 class ImageOptimizer {
   constructor() {
+    // 最近一次优化所应用的处理步骤和产生的警告，用于生成报告
+    this.transforms = [];
+    this.warnings = [];
     this.supportedFormats = ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp'];
     this.defaultOptions = {
       jpeg: {
@@ -78,6 +226,26 @@ class ImageOptimizer {
         nearLossless: false,
         smartSubsample: false,
         mixed: false
+      },
+      avif: {
+        quality: 50,
+        effort: 4,
+        chromaSubsampling: '4:2:0',
+        lossless: false
+      },
+      gif: {
+        optimizationLevel: 3,
+        colors: 256,
+        lossy: 0,
+        interlaced: false
+      },
+      animatedGif: {
+        webp: false,
+        webpQuality: 75,
+        video: false,
+        mp4Crf: 28,
+        webmCrf: 35,
+        replaceInHtml: true
       }
     };
   }
@@ -87,12 +255,14 @@ class ImageOptimizer {
    * @param {string} inputPath - 输入文件路径
    * @param {string} outputPath - 输出文件路径
    * @param {object} options - 优化选项
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} 生成的衍生文件路径列表（如WebP）
    */
   async optimize(inputPath, outputPath, options = {}) {
     try {
       const fileExt = path.extname(inputPath).toLowerCase();
-      const mergedOptions = { ...this.defaultOptions, ...options.imageOptions };
+      const mergedOptions = deepMerge(this.defaultOptions, options.imageOptions);
+      this.transforms = [];
+      this.warnings = [];
       
       // 确保输出目录存在
       const outputDir = path.dirname(outputPath);
@@ -106,18 +276,23 @@ class ImageOptimizer {
         case '.jpg':
         case '.jpeg':
           optimizedBuffer = await this.optimizeJPEG(inputPath, mergedOptions);
+          this.transforms.push('mozjpeg');
           break;
         case '.png':
           optimizedBuffer = await this.optimizePNG(inputPath, mergedOptions);
+          this.transforms.push('pngquant');
           break;
         case '.svg':
           optimizedBuffer = await this.optimizeSVG(inputPath, mergedOptions);
+          this.transforms.push('svgo');
           break;
         case '.gif':
           optimizedBuffer = await this.optimizeGIF(inputPath, mergedOptions);
+          this.transforms.push('gifsicle');
           break;
         case '.webp':
           optimizedBuffer = await this.optimizeWebP(inputPath, mergedOptions);
+          this.transforms.push('webp');
           break;
         default:
           throw new Error(`不支持的图片格式: ${fileExt}`);
@@ -126,11 +301,40 @@ class ImageOptimizer {
       // 写入优化后的文件
       fs.writeFileSync(outputPath, optimizedBuffer);
       
+      const variants = [];
+      
+      // GIF由ffmpeg转换，动图可以同时生成动态WebP和视频；sharp不能编码AVIF动图，GIF不生成AVIF
+      if (fileExt === '.gif') {
+        variants.push(...await this.convertGIF(inputPath, outputPath, mergedOptions, mergedOptions.generateWebP || options.generateWebP));
+        return variants;
+      }
+      
       // 如果启用了WebP转换，生成WebP版本
-      if (options.generateWebP && !fileExt.includes('webp')) {
-        await this.generateWebP(inputPath, outputPath, mergedOptions);
+      if ((mergedOptions.generateWebP || options.generateWebP) && !fileExt.includes('webp')) {
+        const webpPath = await this.generateWebP(inputPath, outputPath, mergedOptions);
+        if (webpPath) {
+          variants.push(webpPath);
+          this.transforms.push('webp-variant');
+        }
+      }
+      
+      // 如果启用了AVIF转换，生成AVIF版本（SVG为矢量图，不转换）
+      if ((mergedOptions.generateAVIF || options.generateAVIF) && fileExt !== '.svg') {
+        const avifPath = await this.generateAVIF(inputPath, outputPath, mergedOptions);
+        if (avifPath) {
+          variants.push(avifPath);
+          this.transforms.push('avif-variant');
+        }
+      }
+      
+      // 生成小于原图宽度的各尺寸版本
+      const responsive = resolveResponsiveOptions(mergedOptions.responsive);
+      if (responsive && RESIZABLE_FORMATS[fileExt]) {
+        variants.push(...await this.generateResponsive(inputPath, outputPath, responsive, mergedOptions, options));
       }
       
+      return variants;
+      
     } catch (error) {
       throw new Error(`图片优化失败: ${error.message}`);
     }
@@ -197,9 +401,104 @@ class ImageOptimizer {
    * @returns {Promise<Buffer>} 优化后的图片数据
    */
   async optimizeGIF(inputPath, options) {
-    // GIF优化相对简单，主要是移除元数据
+    const { optimizationLevel, colors, lossy, interlaced } = options.gif;
+    const args = ['--no-warnings', '--no-comments', '--no-names', '--no-extensions', `-O${optimizationLevel}`];
+    if (colors && colors < 256) {
+      args.push('--colors', String(colors));
+    }
+    if (lossy > 0) {
+      args.push(`--lossy=${lossy}`);
+    }
+    if (interlaced) {
+      args.push('--interlace');
+    }
+    args.push(inputPath);
+    
     const buffer = fs.readFileSync(inputPath);
-    return buffer;
+    const { stdout } = await execFileAsync(gifsicle, args, { encoding: 'buffer', maxBuffer: MAX_BUFFER });
+    
+    // 已经充分优化的GIF重新编码后可能变大，此时保留原文件
+    return stdout.length > 0 && stdout.length < buffer.length ? stdout : buffer;
+  }
+
+  /**
+   * 按配置将GIF转换为WebP和视频
+   * 静态GIF只在启用WebP转换时生成WebP；动图还可以生成动态WebP以及MP4/WebM视频
+   * @param {string} inputPath - 输入文件路径
+   * @param {string} outputPath - 输出文件路径
+   * @param {object} options - 优化选项
+   * @param {boolean} generateWebP - 是否启用了WebP转换
+   * @returns {Promise<Array>} 生成的衍生文件路径列表
+   */
+  async convertGIF(inputPath, outputPath, options, generateWebP) {
+    const { animatedGif } = options;
+    const animated = countGIFFrames(fs.readFileSync(inputPath)) > 1;
+    const videoFormats = animated ? resolveVideoFormats(animatedGif.video) : [];
+    const variants = [];
+    
+    // 明确要求的动图转换在没有ffmpeg时直接报错，而不是每张图片输出一条警告后静默跳过
+    const required = [
+      ...(animated && animatedGif.webp ? ['images.animatedGif.webp'] : []),
+      ...(videoFormats.length > 0 ? ['images.animatedGif.video'] : [])
+    ];
+    if (required.length > 0 && !getFFmpegPath()) {
+      throw new Error(`启用了 ${required.join('、')}，但找不到ffmpeg（${ffmpeg || '当前平台不受 ffmpeg-static 支持'}）。` +
+        '请重新安装 ffmpeg-static，或用 FFMPEG_BIN 环境变量指定ffmpeg的路径');
+    }
+    
+    if (generateWebP || (animated && animatedGif.webp)) {
+      const webpPath = outputPath.replace(/\.[^.]+$/, '.webp');
+      const converted = await this.runFFmpeg(inputPath, webpPath, [
+        '-c:v', 'libwebp',
+        '-quality', String(animated ? animatedGif.webpQuality : options.webp.quality),
+        '-loop', '0'
+      ], 'WebP');
+      if (converted) {
+        variants.push(webpPath);
+        this.transforms.push(animated ? 'animated-webp' : 'webp-variant');
+      }
+    }
+    
+    for (const format of videoFormats) {
+      const videoPath = outputPath.replace(/\.[^.]+$/, `.${format}`);
+      const args = format === 'mp4'
+        ? ['-c:v', 'libx264', '-crf', String(animatedGif.mp4Crf), '-pix_fmt', 'yuv420p', '-movflags', '+faststart']
+        : ['-c:v', 'libvpx-vp9', '-crf', String(animatedGif.webmCrf), '-b:v', '0'];
+      // H.264和VP9的 yuv420p 要求宽高为偶数
+      args.push('-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2');
+      
+      if (await this.runFFmpeg(inputPath, videoPath, args, format.toUpperCase())) {
+        variants.push(videoPath);
+        this.transforms.push(`${format}-variant`);
+      }
+    }
+    
+    return variants;
+  }
+
+  /**
+   * 使用ffmpeg转换图片，失败时记录警告
+   * @param {string} inputPath - 输入文件路径
+   * @param {string} targetPath - 目标文件路径
+   * @param {Array} args - 编码参数
+   * @param {string} label - 目标格式名称，用于警告信息
+   * @returns {Promise<boolean>} 是否转换成功
+   */
+  async runFFmpeg(inputPath, targetPath, args, label) {
+    try {
+      if (!getFFmpegPath()) {
+        throw new Error('当前平台没有可用的ffmpeg');
+      }
+      await execFileAsync(ffmpeg, ['-y', '-v', 'error', '-i', inputPath, ...args, '-an', targetPath], { maxBuffer: MAX_BUFFER });
+      return true;
+    } catch (error) {
+      const message = (error.stderr || error.message).toString().trim();
+      this.warnings.push(`${label}转换失败: ${message}`);
+      if (fs.existsSync(targetPath)) {
+        fs.unlinkSync(targetPath);
+      }
+      return false;
+    }
   }
 
   /**
@@ -225,7 +524,7 @@ class ImageOptimizer {
    * @param {string} inputPath - 输入文件路径
    * @param {string} outputPath - 输出文件路径
    * @param {object} options - 优化选项
-   * @returns {Promise<void>}
+   * @returns {Promise<string|null>} WebP文件路径，转换失败时返回null
    */
   async generateWebP(inputPath, outputPath, options) {
     try {
@@ -239,9 +538,95 @@ class ImageOptimizer {
       });
       
       fs.writeFileSync(webpPath, result[0].data);
+      return webpPath;
     } catch (error) {
-      console.warn('WebP转换失败:', error.message);
+      this.warnings.push(`WebP转换失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 生成AVIF格式图片
+   * @param {string} inputPath - 输入文件路径
+   * @param {string} outputPath - 输出文件路径
+   * @param {object} options - 优化选项
+   * @returns {Promise<string|null>} AVIF文件路径，转换失败时返回null
+   */
+  async generateAVIF(inputPath, outputPath, options) {
+    const avifPath = outputPath.replace(/\.[^.]+$/, '.avif');
+    try {
+      // sharp为原生模块，只在启用AVIF转换时加载
+      const sharp = require('sharp');
+      const { quality, chromaSubsampling, lossless } = options.avif;
+      await sharp(inputPath)
+        .avif({ quality, effort: getAVIFEffort(options.avif), chromaSubsampling, lossless })
+        .toFile(avifPath);
+      return avifPath;
+    } catch (error) {
+      if (fs.existsSync(avifPath)) {
+        fs.unlinkSync(avifPath);
+      }
+      this.warnings.push(`AVIF转换失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 按配置的宽度生成缩小的版本并重新压缩，不放大小于该宽度的原图
+   * 启用WebP/AVIF转换时，各尺寸版本同样生成对应格式
+   * @param {string} inputPath - 输入文件路径
+   * @param {string} outputPath - 输出文件路径
+   * @param {object} responsive - 响应式图片选项
+   * @param {object} mergedOptions - 合并默认值后的图片选项
+   * @param {object} options - 优化选项
+   * @returns {Promise<Array>} 生成的文件路径列表
+   */
+  async generateResponsive(inputPath, outputPath, responsive, mergedOptions, options) {
+    const fileExt = path.extname(inputPath).toLowerCase();
+    const size = getImageSize(inputPath);
+    if (!size) {
+      this.warnings.push('无法读取图片尺寸，未生成响应式版本');
+      return [];
+    }
+    
+    const variants = [];
+    for (const width of responsive.widths.filter(width => width < size.width)) {
+      const resizedPath = getResizedPath(outputPath, width);
+      try {
+        // sharp为原生模块，只在启用响应式图片时加载；缩放结果以高质量写入，再由对应的压缩器统一压缩
+        const sharp = require('sharp');
+        await sharp(inputPath)
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(fileExt === '.jpg' ? 'jpeg' : fileExt.slice(1), fileExt === '.png' ? {} : { quality: 100 })
+          .toFile(resizedPath);
+        fs.writeFileSync(resizedPath, await this[RESIZABLE_FORMATS[fileExt]](resizedPath, mergedOptions));
+      } catch (error) {
+        this.warnings.push(`生成 ${width}w 版本失败: ${error.message}`);
+        if (fs.existsSync(resizedPath)) {
+          fs.unlinkSync(resizedPath);
+        }
+        continue;
+      }
+      variants.push(resizedPath);
+      
+      if ((mergedOptions.generateWebP || options.generateWebP) && fileExt !== '.webp') {
+        const webpPath = await this.generateWebP(resizedPath, resizedPath, mergedOptions);
+        if (webpPath) {
+          variants.push(webpPath);
+        }
+      }
+      if (mergedOptions.generateAVIF || options.generateAVIF) {
+        const avifPath = await this.generateAVIF(resizedPath, resizedPath, mergedOptions);
+        if (avifPath) {
+          variants.push(avifPath);
+        }
+      }
+    }
+    
+    if (variants.length > 0) {
+      this.transforms.push('responsive');
     }
+    return variants;
   }
 
   /**
@@ -374,7 +759,7 @@ class ImageOptimizer {
  * @param {string} inputPath - 输入文件路径
  * @param {string} outputPath - 输出文件路径
  * @param {object} options - 优化选项
- * @returns {Promise<void>}
+ * @returns {Promise<Array>} 生成的衍生文件路径列表
  */
 async function optimizeImages(inputPath, outputPath, options = {}) {
   const optimizer = new ImageOptimizer();
@@ -383,5 +768,13 @@ async function optimizeImages(inputPath, outputPath, options = {}) {
 
 module.exports = {
   ImageOptimizer,
-  optimizeImages
+  optimizeImages,
+  countGIFFrames,
+  getFFmpegPath,
+  resolveVideoFormats,
+  resolveResponsiveOptions,
+  getResizedPath,
+  getAVIFEffort,
+  VIDEO_FORMATS,
+  DEFAULT_RESPONSIVE_OPTIONS
 };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JPEG中携带图片尺寸的帧起始标记（SOF0-SOF15，不含DHT、JPG和DAC）
+ */
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * 读取PNG尺寸（IHDR块）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {object|null} { width, height }
+ */
+function getPNGSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * 读取GIF尺寸（逻辑屏幕描述块）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {object|null} { width, height }
+ */
+function getGIFSize(buffer) {
+  if (buffer.length < 10) {
+    return null;
+  }
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+/**
+ * 读取JPEG尺寸（第一个帧起始标记）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {object|null} { width, height }
+ */
+function getJPEGSize(buffer) {
+  let position = 2;
+
+  while (position + 9 < buffer.length) {
+    if (buffer[position] !== 0xFF) {
+      return null;
+    }
+    const marker = buffer[position + 1];
+    // 填充字节和没有长度字段的标记
+    if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      position += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { width: buffer.readUInt16BE(position + 7), height: buffer.readUInt16BE(position + 5) };
+    }
+    position += 2 + buffer.readUInt16BE(position + 2);
+  }
+
+  return null;
+}
+
+/**
+ * 读取WebP尺寸（VP8、VP8L或VP8X块）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {object|null} { width, height }
+ */
+function getWebPSize(buffer) {
+  if (buffer.length < 30 || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    default:
+      return null;
+  }
+}
+
+/**
+ * 读取SVG尺寸（根元素的 width/height，缺少时使用 viewBox）
+ * 只识别无单位或以 px 为单位的长度
+ * @param {Buffer} buffer - 图片数据
+ * @returns {object|null} { width, height }
+ */
+function getSVGSize(buffer) {
+  const match = /<svg\b([^>]*)>/i.exec(buffer.toString('utf8'));
+  if (!match) {
+    return null;
+  }
+
+  const readAttribute = name => {
+    const attribute = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(match[1]);
+    return attribute ? attribute[1].trim() : null;
+  };
+  const readLength = name => {
+    const value = readAttribute(name);
+    return value && /^\d+(\.\d+)?(px)?$/.test(value) ? Math.round(parseFloat(value)) : null;
+  };
+
+  let width = readLength('width');
+  let height = readLength('height');
+  const viewBox = (readAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    // 只给出一个尺寸时按 viewBox 的宽高比计算另一个
+    if (width && !height) {
+      height = Math.round(width * viewBox[3] / viewBox[2]);
+    } else if (height && !width) {
+      width = Math.round(height * viewBox[2] / viewBox[3]);
+    } else if (!width && !height) {
+      width = Math.round(viewBox[2]);
+      height = Math.round(viewBox[3]);
+    }
+  }
+
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * 各图片格式对应的尺寸读取函数
+ */
+const SIZE_READERS = {
+  '.png': getPNGSize,
+  '.gif': getGIFSize,
+  '.jpg': getJPEGSize,
+  '.jpeg': getJPEGSize,
+  '.webp': getWebPSize,
+  '.svg': getSVGSize
+};
+
+/**
+ * 读取图片的固有尺寸（只解析文件头，不解码图片）
+ * @param {string} filePath - 图片路径
+ * @returns {object|null} { width, height }，格式不支持或无法解析时返回null
+ */
+function getImageSize(filePath) {
+  const reader = SIZE_READERS[path.extname(filePath).toLowerCase()];
+  if (!reader || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const size = reader(fs.readFileSync(filePath));
+    return size && size.width > 0 && size.height > 0 ? size : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getImageSize
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { HTMLOptimizer, tokenizeAttributes, getNoscriptRanges } = require('./html-optimizer');
+const {
+  isLocalReference,
+  resolveReference,
+  rebaseReference,
+  rewriteCSSReferences,
+  rewriteJSReferences,
+  rewriteHTMLReferences,
+  getReferenceRewriter,
+  findUnreferencedFiles
+} = require('./references');
+const { removeSourceMappingURL } = require('./source-maps');
+
+/**
+ * 可以转为data URI的图片及其MIME类型
+ */
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+/**
+ * 可以内联图片的HTML属性（链接目标等地址不能替换为data URI）
+ */
+const IMAGE_ATTRIBUTES = ['src', 'srcset', 'poster', 'style'];
+
+/**
+ * 内联到 <style> 时保留的 <link> 属性
+ */
+const STYLE_ATTRIBUTES = ['media', 'nonce', 'title'];
+
+/**
+ * 内联为 <script> 时去掉的属性
+ */
+const DROPPED_SCRIPT_ATTRIBUTES = ['src', 'integrity', 'crossorigin', 'referrerpolicy', 'charset', 'fetchpriority'];
+
+/**
+ * 小文件内联器
+ * 把小于阈值的样式表和脚本直接写入HTML，把小于阈值的图片转为HTML和CSS中的data URI，
+ * 并记录被内联过的文件，供调用方删除已不再被引用的输出。
+ */
+class AssetInliner {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './dist';
+    this.threshold = options.threshold || 0;
+    this.htmlOptimizer = new HTMLOptimizer();
+    this.inlined = new Set();
+  }
+
+  /**
+   * 内联输出文件中引用的小文件
+   * @param {Array} outputs - 相对于输出目录的输出文件列表
+   * @returns {Map} 被修改的文件到其内联的文件列表的映射
+   */
+  run(outputs) {
+    const modified = new Map();
+    const record = (file, inlined) => {
+      inlined.forEach(target => this.inlined.add(target));
+      if (inlined.length > 0) {
+        modified.set(file, [...(modified.get(file) || []), ...inlined]);
+      }
+    };
+
+    // 先处理样式表中的图片，样式表随后可能整体内联到页面中
+    outputs.filter(file => path.extname(file).toLowerCase() === '.css').forEach(file => {
+      record(file, this.processStylesheet(file));
+    });
+
+    outputs.filter(file => getReferenceRewriter(file) === rewriteHTMLReferences).forEach(file => {
+      record(file, this.processPage(file));
+    });
+
+    return modified;
+  }
+
+  /**
+   * 将样式表中的小图片转为data URI
+   * @param {string} file - 相对于输出目录的CSS文件路径
+   * @returns {Array} 内联的文件列表
+   */
+  processStylesheet(file) {
+    const inlined = [];
+    const content = this.read(file);
+    const updated = rewriteCSSReferences(content, url => this.getImageDataURI(file, url, inlined));
+
+    if (updated !== content) {
+      this.write(file, updated);
+    }
+    return inlined;
+  }
+
+  /**
+   * 将页面引用的小样式表、小脚本和小图片写入页面
+   * @param {string} file - 相对于输出目录的HTML文件路径
+   * @returns {Array} 内联的文件列表
+   */
+  processPage(file) {
+    const inlined = [];
+    const content = this.read(file);
+    const noscripts = getNoscriptRanges(content);
+    const outsideNoscript = ({ index }) => !noscripts.some(([start, end]) => index >= start && index < end);
+    const replacements = [];
+
+    this.htmlOptimizer.extractStyles(content)
+      .filter(style => !style.inline && outsideNoscript(style))
+      .forEach(style => {
+        const rel = (style.attributes.rel || '').toLowerCase().split(/\s+/);
+        const target = !rel.includes('alternate') && this.getInlineTarget(file, style.href);
+        if (!target) {
+          return;
+        }
+
+        // 内联后 source map 的相对地址不再有效
+        const css = rewriteCSSReferences(removeSourceMappingURL(this.read(target)).trimEnd(), url => rebaseReference(url, target, file));
+        if (/<\/style/i.test(css)) {
+          return;
+        }
+
+        const attributes = tokenizeAttributes(style.tag.replace(/^<link\b/i, '').replace(/\/?>$/, ''))
+          .filter(({ name }) => STYLE_ATTRIBUTES.includes(name))
+          .map(({ raw }) => ` ${raw}`)
+          .join('');
+        replacements.push({ ...style, html: `<style${attributes}>${css}</style>` });
+        inlined.push(target);
+      });
+
+    this.htmlOptimizer.extractScripts(content)
+      .filter(script => !script.inline && outsideNoscript(script))
+      .forEach(script => {
+        const { attributes } = script;
+        const isModule = (attributes.type || '').toLowerCase() === 'module';
+        // 内联的传统脚本会立即执行，带 defer/async 的脚本内联后执行时机会改变
+        if (attributes.async !== undefined || (!isModule && attributes.defer !== undefined)) {
+          return;
+        }
+
+        const target = this.getInlineTarget(file, script.src);
+        if (!target) {
+          return;
+        }
+
+        let js = removeSourceMappingURL(this.read(target)).trimEnd();
+        if (isModule) {
+          js = rewriteJSReferences(js, url => {
+            const rebased = rebaseReference(url, target, file);
+            return rebased && !rebased.startsWith('../') ? `./${rebased}` : rebased;
+          });
+        }
+
+        const kept = tokenizeAttributes(/^<script\b([^>]*)>/i.exec(script.tag)[1])
+          .filter(({ name }) => !DROPPED_SCRIPT_ATTRIBUTES.includes(name) && (isModule || name !== 'defer'))
+          .map(({ raw }) => ` ${raw}`)
+          .join('');
+        replacements.push({ ...script, html: `<script${kept}>${js.replace(/<\/script/gi, '<\\/script')}</script>` });
+        inlined.push(target);
+      });
+
+    let updated = content;
+    replacements.sort((a, b) => b.index - a.index).forEach(({ index, tag, html }) => {
+      updated = updated.slice(0, index) + html + updated.slice(index + tag.length);
+    });
+
+    updated = rewriteHTMLReferences(updated, (url, context) => {
+      if (context.tagName !== 'style' && !IMAGE_ATTRIBUTES.includes(context.attribute)) {
+        return null;
+      }
+      return this.getImageDataURI(file, url, inlined);
+    });
+
+    if (updated !== content) {
+      this.write(file, updated);
+    }
+    return inlined;
+  }
+
+  /**
+   * 获取可以内联的本地文件
+   * @param {string} file - 引用所在文件的相对路径
+   * @param {string} url - 引用地址
+   * @returns {string|null} 相对于输出目录的路径，不存在或不小于阈值时返回null
+   */
+  getInlineTarget(file, url) {
+    if (!isLocalReference(url)) {
+      return null;
+    }
+
+    const target = resolveReference(file, url);
+    const targetPath = path.join(this.outputDir, target);
+    if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isFile() || fs.statSync(targetPath).size >= this.threshold) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * 将小图片转为data URI
+   * @param {string} file - 引用所在文件的相对路径
+   * @param {string} url - 引用地址
+   * @param {Array} inlined - 收集内联文件的数组
+   * @returns {string|null} data URI，不是可内联的图片时返回null
+   */
+  getImageDataURI(file, url, inlined) {
+    const target = this.getInlineTarget(file, url);
+    const mimeType = target && IMAGE_MIME_TYPES[path.extname(target).toLowerCase()];
+    if (!mimeType) {
+      return null;
+    }
+
+    inlined.push(target);
+    return `data:${mimeType};base64,${fs.readFileSync(path.join(this.outputDir, target)).toString('base64')}`;
+  }
+
+  /**
+   * 找出内联后不再被任何HTML、CSS或JS引用的文件
+   * @param {Array} outputs - 相对于输出目录的输出文件列表
+   * @returns {Array} 可以删除的文件列表
+   */
+  findUnreferenced(outputs) {
+    const texts = outputs
+      .filter(file => getReferenceRewriter(file))
+      .map(file => ({ file, content: this.read(file) }));
+
+    return findUnreferencedFiles(Array.from(this.inlined), texts);
+  }
+
+  /**
+   * 读取输出文件
+   * @param {string} file - 相对于输出目录的路径
+   * @returns {string} 文件内容
+   */
+  read(file) {
+    return fs.readFileSync(path.join(this.outputDir, file), 'utf8');
+  }
+
+  /**
+   * 写入输出文件
+   * @param {string} file - 相对于输出目录的路径
+   * @param {string} content - 文件内容
+   * @returns {void}
+   */
+  write(file, content) {
+    fs.writeFileSync(path.join(this.outputDir, file), content);
+  }
+}
+
+module.exports = {
+  AssetInliner,
+  IMAGE_MIME_TYPES
+};
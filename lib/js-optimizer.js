@@ -1,5 +1,8 @@
 const fs = require('fs');
+const path = require('path');
 const { minify } = require('terser');
+const { deepMerge } = require('./utils');
+const { getSourceMapPath, readSourceMap, removeSourceMappingURL } = require('./source-maps');
 
 /**
  * JavaScript文件优化器
@@ -7,6 +10,13 @@ const { minify } = require('terser');
  */
 class JSOptimizer {
   constructor() {
+    // 最近一次优化所应用的处理步骤和产生的警告，用于生成报告
+    this.transforms = [];
+    this.warnings = [];
+    // 启用 sourceMaps 时最近一次优化生成的 source map（来源为绝对路径）
+    this.sourceMap = null;
+    // 最近一次优化读取的其他文件（串联的 .map 文件），用于判断缓存是否过期
+    this.dependencies = [];
     this.defaultOptions = {
       compress: {
         drop_console: true,
@@ -97,93 +107,97 @@ class JSOptimizer {
   async optimize(filePath, options = {}) {
     try {
       const jsContent = fs.readFileSync(filePath, 'utf8');
-      const mergedOptions = { ...this.defaultOptions, ...options.jsOptions };
-      
-      // 预处理：移除开发工具相关的代码
-      let processedContent = this.preprocessJS(jsContent);
-      
-      // 使用Terser进行压缩和混淆
-      const result = await minify(processedContent, mergedOptions);
-      
-      if (result.error) {
-        throw new Error(`JavaScript压缩失败: ${result.error.message}`);
+      const mergedOptions = deepMerge(this.defaultOptions, options.jsOptions);
+      if (options.sourceMaps) {
+        return await this.minifyWithSourceMap(jsContent, filePath, mergedOptions);
       }
-      
-      // 后处理：进一步优化
-      const finalContent = this.postprocessJS(result.code);
-      
-      return finalContent;
+      return await this.minifyCode(jsContent, mergedOptions);
     } catch (error) {
       throw new Error(`JavaScript优化失败: ${error.message}`);
     }
   }
 
   /**
-   * 预处理JavaScript内容
-   * @param {string} content - JavaScript内容
-   * @returns {string} 预处理后的内容
+   * 优化HTML中的内联脚本
+   * 传统脚本的顶层变量是页面的全局变量，可能被其他脚本使用，因此不重命名也不删除
+   * @param {string} content - 脚本内容
+   * @param {object} options - 优化选项
+   * @param {boolean} isModule - 是否为 <script type="module">
+   * @returns {Promise<string>} 优化后的脚本内容
    */
-  preprocessJS(content) {
-    let processed = content;
-    
-    // 移除开发环境相关的注释
-    processed = processed.replace(/\/\*[\s\S]*?\*\//g, (match) => {
-      // 保留重要的注释（如版权信息）
-      if (match.includes('Copyright') || match.includes('License') || match.includes('@license')) {
-        return match;
+  async optimizeInline(content, options = {}, isModule = false) {
+    const mergedOptions = deepMerge(this.defaultOptions, options.jsOptions);
+    mergedOptions.module = isModule;
+    mergedOptions.format = { ...mergedOptions.format, inline_script: true };
+    if (!isModule) {
+      mergedOptions.toplevel = false;
+      if (mergedOptions.mangle) {
+        mergedOptions.mangle = { ...mergedOptions.mangle, toplevel: false };
       }
-      return '';
-    });
-    
-    // 移除单行注释（保留重要注释）
-    processed = processed.replace(/\/\/.*$/gm, (match) => {
-      if (match.includes('@') || match.includes('TODO') || match.includes('FIXME')) {
-        return match;
+      if (mergedOptions.compress) {
+        mergedOptions.compress = { ...mergedOptions.compress, toplevel: false };
       }
-      return '';
-    });
-    
-    // 移除空白行
-    processed = processed.replace(/^\s*[\r\n]/gm, '');
-    
-    // 移除不必要的分号
-    processed = processed.replace(/;\s*}/g, '}');
-    
-    return processed;
+    }
+
+    try {
+      return await this.minifyCode(content, mergedOptions);
+    } catch (error) {
+      throw new Error(`内联脚本优化失败: ${error.message}`);
+    }
   }
 
   /**
-   * 后处理JavaScript内容
-   * @param {string} content - 已压缩的JavaScript内容
-   * @returns {string} 最终优化后的内容
+   * 压缩JavaScript并生成 source map，源文件中已有的 source map 会被串联
+   * @param {string} jsContent - JavaScript内容
+   * @param {string} filePath - 文件路径
+   * @param {object} mergedOptions - 合并后的Terser选项
+   * @returns {Promise<string>} 优化后的JavaScript内容，source map 记录在 sourceMap 中
    */
-  postprocessJS(content) {
-    let processed = content;
+  async minifyWithSourceMap(jsContent, filePath, mergedOptions) {
+    this.transforms = [];
+    this.warnings = [];
+    this.sourceMap = null;
+    this.dependencies = [];
     
-    // 移除多余的空格
-    processed = processed.replace(/\s+/g, ' ');
+    const mapPath = getSourceMapPath(jsContent, filePath);
+    if (mapPath) {
+      this.dependencies.push(mapPath);
+    }
     
-    // 优化分号使用
-    processed = this.optimizeSemicolons(processed);
+    let inputMap = null;
+    try {
+      inputMap = readSourceMap(jsContent, filePath);
+    } catch (error) {
+      this.warnings.push(error.message);
+    }
     
-    // 移除空的语句
-    processed = processed.replace(/;\s*;/g, ';');
+    const result = await minify({ [path.resolve(filePath)]: removeSourceMappingURL(jsContent) }, {
+      ...mergedOptions,
+      sourceMap: { content: inputMap || undefined, includeSources: true, asObject: true }
+    });
+    this.transforms.push('terser');
     
-    return processed.trim();
+    this.sourceMap = result.map;
+    return result.code;
   }
 
   /**
-   * 优化分号使用
-   * @param {string} content - JavaScript内容
-   * @returns {string} 优化后的内容
+   * 使用Terser压缩和混淆JavaScript代码
+   * 与 minifyWithSourceMap 执行相同的步骤，是否生成 source map 不影响输出的代码
+   * @param {string} jsContent - JavaScript内容
+   * @param {object} mergedOptions - 合并后的Terser选项
+   * @returns {Promise<string>} 优化后的JavaScript内容
    */
-  optimizeSemicolons(content) {
-    // 移除不必要的分号
-    return content
-      .replace(/;\s*}/g, '}')
-      .replace(/;\s*\)/g, ')')
-      .replace(/;\s*\]/g, ']')
-      .replace(/;\s*$/gm, '');
+  async minifyCode(jsContent, mergedOptions) {
+    this.transforms = [];
+    this.warnings = [];
+    this.sourceMap = null;
+    this.dependencies = [];
+    
+    const result = await minify(jsContent, mergedOptions);
+    this.transforms.push('terser');
+    
+    return result.code;
   }
 
   /**
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { getFileHash, getIntegrity, ensureDir } = require('./utils');
+const { ENCODINGS } = require('./compression');
+
+/**
+ * 默认的清单文件名（相对于输出目录）
+ */
+const DEFAULT_MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 判断输出文件属于哪种衍生版本
+ * @param {string} primary - 主输出文件
+ * @param {string} output - 输出文件
+ * @returns {string|null} 预压缩编码（gzip/br）、衍生格式（如webp/avif）或尺寸版本（如640w），无法识别时返回null
+ */
+function getVariantKey(primary, output) {
+  for (const [encoding, { extension }] of Object.entries(ENCODINGS)) {
+    if (output.endsWith(extension)) {
+      // 只记录主输出文件的预压缩版本
+      return output === primary + extension ? encoding : null;
+    }
+  }
+
+  const ext = path.posix.extname(output).slice(1).toLowerCase();
+  const primaryExt = path.posix.extname(primary).slice(1).toLowerCase();
+
+  // 响应式图片的尺寸版本，如 640w 以及其WebP版本 640w.webp
+  const resized = /-(\d+)w\.[^/]+$/.exec(output);
+  if (resized && !/-\d+w\.[^/]+$/.test(primary)) {
+    return ext === primaryExt ? `${resized[1]}w` : `${resized[1]}w.${ext}`;
+  }
+
+  return ext && ext !== primaryExt ? ext : null;
+}
+
+/**
+ * 为单个处理结果生成清单条目
+ * @param {object} result - 处理结果
+ * @param {string} outputDir - 输出目录
+ * @returns {Promise<object>} 清单条目
+ */
+async function createManifestEntry(result, outputDir) {
+  const [primary, ...others] = result.outputs;
+  const outputPath = path.join(outputDir, primary);
+  const variants = {};
+
+  others.forEach(output => {
+    const key = getVariantKey(primary, output);
+    if (key && !variants[key]) {
+      variants[key] = output;
+    }
+  });
+
+  return {
+    path: primary,
+    type: result.type,
+    hash: result.hash || (await getFileHash(outputPath)).slice(0, 8),
+    size: fs.statSync(outputPath).size,
+    integrity: await getIntegrity(outputPath),
+    variants
+  };
+}
+
+/**
+ * 根据处理结果生成资源清单：原始相对路径 → 输出路径、哈希、大小、完整性摘要和衍生版本
+ * @param {Array} results - 各文件的处理结果
+ * @param {string} outputDir - 输出目录
+ * @returns {Promise<object>} 按原始路径排序的清单
+ */
+async function buildManifest(results, outputDir) {
+  const manifest = {};
+  const sorted = results
+    .filter(result => result.outputs && result.outputs.length > 0)
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  for (const result of sorted) {
+    manifest[result.file] = await createManifestEntry(result, outputDir);
+  }
+
+  return manifest;
+}
+
+/**
+ * 将资源清单写入输出目录
+ * @param {Array} results - 各文件的处理结果
+ * @param {string} outputDir - 输出目录
+ * @param {string} fileName - 清单文件名（相对于输出目录）
+ * @returns {Promise<string>} 清单文件的路径
+ */
+async function writeManifest(results, outputDir, fileName = DEFAULT_MANIFEST_FILE) {
+  const manifestPath = path.join(outputDir, fileName);
+  const manifest = await buildManifest(results, outputDir);
+
+  ensureDir(path.dirname(manifestPath));
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_FILE,
+  buildManifest,
+  writeManifest
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { compilePattern } = require('./discovery');
+
+/**
+ * 作为PurgeCSS扫描内容的文件
+ */
+const CONTENT_PATTERN = '**/*.{html,htm,js,mjs}';
+
+/**
+ * 未使用CSS清理的默认选项
+ */
+const DEFAULT_PURGE_OPTIONS = {
+  safelist: [],
+  safelistPatterns: [],
+  safelistFiles: [],
+  content: [],
+  dynamicPrefixes: true
+};
+
+/**
+ * 将 purgeCss 配置规范化为完整选项
+ * @param {boolean|object} value - purgeCss 配置
+ * @param {boolean} htmlFlag - html.removeUnusedCss 开关
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolvePurgeOptions(value, htmlFlag = false) {
+  if (!value && !htmlFlag) {
+    return null;
+  }
+
+  const { enabled, ...rest } = typeof value === 'object' && value !== null ? value : {};
+  if (enabled === false) {
+    return null;
+  }
+
+  return {
+    ...DEFAULT_PURGE_OPTIONS,
+    ...rest,
+    safelistPatterns: (rest.safelistPatterns || []).map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern)))
+  };
+}
+
+/**
+ * 查找动态拼接的类名前缀，如 'btn-' + type、`icon-${name}`
+ * @param {string} content - HTML或JS内容
+ * @returns {Array} 类名前缀列表
+ */
+function findDynamicClassPrefixes(content) {
+  const prefixes = new Set();
+  const patterns = [
+    /["'](?:[^"'\n]*\s)?([A-Za-z][\w-]*[-_])["']\s*\+/g,
+    /`[^`]*?([A-Za-z][\w-]*[-_])\$\{/g
+  ];
+
+  patterns.forEach(regex => {
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      // 只取紧接拼接位置的类名，忽略同一字符串中前面的固定类名
+      prefixes.add(match[1]);
+    }
+  });
+
+  return Array.from(prefixes);
+}
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} value - 字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 未使用CSS清理的上下文
+ * 读取输入目录中的全部HTML和JS作为扫描内容，汇总安全列表，并生成供缓存使用的内容摘要。
+ */
+class PurgeContext {
+  constructor(options = {}, discovery) {
+    this.options = { ...DEFAULT_PURGE_OPTIONS, ...options };
+    this.discovery = discovery;
+    this.content = [];
+    this.dynamicPrefixes = [];
+    this.contentHash = '';
+    this.fileRules = this.options.safelistFiles
+      .map(pattern => compilePattern(pattern, { anchored: true }))
+      .filter(Boolean);
+  }
+
+  /**
+   * 读取全部扫描内容
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const patterns = [CONTENT_PATTERN, ...this.options.content];
+    const files = Array.from(new Set(await this.discovery.find(patterns, { dot: true })));
+    const hash = crypto.createHash('sha256');
+    const prefixes = new Set();
+
+    this.content = files.map(file => {
+      const raw = fs.readFileSync(path.join(this.discovery.inputDir, file), 'utf8');
+      hash.update(file).update('\0').update(raw).update('\0');
+      if (this.options.dynamicPrefixes) {
+        findDynamicClassPrefixes(raw).forEach(prefix => prefixes.add(prefix));
+      }
+      return { raw, extension: path.extname(file).slice(1) || 'html' };
+    });
+
+    this.dynamicPrefixes = Array.from(prefixes).sort();
+    this.contentHash = hash.digest('hex');
+  }
+
+  /**
+   * 判断样式表是否整体保留
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {boolean} 是否整体保留
+   */
+  isSafelistedFile(file) {
+    return this.fileRules.some(rule => rule.regex.test(file));
+  }
+
+  /**
+   * 生成传给 CSSOptimizer.removeUnusedCSS 的PurgeCSS选项
+   * @returns {object} PurgeCSS选项（不含 css）
+   */
+  getPurgeOptions() {
+    return {
+      content: this.content,
+      safelist: {
+        standard: [
+          ...this.options.safelist,
+          ...this.options.safelistPatterns,
+          ...this.dynamicPrefixes.map(prefix => new RegExp(`^${escapeRegExp(prefix)}`))
+        ]
+      }
+    };
+  }
+
+  /**
+   * 影响清理结果的全部输入，用于计算缓存键
+   * @returns {object} 生效的选项
+   */
+  getCacheInfo() {
+    return {
+      safelist: this.options.safelist,
+      safelistPatterns: this.options.safelistPatterns.map(String),
+      dynamicPrefixes: this.dynamicPrefixes,
+      contentHash: this.contentHash
+    };
+  }
+}
+
+module.exports = {
+  PurgeContext,
+  resolvePurgeOptions,
+  findDynamicClassPrefixes,
+  DEFAULT_PURGE_OPTIONS
+};
@@ -0,0 +1,271 @@
+const path = require('path');
+const { tokenizeAttributes } = require('./html-optimizer');
+
+/**
+ * HTML中可能引用本地资源的属性
+ */
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data'];
+
+/**
+ * HTML中以逗号分隔多个候选地址的属性
+ */
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+
+/**
+ * 匹配HTML开始标签（属性值中可以包含 >）
+ */
+const TAG_REGEX = /<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+/**
+ * 匹配 <script> 和 <style> 元素，其内容需要按JS/CSS处理
+ */
+const RAW_TEXT_REGEX = /(<script\b[^>]*>)([\s\S]*?)(<\/script\s*>)|(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi;
+
+/**
+ * 判断引用地址是否指向本地文件
+ * @param {string} url - 引用地址
+ * @returns {boolean} 是否为本地文件
+ */
+function isLocalReference(url) {
+  return Boolean(url) && !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url.trim());
+}
+
+/**
+ * 将引用地址解析为相对于根目录的路径
+ * @param {string} fromFile - 引用所在文件的相对路径
+ * @param {string} url - 引用地址
+ * @returns {string} 相对路径（使用 / 分隔）
+ */
+function resolveReference(fromFile, url) {
+  let cleanUrl = url.trim().split(/[?#]/)[0];
+  try {
+    cleanUrl = decodeURI(cleanUrl);
+  } catch (error) {
+    // 保留无法解码的原始地址
+  }
+
+  const resolved = cleanUrl.startsWith('/')
+    ? path.posix.normalize(cleanUrl.slice(1))
+    : path.posix.join(path.posix.dirname(fromFile), cleanUrl);
+  return resolved.replace(/^\.\//, '');
+}
+
+/**
+ * 将引用地址改为相对于另一个文件，用于把文件内容移到其他位置（如内联到页面中）
+ * @param {string} url - 引用地址
+ * @param {string} fromFile - 引用原本所在文件的相对路径
+ * @param {string} toFile - 内容新位置所在文件的相对路径
+ * @returns {string|null} 新地址，根路径等无需修改时返回null
+ */
+function rebaseReference(url, fromFile, toFile) {
+  const trimmed = url.trim();
+  if (trimmed.startsWith('/')) {
+    return null;
+  }
+
+  const [, , suffix] = /^([^?#]*)(.*)$/.exec(trimmed);
+  return path.posix.relative(path.posix.dirname(toFile), resolveReference(fromFile, trimmed)) + suffix;
+}
+
+/**
+ * 替换属性原始写法中的值，保留原有的引号
+ * @param {string} raw - 属性的原始写法
+ * @param {string} value - 新的属性值
+ * @returns {string} 新的属性写法
+ */
+function replaceAttributeValue(raw, value) {
+  return raw.replace(/(=\s*(["']?))[\s\S]*?\2$/, (match, prefix, quote) => `${prefix}${value}${quote}`);
+}
+
+/**
+ * 改写 srcset 中的各个候选地址
+ * @param {string} srcset - srcset 属性值
+ * @param {Function} replacer - (url) => 新地址，返回空值表示不修改
+ * @returns {string} 改写后的 srcset
+ */
+function rewriteSrcset(srcset, replacer) {
+  return srcset.replace(/(^|,)(\s*)([^\s,]+)/g, (match, comma, space, url) => {
+    const replaced = isLocalReference(url) ? replacer(url) : null;
+    return `${comma}${space}${replaced || url}`;
+  });
+}
+
+/**
+ * 改写CSS中 url() 和 @import 引用的地址
+ * @param {string} css - CSS内容
+ * @param {Function} replacer - (url) => 新地址，返回空值表示不修改
+ * @returns {string} 改写后的CSS
+ */
+function rewriteCSSReferences(css, replacer) {
+  const replace = url => (isLocalReference(url) && replacer(url)) || url;
+
+  return css
+    .replace(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s'"]*))\s*\)/gi, (match, double, single, bare) => {
+      if (double !== undefined) return `url("${replace(double)}")`;
+      if (single !== undefined) return `url('${replace(single)}')`;
+      return bare ? `url(${replace(bare)})` : match;
+    })
+    .replace(/(@import\s*)(["'])([^"']+)\2/gi, (match, prefix, quote, url) => `${prefix}${quote}${replace(url)}${quote}`);
+}
+
+/**
+ * 改写ES模块中 import/export ... from、import() 引用的相对地址
+ * @param {string} js - JavaScript内容
+ * @param {Function} replacer - (url) => 新地址，返回空值表示不修改
+ * @returns {string} 改写后的JavaScript
+ */
+function rewriteJSReferences(js, replacer) {
+  return js.replace(/(\bfrom\s*|\bimport\s*\(\s*|\bimport\s*)(["'])([^"'\n]+)\2/g, (match, prefix, quote, url) => {
+    // 只处理相对路径和根路径，裸模块名由运行环境解析
+    if (!/^\.{0,2}\//.test(url)) return match;
+    return `${prefix}${quote}${replacer(url) || url}${quote}`;
+  });
+}
+
+/**
+ * 改写单个HTML开始标签中的资源地址
+ * @param {string} tag - 开始标签
+ * @param {Function} replacer - (url, context) => 新地址
+ * @returns {string} 改写后的标签
+ */
+function rewriteTag(tag, replacer) {
+  const match = /^<([a-zA-Z][\w:-]*)([\s\S]*?)(\/?>)$/.exec(tag);
+  const tagName = match[1].toLowerCase();
+  let attributes = match[2];
+
+  // 从后往前替换，避免前面的修改影响后续属性的位置
+  tokenizeAttributes(attributes).reverse().forEach(({ name, value, raw, index }) => {
+    let replaced = null;
+
+    if (URL_ATTRIBUTES.includes(name) && isLocalReference(value)) {
+      replaced = replacer(value, { tagName, attribute: name });
+    } else if (SRCSET_ATTRIBUTES.includes(name)) {
+      const srcset = rewriteSrcset(value, url => replacer(url, { tagName, attribute: name }));
+      replaced = srcset !== value ? srcset : null;
+    } else if (name === 'style' && value) {
+      const style = rewriteCSSReferences(value, url => replacer(url, { tagName, attribute: name }));
+      replaced = style !== value ? style : null;
+    }
+
+    if (replaced) {
+      attributes = attributes.slice(0, index) + replaceAttributeValue(raw, replaced) + attributes.slice(index + raw.length);
+    }
+  });
+
+  return `<${match[1]}${attributes}${match[3]}`;
+}
+
+/**
+ * 改写HTML中引用的资源地址
+ * 包括标签的 src/href/srcset/poster 等属性、style 属性和 <style> 中的 url()，
+ * 以及 <script type="module"> 中的 import 地址。
+ * @param {string} html - HTML内容
+ * @param {Function} replacer - (url, context) => 新地址，返回空值表示不修改
+ * @returns {string} 改写后的HTML
+ */
+function rewriteHTMLReferences(html, replacer) {
+  const rewriteTags = segment => segment.replace(TAG_REGEX, tag => rewriteTag(tag, replacer));
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  RAW_TEXT_REGEX.lastIndex = 0;
+  while ((match = RAW_TEXT_REGEX.exec(html)) !== null) {
+    result += rewriteTags(html.slice(lastIndex, match.index));
+
+    if (match[1] !== undefined) {
+      const isModule = /\btype\s*=\s*["']?module\b/i.test(match[1]);
+      const content = isModule ? rewriteJSReferences(match[2], url => replacer(url, { tagName: 'script' })) : match[2];
+      result += rewriteTags(match[1]) + content + match[3];
+    } else {
+      result += rewriteTags(match[4]) +
+        rewriteCSSReferences(match[5], url => replacer(url, { tagName: 'style' })) +
+        match[6];
+    }
+
+    lastIndex = RAW_TEXT_REGEX.lastIndex;
+  }
+
+  return result + rewriteTags(html.slice(lastIndex));
+}
+
+/**
+ * 各类文件对应的引用改写函数
+ */
+const REFERENCE_REWRITERS = {
+  '.html': rewriteHTMLReferences,
+  '.htm': rewriteHTMLReferences,
+  '.css': rewriteCSSReferences,
+  '.js': rewriteJSReferences,
+  '.mjs': rewriteJSReferences
+};
+
+/**
+ * 获取文件对应的引用改写函数
+ * @param {string} file - 文件路径
+ * @returns {Function|null} 改写函数，不支持的文件类型返回null
+ */
+function getReferenceRewriter(file) {
+  return REFERENCE_REWRITERS[path.extname(file).toLowerCase()] || null;
+}
+
+/**
+ * 查找文件内容中引用的本地资源
+ * @param {string} file - 文件的相对路径
+ * @param {string} content - 文件内容
+ * @returns {Array} 去重后的相对路径列表
+ */
+function findReferences(file, content) {
+  const rewriter = getReferenceRewriter(file);
+  const references = new Set();
+
+  if (rewriter) {
+    rewriter(content, url => {
+      references.add(resolveReference(file, url));
+      return null;
+    });
+  }
+
+  return Array.from(references);
+}
+
+/**
+ * 找出不再被任何文本输出引用的文件
+ * 脚本中以字符串拼接的地址无法解析，因此只要文本输出中还出现文件名就视为仍被引用
+ * @param {Array} candidates - 待检查的文件列表（相对于输出目录）
+ * @param {Array} texts - 文本输出 [{ file, content }]
+ * @returns {Array} 可以删除的文件列表
+ */
+function findUnreferencedFiles(candidates, texts) {
+  const unreferenced = new Set();
+
+  // 删除一个文件后，只被它引用的文件也可以删除
+  let changed = true;
+  while (changed) {
+    changed = false;
+    candidates.forEach(target => {
+      // 文件名前不能紧跟其他文件名字符，避免 e.js 被 bundle-3e.js 之类的名称误判为仍被引用
+      const nameRegex = new RegExp(`(?:^|[^\\w.-])${path.posix.basename(target).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+      if (!unreferenced.has(target) && !texts.some(({ file, content }) =>
+        file !== target && !unreferenced.has(file) && nameRegex.test(content))) {
+        unreferenced.add(target);
+        changed = true;
+      }
+    });
+  }
+
+  return Array.from(unreferenced);
+}
+
+module.exports = {
+  isLocalReference,
+  resolveReference,
+  rebaseReference,
+  rewriteSrcset,
+  rewriteCSSReferences,
+  rewriteJSReferences,
+  rewriteHTMLReferences,
+  getReferenceRewriter,
+  findReferences,
+  findUnreferencedFiles
+};
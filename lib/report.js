@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureDir, formatBytes } = require('./utils');
+const { name, version } = require('../package.json');
+
+/**
+ * 报告格式版本，报告结构发生不兼容变化时递增
+ */
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * 计算大小比率（优化后 / 原始），保留4位小数
+ * @param {number} originalSize - 原始大小
+ * @param {number} optimizedSize - 优化后大小
+ * @returns {number} 比率
+ */
+function sizeRatio(originalSize, optimizedSize) {
+  return originalSize > 0 ? Number((optimizedSize / originalSize).toFixed(4)) : 1;
+}
+
+/**
+ * 创建空的汇总项
+ * @returns {object} 汇总项
+ */
+function createTotals() {
+  return {
+    files: 0,
+    originalSize: 0,
+    optimizedSize: 0,
+    savedBytes: 0,
+    ratio: 1,
+    duration: 0,
+    cached: 0,
+    warnings: 0
+  };
+}
+
+/**
+ * 将单个文件记录累加到汇总项
+ * @param {object} totals - 汇总项
+ * @param {object} record - 文件记录
+ * @returns {void}
+ */
+function addToTotals(totals, record) {
+  totals.files++;
+  totals.originalSize += record.originalSize;
+  totals.optimizedSize += record.optimizedSize;
+  totals.savedBytes = totals.originalSize - totals.optimizedSize;
+  totals.ratio = sizeRatio(totals.originalSize, totals.optimizedSize);
+  totals.duration += record.duration;
+  totals.cached += record.cached ? 1 : 0;
+  totals.warnings += record.warnings.length;
+
+  // 各编码的传输大小：没有对应预压缩文件时按原文件大小计算
+  if (record.transferSizes) {
+    totals.transferSizes = totals.transferSizes || { identity: 0, gzip: 0, br: 0 };
+    Object.keys(totals.transferSizes).forEach(encoding => {
+      totals.transferSizes[encoding] += record.transferSizes[encoding] ?? record.transferSizes.identity;
+    });
+  }
+}
+
+/**
+ * 根据处理结果生成报告数据
+ * @param {Array} results - 各文件的处理结果
+ * @param {object} stats - 优化器统计信息
+ * @param {object} options - 优化选项
+ * @param {Array|null} budgetViolations - 超出体积预算的项目，未配置预算时为null
+ * @returns {object} 报告
+ */
+function buildReport(results, stats = {}, options = {}, budgetViolations = null) {
+  const files = results
+    .map(result => ({
+      path: result.file,
+      type: result.type,
+      originalSize: result.originalSize,
+      optimizedSize: result.optimizedSize,
+      savedBytes: result.originalSize - result.optimizedSize,
+      ratio: sizeRatio(result.originalSize, result.optimizedSize),
+      duration: result.duration,
+      cached: Boolean(result.cached),
+      outputs: result.outputs || [],
+      transforms: result.transforms || [],
+      warnings: result.warnings || [],
+      ...(result.transferSizes ? { transferSizes: result.transferSizes } : {}),
+      ...(result.removedSelectors ? { removedSelectors: result.removedSelectors } : {}),
+      ...(result.bundled ? { bundled: result.bundled } : {})
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const totals = createTotals();
+  const byType = {};
+
+  files.forEach(record => {
+    if (!byType[record.type]) {
+      byType[record.type] = createTotals();
+    }
+    addToTotals(byType[record.type], record);
+    addToTotals(totals, record);
+  });
+
+  const report = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name, version },
+    generatedAt: new Date().toISOString(),
+    inputDir: options.inputDir,
+    outputDir: options.outputDir,
+    timeElapsed: stats.timeElapsed || 0,
+    totals,
+    byType,
+    files
+  };
+
+  if (options.budgets) {
+    const violations = budgetViolations || [];
+    report.budgets = { passed: violations.length === 0, violations };
+  }
+
+  return report;
+}
+
+/**
+ * 将报告写入JSON文件
+ * @param {string} filePath - 报告文件路径
+ * @param {object} report - 报告数据
+ * @returns {string} 报告文件的绝对路径
+ */
+function writeJSONReport(filePath, report) {
+  const reportPath = path.resolve(filePath);
+  ensureDir(path.dirname(reportPath));
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+/**
+ * 各文件类型在HTML报告中的显示名称和颜色
+ */
+const TYPE_STYLES = {
+  html: { label: 'HTML', color: '#e8743b' },
+  css: { label: 'CSS', color: '#3b82e8' },
+  js: { label: 'JavaScript', color: '#e8c53b' },
+  images: { label: '图片', color: '#4caf6e' },
+  asset: { label: '其他资源', color: '#9a8fb0' }
+};
+
+/**
+ * 转义HTML特殊字符
+ * @param {*} value - 任意值
+ * @returns {string} 转义后的字符串
+ */
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * 计算一行矩形中最差的长宽比（squarified treemap 算法）
+ * @param {Array} row - 面积列表
+ * @param {number} side - 行所在的边长
+ * @returns {number} 最差长宽比
+ */
+function worstRatio(row, side) {
+  const sum = row.reduce((total, area) => total + area, 0);
+  const max = Math.max(...row);
+  const min = Math.min(...row);
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+/**
+ * 计算矩形树图布局
+ * @param {Array} items - 带 value 字段的数据项
+ * @param {number} width - 总宽度
+ * @param {number} height - 总高度
+ * @returns {Array} 每项的 { item, x, y, width, height }
+ */
+function layoutTreemap(items, width, height) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const nodes = items
+    .filter(item => item.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .map(item => ({ item, area: (item.value / total) * width * height }));
+  const rects = [];
+  let x = 0;
+  let y = 0;
+  let w = width;
+  let h = height;
+
+  const placeRow = row => {
+    const rowArea = row.reduce((sum, node) => sum + node.area, 0);
+    if (w >= h) {
+      const rowWidth = rowArea / h;
+      let offset = y;
+      row.forEach(node => {
+        const nodeHeight = node.area / rowWidth;
+        rects.push({ item: node.item, x, y: offset, width: rowWidth, height: nodeHeight });
+        offset += nodeHeight;
+      });
+      x += rowWidth;
+      w -= rowWidth;
+    } else {
+      const rowHeight = rowArea / w;
+      let offset = x;
+      row.forEach(node => {
+        const nodeWidth = node.area / rowHeight;
+        rects.push({ item: node.item, x: offset, y, width: nodeWidth, height: rowHeight });
+        offset += nodeWidth;
+      });
+      y += rowHeight;
+      h -= rowHeight;
+    }
+  };
+
+  let row = [];
+  nodes.forEach(node => {
+    const side = Math.min(w, h);
+    const areas = row.map(rowNode => rowNode.area);
+    if (row.length === 0 || worstRatio([...areas, node.area], side) <= worstRatio(areas, side)) {
+      row.push(node);
+    } else {
+      placeRow(row);
+      row = [node];
+    }
+  });
+  if (row.length > 0) {
+    placeRow(row);
+  }
+
+  return rects;
+}
+
+/**
+ * 渲染矩形树图
+ * @param {Array} files - 文件记录
+ * @param {string} sizeKey - 使用的大小字段（originalSize/optimizedSize）
+ * @returns {string} HTML片段
+ */
+function renderTreemap(files, sizeKey) {
+  const rects = layoutTreemap(files.map(file => ({ file, value: file[sizeKey] })), 100, 100);
+
+  return rects.map(({ item, x, y, width, height }) => {
+    const style = TYPE_STYLES[item.file.type] || TYPE_STYLES.asset;
+    const title = `${item.file.path} · ${formatBytes(item.file[sizeKey])}`;
+    return `<div class="tile" style="left:${x.toFixed(3)}%;top:${y.toFixed(3)}%;width:${width.toFixed(3)}%;height:${height.toFixed(3)}%;background:${style.color}" title="${escapeHTML(title)}"><span>${escapeHTML(item.file.path)}</span></div>`;
+  }).join('');
+}
+
+/**
+ * 将报告渲染为独立的HTML页面（不依赖任何外部资源）
+ * @param {object} report - buildReport 生成的报告
+ * @returns {string} HTML内容
+ */
+function renderHTMLReport(report) {
+  const { totals, byType, files } = report;
+  const percent = ratio => `${((1 - ratio) * 100).toFixed(2)}%`;
+
+  const typeRows = Object.entries(byType).map(([type, typeTotals]) => {
+    const style = TYPE_STYLES[type] || TYPE_STYLES.asset;
+    return `<tr><td><i class="swatch" style="background:${style.color}"></i>${escapeHTML(style.label)}</td>` +
+      `<td>${typeTotals.files}</td><td>${formatBytes(typeTotals.originalSize)}</td>` +
+      `<td>${formatBytes(typeTotals.optimizedSize)}</td><td>${formatBytes(typeTotals.savedBytes)}</td>` +
+      `<td>${percent(typeTotals.ratio)}</td></tr>`;
+  }).join('');
+
+  // 启用预压缩时额外显示各编码的传输大小，没有预压缩的文件（如图片）按优化后大小计算
+  const transferCell = (file, encoding) => {
+    const transferSizes = file.transferSizes || { identity: file.optimizedSize };
+    const size = transferSizes[encoding] ?? transferSizes.identity;
+    return `<td data-value="${size}">${formatBytes(size)}</td>`;
+  };
+  const hasTransfer = Boolean(totals.transferSizes);
+  // 优化后的分布图按面积与优化前成比例缩小，文件变大时不超过优化前的高度
+  const optimizedHeight = Math.min(360, Math.max(40, Math.round(360 * Math.sqrt(totals.ratio))));
+
+  const fileRows = files.map(file => {
+    const style = TYPE_STYLES[file.type] || TYPE_STYLES.asset;
+    return `<tr><td>${escapeHTML(file.path)}</td><td data-value="${escapeHTML(file.type)}">${escapeHTML(style.label)}</td>` +
+      `<td data-value="${file.originalSize}">${formatBytes(file.originalSize)}</td>` +
+      `<td data-value="${file.optimizedSize}">${formatBytes(file.optimizedSize)}</td>` +
+      `<td data-value="${file.savedBytes}">${formatBytes(file.savedBytes)}</td>` +
+      `<td data-value="${file.ratio}">${percent(file.ratio)}</td>` +
+      (hasTransfer ? transferCell(file, 'gzip') + transferCell(file, 'br') : '') +
+      `<td data-value="${file.duration}">${file.duration}ms</td>` +
+      `<td>${escapeHTML(file.transforms.join(', '))}</td>` +
+      `<td data-value="${file.warnings.length}">${file.warnings.map(escapeHTML).join('<br>')}</td></tr>`;
+  }).join('');
+
+  // 启用未使用CSS清理时列出各样式表移除的选择器
+  const purgedFiles = files.filter(file => file.removedSelectors);
+  const purgeRows = purgedFiles.map(file =>
+    `<tr><td>${escapeHTML(file.path)}</td><td data-value="${file.removedSelectors.length}">${file.removedSelectors.length}</td>` +
+    `<td><code>${file.removedSelectors.map(escapeHTML).join('</code><br><code>')}</code></td></tr>`
+  ).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>静态页面优化报告</title>
+<style>
+body{margin:0;padding:24px;font:14px/1.5 -apple-system,"PingFang SC","Microsoft YaHei",sans-serif;color:#222;background:#f6f7f9}
+h1{font-size:22px;margin:0 0 4px}h2{font-size:17px;margin:28px 0 10px}
+.meta{color:#777;margin-bottom:16px}
+.cards{display:flex;flex-wrap:wrap;gap:12px}
+.card{background:#fff;border-radius:8px;padding:12px 16px;min-width:150px;box-shadow:0 1px 2px rgba(0,0,0,.08)}
+.card b{display:block;font-size:20px}
+table{width:100%;border-collapse:collapse;background:#fff;box-shadow:0 1px 2px rgba(0,0,0,.08)}
+th,td{padding:6px 10px;border-bottom:1px solid #eee;text-align:left;vertical-align:top}
+th{background:#fafafa;cursor:pointer;user-select:none;white-space:nowrap}
+th.asc:after{content:" ▲"}th.desc:after{content:" ▼"}
+.swatch{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:6px}
+.maps{display:flex;gap:16px;flex-wrap:wrap}
+.map{flex:1;min-width:300px}
+.treemap{position:relative;height:360px;background:#fff;box-shadow:0 1px 2px rgba(0,0,0,.08)}
+.tile{position:absolute;box-sizing:border-box;border:1px solid #fff;overflow:hidden;color:#fff;font-size:11px}
+.tile span{display:block;padding:2px 4px;white-space:nowrap;text-overflow:ellipsis;overflow:hidden;text-shadow:0 1px 1px rgba(0,0,0,.4)}
+</style>
+</head>
+<body>
+<h1>静态页面优化报告</h1>
+<div class="meta">${escapeHTML(report.tool.name)} ${escapeHTML(report.tool.version)} · ${escapeHTML(report.generatedAt)} · ${escapeHTML(report.inputDir)} → ${escapeHTML(report.outputDir)}</div>
+<div class="cards">
+<div class="card">文件数量<b>${totals.files}</b></div>
+<div class="card">原始大小<b>${formatBytes(totals.originalSize)}</b></div>
+<div class="card">优化后大小<b>${formatBytes(totals.optimizedSize)}</b></div>
+<div class="card">节省空间<b>${formatBytes(totals.savedBytes)} (${percent(totals.ratio)})</b></div>
+${hasTransfer ? `<div class="card">gzip传输大小<b>${formatBytes(totals.transferSizes.gzip)}</b></div>
+<div class="card">brotli传输大小<b>${formatBytes(totals.transferSizes.br)}</b></div>
+` : ''}<div class="card">处理时间<b>${(report.timeElapsed / 1000).toFixed(2)}s</b></div>
+</div>
+<h2>资源大小分布</h2>
+<div class="maps">
+<div class="map"><h3>优化前 · ${formatBytes(totals.originalSize)}</h3><div class="treemap" style="height:360px">${renderTreemap(files, 'originalSize')}</div></div>
+<div class="map"><h3>优化后 · ${formatBytes(totals.optimizedSize)}</h3><div class="treemap" style="height:${optimizedHeight}px">${renderTreemap(files, 'optimizedSize')}</div></div>
+</div>
+<h2>按类型统计</h2>
+<table>
+<thead><tr><th>类型</th><th>文件数</th><th>原始大小</th><th>优化后大小</th><th>节省</th><th>压缩率</th></tr></thead>
+<tbody>${typeRows}</tbody>
+</table>
+<h2>文件明细</h2>
+<table class="sortable">
+<thead><tr><th>路径</th><th>类型</th><th>原始大小</th><th>优化后大小</th><th>节省</th><th>压缩率</th>${hasTransfer ? '<th>gzip</th><th>brotli</th>' : ''}<th>耗时</th><th>处理步骤</th><th>警告</th></tr></thead>
+<tbody>${fileRows}</tbody>
+</table>
+${purgedFiles.length > 0 ? `<h2>移除的未使用选择器</h2>
+<table class="sortable">
+<thead><tr><th>样式表</th><th>数量</th><th>选择器</th></tr></thead>
+<tbody>${purgeRows}</tbody>
+</table>
+` : ''}<script>
+document.querySelectorAll('table.sortable th').forEach(function (th, index) {
+  th.addEventListener('click', function () {
+    var tbody = th.closest('table').querySelector('tbody');
+    var asc = !th.classList.contains('asc');
+    th.parentNode.querySelectorAll('th').forEach(function (h) { h.classList.remove('asc', 'desc'); });
+    th.classList.add(asc ? 'asc' : 'desc');
+    var value = function (row) {
+      var cell = row.children[index];
+      var raw = cell.hasAttribute('data-value') ? cell.getAttribute('data-value') : cell.textContent;
+      return isNaN(raw) || raw === '' ? raw : Number(raw);
+    };
+    Array.prototype.slice.call(tbody.rows).sort(function (a, b) {
+      var x = value(a), y = value(b);
+      var result = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      return asc ? result : -result;
+    }).forEach(function (row) { tbody.appendChild(row); });
+  });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 将报告写入独立的HTML文件
+ * @param {string} filePath - 报告文件路径
+ * @param {object} report - 报告数据
+ * @returns {string} 报告文件的绝对路径
+ */
+function writeHTMLReport(filePath, report) {
+  const reportPath = path.resolve(filePath);
+  ensureDir(path.dirname(reportPath));
+  fs.writeFileSync(reportPath, renderHTMLReport(report));
+  return reportPath;
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  buildReport,
+  writeJSONReport,
+  renderHTMLReport,
+  writeHTMLReport,
+  layoutTreemap
+};
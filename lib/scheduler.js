@@ -0,0 +1,86 @@
+const os = require('os');
+
+/**
+ * 获取默认并发数（CPU核心数）
+ * @returns {number} 并发数
+ */
+function getDefaultConcurrency() {
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cpus);
+}
+
+/**
+ * 有界并发任务池
+ * 同时最多执行 concurrency 个任务，结果按任务的原始顺序返回，
+ * 任一任务失败后不再启动新任务，等待已启动的任务结束后抛出第一个错误。
+ */
+class TaskPool {
+  constructor(concurrency = getDefaultConcurrency()) {
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+  }
+
+  /**
+   * 执行任务
+   * @param {Array} items - 任务数据列表
+   * @param {Function} worker - 处理单个任务的异步函数 (item, index) => result
+   * @param {Function} onProgress - 每完成一个任务时调用 (completed, total, item)
+   * @returns {Promise<Array>} 与 items 顺序一致的结果列表
+   */
+  async run(items, worker, onProgress) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let completed = 0;
+    let firstError = null;
+
+    const next = async () => {
+      while (firstError === null && nextIndex < items.length) {
+        const index = nextIndex++;
+
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          if (firstError === null) {
+            firstError = error;
+          }
+          return;
+        }
+
+        completed++;
+        if (onProgress) {
+          onProgress(completed, items.length, items[index]);
+        }
+      }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      runners.push(next());
+    }
+    await Promise.all(runners);
+
+    if (firstError !== null) {
+      throw firstError;
+    }
+
+    return results;
+  }
+}
+
+/**
+ * 以有界并发执行任务的主函数
+ * @param {Array} items - 任务数据列表
+ * @param {number} concurrency - 并发数
+ * @param {Function} worker - 处理单个任务的异步函数
+ * @param {Function} onProgress - 进度回调
+ * @returns {Promise<Array>} 与 items 顺序一致的结果列表
+ */
+async function runConcurrently(items, concurrency, worker, onProgress) {
+  const pool = new TaskPool(concurrency);
+  return await pool.run(items, worker, onProgress);
+}
+
+module.exports = {
+  TaskPool,
+  runConcurrently,
+  getDefaultConcurrency
+};
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+/**
+ * 常见静态资源的MIME类型
+ */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wasm': 'application/wasm',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * 预压缩文件的扩展名，按优先级排列
+ */
+const PRECOMPRESSED_ENCODINGS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+];
+
+/**
+ * 实时刷新使用的事件流地址
+ */
+const LIVE_RELOAD_PATH = '/__livereload';
+
+/**
+ * 注入HTML的实时刷新脚本
+ */
+const LIVE_RELOAD_SNIPPET = `<script>(function(){var s=new EventSource('${LIVE_RELOAD_PATH}');s.onmessage=function(e){if(e.data==='reload')location.reload();};})();</script>`;
+
+/**
+ * 本地预览服务器
+ * 以正确的MIME类型提供输出目录中的文件，存在 .br/.gz 预压缩文件且客户端支持时优先返回，
+ * 启用实时刷新时向HTML注入脚本，并在 reload() 时通知所有页面刷新。
+ */
+class PreviewServer {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || './dist');
+    this.port = options.port !== undefined ? options.port : 8080;
+    this.host = options.host || 'localhost';
+    this.liveReload = options.liveReload || false;
+    this.clients = new Set();
+    this.server = null;
+  }
+
+  /**
+   * 启动服务器
+   * @returns {Promise<string>} 访问地址
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(`http://${this.host}:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  /**
+   * 关闭服务器
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * 通知所有已连接的页面刷新
+   * @returns {void}
+   */
+  reload() {
+    this.clients.forEach(client => client.write('data: reload\n\n'));
+  }
+
+  /**
+   * 处理HTTP请求
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   * @returns {void}
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (this.liveReload && url.pathname === LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('\n');
+      this.clients.add(res);
+      req.on('close', () => this.clients.delete(res));
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const filePath = this.resolveFile(url.pathname);
+    if (!filePath) {
+      this.sendError(res, 404, 'Not Found');
+      return;
+    }
+
+    this.sendFile(req, res, filePath);
+  }
+
+  /**
+   * 将请求路径解析为输出目录中的文件，目录返回其中的 index.html
+   * @param {string} pathname - 请求路径
+   * @returns {string|null} 文件路径，不存在或越界时返回null
+   */
+  resolveFile(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      return null;
+    }
+
+    let filePath = path.join(this.root, decoded);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      return null;
+    }
+
+    try {
+      if (fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+      return fs.statSync(filePath).isFile() ? filePath : null;
+    } catch (error) {
+      // 支持省略 .html 扩展名的地址
+      const htmlPath = `${filePath}.html`;
+      return fs.existsSync(htmlPath) ? htmlPath : null;
+    }
+  }
+
+  /**
+   * 发送文件内容
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   * @param {string} filePath - 文件路径
+   * @returns {void}
+   */
+  sendFile(req, res, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const headers = {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    };
+
+    // 需要注入实时刷新脚本的HTML直接读取原文件
+    if (this.liveReload && MIME_TYPES[ext] && MIME_TYPES[ext].startsWith('text/html')) {
+      let html;
+      try {
+        html = this.injectLiveReload(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        this.sendReadError(res, error);
+        return;
+      }
+      headers['Content-Length'] = Buffer.byteLength(html);
+      res.writeHead(200, headers);
+      res.end(req.method === 'HEAD' ? undefined : html);
+      return;
+    }
+
+    let servedPath = filePath;
+    const precompressed = this.findPrecompressed(filePath, req.headers['accept-encoding'] || '');
+    if (precompressed) {
+      servedPath = precompressed.path;
+      headers['Content-Encoding'] = precompressed.encoding;
+    }
+    headers.Vary = 'Accept-Encoding';
+
+    // 文件可能在解析路径后被监听模式的重建删除或替换，打开成功后再发送响应头
+    const stream = fs.createReadStream(servedPath);
+    stream.on('error', error => this.sendReadError(res, error));
+    stream.on('open', fd => {
+      headers['Content-Length'] = fs.fstatSync(fd).size;
+      res.writeHead(200, headers);
+      if (req.method === 'HEAD') {
+        stream.destroy();
+        res.end();
+        return;
+      }
+      stream.pipe(res);
+    });
+    res.on('close', () => stream.destroy());
+  }
+
+  /**
+   * 读取文件失败时发送错误响应，已开始发送内容时中断连接
+   * @param {http.ServerResponse} res - 响应
+   * @param {Error} error - 读取错误
+   * @returns {void}
+   */
+  sendReadError(res, error) {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    if (error.code === 'ENOENT') {
+      this.sendError(res, 404, 'Not Found');
+      return;
+    }
+    this.sendError(res, 500, 'Internal Server Error');
+  }
+
+  /**
+   * 查找客户端可接受的预压缩文件
+   * @param {string} filePath - 原文件路径
+   * @param {string} acceptEncoding - Accept-Encoding 请求头
+   * @returns {object|null} { path, encoding }
+   */
+  findPrecompressed(filePath, acceptEncoding) {
+    const accepted = acceptEncoding.split(',')
+      .map(item => item.trim().split(';'))
+      .filter(([, quality]) => !quality || parseFloat(quality.split('=')[1]) > 0)
+      .map(([encoding]) => encoding.toLowerCase());
+
+    for (const { encoding, extension } of PRECOMPRESSED_ENCODINGS) {
+      const candidate = filePath + extension;
+      if (accepted.includes(encoding) && fs.existsSync(candidate)) {
+        return { path: candidate, encoding };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 向HTML注入实时刷新脚本
+   * @param {string} html - HTML内容
+   * @returns {string} 注入后的HTML
+   */
+  injectLiveReload(html) {
+    if (/<\/body>/i.test(html)) {
+      return html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${LIVE_RELOAD_SNIPPET}</body>`);
+    }
+    return html + LIVE_RELOAD_SNIPPET;
+  }
+
+  /**
+   * 发送错误响应
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {string} message - 错误信息
+   * @returns {void}
+   */
+  sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`${status} ${message}`);
+  }
+}
+
+module.exports = {
+  PreviewServer,
+  MIME_TYPES
+};
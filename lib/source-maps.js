@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+/**
+ * source map 的输出方式：external 写入相邻的 .map 文件，inline 以data URI写入文件末尾
+ */
+const SOURCE_MAP_MODES = ['external', 'inline'];
+
+/**
+ * 匹配CSS和JS中的 sourceMappingURL 注释（// 形式只匹配独占一行的注释，避免误判字符串中的内容）
+ */
+const SOURCE_MAPPING_URL_REGEX = /\/\*\s*[#@]\s*sourceMappingURL=([^\s*]+)\s*\*\/|^[ \t]*\/\/\s*[#@]\s*sourceMappingURL=(\S+)[ \t]*$/gm;
+
+/**
+ * 将 sourceMaps 配置规范化为输出方式
+ * @param {boolean|string} value - sourceMaps 配置
+ * @returns {string|null} external 或 inline，未启用时返回null
+ */
+function resolveSourceMapMode(value) {
+  if (!value) {
+    return null;
+  }
+  if (value === true) {
+    return 'external';
+  }
+  if (!SOURCE_MAP_MODES.includes(value)) {
+    throw new Error(`不支持的 source map 输出方式: ${value}（可选 ${SOURCE_MAP_MODES.join('、')}）`);
+  }
+  return value;
+}
+
+/**
+ * 查找内容中最后一个 sourceMappingURL
+ * @param {string} content - CSS或JS内容
+ * @returns {string|null} source map 地址
+ */
+function findSourceMappingURL(content) {
+  let url = null;
+  let match;
+
+  SOURCE_MAPPING_URL_REGEX.lastIndex = 0;
+  while ((match = SOURCE_MAPPING_URL_REGEX.exec(content)) !== null) {
+    url = match[1] || match[2];
+  }
+
+  return url;
+}
+
+/**
+ * 移除内容中的 sourceMappingURL 注释
+ * 注释位于文件末尾，移除后不影响其前面内容的位置
+ * @param {string} content - CSS或JS内容
+ * @returns {string} 移除后的内容
+ */
+function removeSourceMappingURL(content) {
+  return content.replace(SOURCE_MAPPING_URL_REGEX, '');
+}
+
+/**
+ * 将 sourceMappingURL 改为新的地址
+ * @param {string} content - CSS或JS内容
+ * @param {string} url - 新地址
+ * @returns {string} 改写后的内容
+ */
+function setSourceMappingURL(content, url) {
+  return content.replace(SOURCE_MAPPING_URL_REGEX, match => match.replace(/sourceMappingURL=[^\s*]+/, `sourceMappingURL=${url}`));
+}
+
+/**
+ * 将 source map 中的来源转为绝对路径
+ * @param {object} map - source map
+ * @param {string} baseDir - 相对来源所基于的目录（.map 文件所在目录）
+ * @returns {object} 新的 source map
+ */
+function toAbsoluteSources(map, baseDir) {
+  const { sourceRoot, ...rest } = map;
+
+  return {
+    ...rest,
+    sources: (map.sources || []).map(source => {
+      const joined = sourceRoot ? `${sourceRoot.replace(/\/?$/, '/')}${source}` : source;
+      if (joined.startsWith('file://')) {
+        return fileURLToPath(joined);
+      }
+      // http:、webpack: 等带协议的来源保持不变
+      if (/^[a-z][\w+.-]*:/i.test(joined) && !path.isAbsolute(joined)) {
+        return joined;
+      }
+      return path.resolve(baseDir, joined);
+    })
+  };
+}
+
+/**
+ * 获取源文件中 sourceMappingURL 指向的本地 .map 文件路径
+ * @param {string} content - 源文件内容
+ * @param {string} filePath - 源文件路径
+ * @returns {string|null} .map 文件的绝对路径，没有或为data URI、远程地址时返回null
+ */
+function getSourceMapPath(content, filePath) {
+  const url = findSourceMappingURL(content);
+  if (!url || /^[a-z][\w+.-]*:/i.test(url)) {
+    return null;
+  }
+  try {
+    return path.resolve(path.dirname(filePath), decodeURIComponent(url.split(/[?#]/)[0]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 读取源文件中 sourceMappingURL 指向的 source map（支持data URI和相对路径）
+ * @param {string} content - 源文件内容
+ * @param {string} filePath - 源文件路径
+ * @returns {object|null} 来源为绝对路径的 source map，没有时返回null
+ */
+function readSourceMap(content, filePath) {
+  const url = findSourceMappingURL(content);
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const dataMatch = /^data:[^,]*?(;base64)?,(.*)$/.exec(url);
+    if (dataMatch) {
+      const json = dataMatch[1]
+        ? Buffer.from(dataMatch[2], 'base64').toString('utf8')
+        : decodeURIComponent(dataMatch[2]);
+      return toAbsoluteSources(JSON.parse(json), path.dirname(filePath));
+    }
+
+    if (/^[a-z][\w+.-]*:/i.test(url)) {
+      throw new Error('不支持远程地址');
+    }
+    const mapPath = path.resolve(path.dirname(filePath), decodeURIComponent(url.split(/[?#]/)[0]));
+    return toAbsoluteSources(JSON.parse(fs.readFileSync(mapPath, 'utf8')), path.dirname(mapPath));
+  } catch (error) {
+    throw new Error(`无法读取输入的 source map ${url.startsWith('data:') ? '(data URI)' : url}: ${error.message}`);
+  }
+}
+
+/**
+ * 写入输出文件及其 source map
+ * 来源改为相对于 .map 文件的路径，并保留源文件内容，输出目录中没有源文件时同样可以调试
+ * @param {string} outputPath - 输出文件路径
+ * @param {string} content - 输出内容
+ * @param {object} map - 来源为绝对路径的 source map
+ * @param {string} mode - external 或 inline
+ * @returns {Array} 额外写入的文件路径
+ */
+function writeWithSourceMap(outputPath, content, map, mode) {
+  const mapDir = path.dirname(outputPath);
+  const finalMap = {
+    ...map,
+    file: path.basename(outputPath),
+    sources: map.sources.map(source => (path.isAbsolute(source)
+      ? path.relative(mapDir, source).split(path.sep).join('/')
+      : source))
+  };
+  const json = JSON.stringify(finalMap);
+  const url = mode === 'inline'
+    ? `data:application/json;charset=utf-8;base64,${Buffer.from(json).toString('base64')}`
+    : `${path.basename(outputPath)}.map`;
+  const annotation = path.extname(outputPath).toLowerCase() === '.css'
+    ? `/*# sourceMappingURL=${url} */`
+    : `//# sourceMappingURL=${url}`;
+
+  fs.writeFileSync(outputPath, `${content}\n${annotation}`);
+  if (mode === 'inline') {
+    return [];
+  }
+
+  fs.writeFileSync(`${outputPath}.map`, json);
+  return [`${outputPath}.map`];
+}
+
+module.exports = {
+  resolveSourceMapMode,
+  findSourceMappingURL,
+  getSourceMapPath,
+  removeSourceMappingURL,
+  setSourceMappingURL,
+  toAbsoluteSources,
+  readSourceMap,
+  writeWithSourceMap,
+  SOURCE_MAP_MODES
+};
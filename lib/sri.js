@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { getIntegrity } = require('./utils');
+const { HTMLOptimizer } = require('./html-optimizer');
+const { isLocalReference, resolveReference } = require('./references');
+
+/**
+ * 子资源完整性的默认选项
+ */
+const DEFAULT_SRI_OPTIONS = {
+  algorithm: 'sha384',
+  crossorigin: 'anonymous',
+  lockfile: null,
+  verifyRemote: false,
+  updateLockfile: false,
+  timeout: 30000
+};
+
+/**
+ * 浏览器支持的完整性摘要算法
+ */
+const SRI_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * 下载远程资源时最多跟随的重定向次数
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * 将 sri 配置（true、false 或对象）规范化为完整选项
+ * @param {boolean|object} value - sri 配置
+ * @returns {object|null} 完整选项，未启用时返回null
+ */
+function resolveSRIOptions(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { enabled, ...rest } = value === true ? {} : value;
+  if (enabled === false) {
+    return null;
+  }
+
+  const options = { ...DEFAULT_SRI_OPTIONS, ...rest };
+  if (!SRI_ALGORITHMS.includes(options.algorithm)) {
+    throw new Error(`不支持的SRI摘要算法: ${options.algorithm}，可选 ${SRI_ALGORITHMS.join('、')}`);
+  }
+  if (options.updateLockfile && !options.lockfile) {
+    throw new Error('sri.updateLockfile 需要同时设置 lockfile（--sri-lockfile），否则下载的摘要无处保存');
+  }
+  return options;
+}
+
+/**
+ * 下载远程资源
+ * @param {string} url - 资源地址
+ * @param {number} timeout - 连接超过该毫秒数没有响应时中止下载
+ * @param {number} redirects - 剩余可跟随的重定向次数
+ * @returns {Promise<Buffer>} 资源内容
+ */
+function download(url, timeout = DEFAULT_SRI_OPTIONS.timeout, redirects = MAX_REDIRECTS) {
+  const client = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { timeout }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).toString(), timeout, redirects - 1));
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`下载失败 (HTTP ${res.statusCode}): ${url}`));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error(`下载超时 (${timeout}ms 内没有响应): ${url}`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 子资源完整性处理器
+ * 按最终写入的字节为HTML中引用本地文件的脚本和样式表添加 integrity 和 crossorigin；
+ * 远程资源使用锁文件中固定的摘要，并可下载后校验或更新锁文件。
+ */
+class SRIGenerator {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './dist';
+    this.options = { ...DEFAULT_SRI_OPTIONS, ...options };
+    this.htmlOptimizer = new HTMLOptimizer();
+    this.localIntegrities = new Map();
+    this.lock = this.loadLockfile();
+    this.lockChanged = false;
+    this.verified = new Map();
+  }
+
+  /**
+   * 读取远程资源锁文件（远程地址 → 完整性摘要）
+   * @returns {object} 锁文件内容
+   */
+  loadLockfile() {
+    const { lockfile } = this.options;
+    if (!lockfile || !fs.existsSync(lockfile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(lockfile, 'utf8'));
+    } catch (error) {
+      throw new Error(`SRI锁文件解析失败 (${lockfile}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 处理一个HTML输出文件
+   * @param {string} file - 相对于输出目录的HTML文件路径
+   * @returns {Promise<object>} { tags, warnings }
+   */
+  async processFile(file) {
+    const filePath = path.join(this.outputDir, file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const integrities = new Map();
+    const warnings = [];
+    const errors = [];
+
+    for (const { url, attributes } of this.htmlOptimizer.extractSubresources(content)) {
+      if (isLocalReference(url)) {
+        const target = path.join(this.outputDir, resolveReference(file, url));
+        if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+          integrities.set(url, await this.getLocalIntegrity(target));
+        } else {
+          warnings.push(`SRI: 找不到本地资源 ${url}`);
+        }
+        continue;
+      }
+
+      if (!/^(https?:)?\/\//i.test(url)) {
+        continue;
+      }
+
+      const remote = await this.getRemoteIntegrity(file, url, attributes, warnings, errors);
+      if (remote) {
+        integrities.set(url, remote);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`${file}: SRI校验失败:\n  ${errors.join('\n  ')}`);
+    }
+
+    const updated = this.htmlOptimizer.addIntegrity(content, integrities, this.options.crossorigin);
+    if (updated !== content) {
+      fs.writeFileSync(filePath, updated);
+    }
+
+    return { tags: integrities.size, warnings };
+  }
+
+  /**
+   * 计算本地文件的完整性摘要
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<string>} 完整性摘要
+   */
+  async getLocalIntegrity(filePath) {
+    const key = path.resolve(filePath);
+    if (!this.localIntegrities.has(key)) {
+      this.localIntegrities.set(key, await getIntegrity(filePath, this.options.algorithm));
+    }
+    return this.localIntegrities.get(key);
+  }
+
+  /**
+   * 获取远程资源的完整性摘要：优先使用锁文件，必要时下载校验或写入锁文件
+   * @param {string} file - HTML文件路径
+   * @param {string} url - 远程地址
+   * @param {object} attributes - 标签属性
+   * @param {Array} warnings - 收集警告的数组
+   * @param {Array} errors - 收集错误的数组
+   * @returns {Promise<string|null>} 完整性摘要，无法确定时返回null
+   */
+  async getRemoteIntegrity(file, url, attributes, warnings, errors) {
+    const absoluteUrl = url.startsWith('//') ? `https:${url}` : url;
+    let pinned = this.lock[url];
+
+    if (!pinned && this.options.updateLockfile) {
+      pinned = await this.fetchIntegrity(absoluteUrl);
+      this.lock[url] = pinned;
+      this.lockChanged = true;
+    }
+
+    if (!pinned) {
+      if (this.options.lockfile) {
+        warnings.push(`SRI: 远程资源未在锁文件中固定 ${url}`);
+      }
+      return null;
+    }
+
+    if (attributes.integrity && attributes.integrity !== pinned) {
+      errors.push(`${url} 的 integrity 与锁文件不一致`);
+      return null;
+    }
+
+    if (this.options.verifyRemote) {
+      const actual = await this.fetchIntegrity(absoluteUrl);
+      if (actual !== pinned) {
+        errors.push(`${url} 的内容与锁文件中的摘要不一致（实际为 ${actual}）`);
+        return null;
+      }
+    }
+
+    return pinned;
+  }
+
+  /**
+   * 下载远程资源并计算完整性摘要（同一地址只下载一次）
+   * @param {string} url - 远程地址
+   * @returns {Promise<string>} 完整性摘要
+   */
+  async fetchIntegrity(url) {
+    if (!this.verified.has(url)) {
+      const content = await download(url, this.options.timeout);
+      const digest = crypto.createHash(this.options.algorithm).update(content).digest('base64');
+      this.verified.set(url, `${this.options.algorithm}-${digest}`);
+    }
+    return this.verified.get(url);
+  }
+
+  /**
+   * 锁文件有新增条目时写回磁盘
+   * @returns {boolean} 是否写入了锁文件
+   */
+  saveLockfile() {
+    if (!this.lockChanged || !this.options.lockfile) {
+      return false;
+    }
+
+    const sorted = Object.fromEntries(Object.entries(this.lock).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(this.options.lockfile, JSON.stringify(sorted, null, 2) + '\n');
+    this.lockChanged = false;
+    return true;
+  }
+}
+
+module.exports = {
+  SRIGenerator,
+  resolveSRIOptions,
+  DEFAULT_SRI_OPTIONS,
+  SRI_ALGORITHMS
+};
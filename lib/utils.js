@@ -174,6 +174,26 @@ async function getFileHash(filePath) {
   });
 }
 
+/**
+ * 计算文件的子资源完整性（SRI）摘要
+ * @param {string} filePath - 文件路径
+ * @param {string} algorithm - 摘要算法（sha256/sha384/sha512）
+ * @returns {Promise<string>} 形如 sha384-xxxx 的摘要
+ */
+async function getIntegrity(filePath, algorithm = 'sha384') {
+  const crypto = require('crypto');
+  const fs = require('fs');
+  
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    const stream = fs.createReadStream(filePath);
+    
+    stream.on('data', data => hash.update(data));
+    stream.on('end', () => resolve(`${algorithm}-${hash.digest('base64')}`));
+    stream.on('error', reject);
+  });
+}
+
 /**
  * 生成时间戳
  * @returns {string} 时间戳字符串
@@ -193,7 +213,7 @@ function deepMerge(target, source) {
   
   for (const key in source) {
     if (source.hasOwnProperty(key)) {
-      if (typeof source[key] === 'object' && source[key] !== null && !Array.isArray(source[key])) {
+      if (typeof source[key] === 'object' && source[key] !== null && !Array.isArray(source[key]) && !(source[key] instanceof RegExp)) {
         result[key] = deepMerge(result[key] || {}, source[key]);
       } else {
         result[key] = source[key];
@@ -330,6 +350,7 @@ module.exports = {
   isJSFile,
   isHTMLFile,
   getFileHash,
+  getIntegrity,
   generateTimestamp,
   deepMerge,
   validateOptions,
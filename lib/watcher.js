@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { escape } = require('glob');
+const { formatBytes, calculateCompressionRatio } = require('./utils');
+
+/**
+ * 监听模式
+ * 监听输入目录的变化，只对发生变化的文件重新运行对应的优化器，
+ * 删除源文件时同步删除其输出文件；短时间内的多次保存会合并为一次重建。
+ * 不支持递归监听的平台（如Node 18的Linux）改为逐个目录监听，新建的目录会自动加入监听。
+ */
+class OptimizerWatcher {
+  constructor(optimizer, options = {}) {
+    this.optimizer = optimizer;
+    this.inputDir = optimizer.options.inputDir;
+    this.debounce = options.debounce !== undefined ? options.debounce : 200;
+    this.onRebuild = options.onRebuild || null;
+    this.pending = new Set();
+    this.timer = null;
+    this.queue = Promise.resolve();
+    // 相对于输入目录的目录路径（根目录为空字符串） -> fs.FSWatcher
+    this.watchers = new Map();
+    this.recursive = true;
+  }
+
+  /**
+   * 开始监听
+   * @returns {void}
+   */
+  start() {
+    try {
+      this.watchDir('', true);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.recursive = false;
+      this.watchTree('', false);
+    }
+  }
+
+  /**
+   * 停止监听
+   * @returns {Promise<void>} 正在进行的重建结束后兑现
+   */
+  async close() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    await this.queue;
+  }
+
+  /**
+   * 监听单个目录
+   * @param {string} dir - 相对于输入目录的目录路径
+   * @param {boolean} recursive - 是否递归监听子目录
+   * @returns {void}
+   */
+  watchDir(dir, recursive) {
+    const watcher = fs.watch(path.join(this.inputDir, dir), { recursive }, (eventType, filename) => {
+      if (!filename) {
+        return;
+      }
+      const file = path.posix.join(dir, filename.toString().split(path.sep).join('/'));
+      if (!recursive) {
+        this.updateTree(file);
+      }
+      this.schedule(file);
+    });
+
+    watcher.on('error', error => {
+      // 逐个目录监听时，目录被删除后其监听器可能报错，由上级目录的事件负责清理
+      if (!recursive && !fs.existsSync(path.join(this.inputDir, dir))) {
+        this.unwatchTree(dir);
+        return;
+      }
+      console.error(chalk.red('❌ 监听出错:'), error.message);
+    });
+
+    this.watchers.set(dir, watcher);
+  }
+
+  /**
+   * 逐个监听目录及其未被忽略的子目录
+   * @param {string} dir - 相对于输入目录的目录路径
+   * @param {boolean} scheduleFiles - 是否将其中已有的文件加入重建（用于新建的目录）
+   * @returns {void}
+   */
+  watchTree(dir, scheduleFiles) {
+    if (this.watchers.has(dir) || (dir && this.optimizer.discovery.isIgnored(dir, true))) {
+      return;
+    }
+
+    let entries;
+    try {
+      this.watchDir(dir, false);
+      entries = fs.readdirSync(path.join(this.inputDir, dir), { withFileTypes: true });
+    } catch (error) {
+      if (!dir) {
+        throw error;
+      }
+      // 目录在加入监听前已被删除
+      this.unwatchTree(dir);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const child = path.posix.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        this.watchTree(child, scheduleFiles);
+      } else if (scheduleFiles) {
+        this.schedule(child);
+      }
+    });
+  }
+
+  /**
+   * 停止监听目录及其子目录
+   * @param {string} dir - 相对于输入目录的目录路径
+   * @returns {void}
+   */
+  unwatchTree(dir) {
+    Array.from(this.watchers.keys())
+      .filter(watched => watched === dir || watched.startsWith(`${dir}/`))
+      .forEach(watched => {
+        this.watchers.get(watched).close();
+        this.watchers.delete(watched);
+      });
+  }
+
+  /**
+   * 逐个目录监听时，根据变化的路径增加或移除目录监听
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {void}
+   */
+  updateTree(file) {
+    let stats;
+    try {
+      stats = fs.statSync(path.join(this.inputDir, file));
+    } catch (error) {
+      this.unwatchTree(file);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      this.watchTree(file, true);
+    }
+  }
+
+  /**
+   * 记录变化的文件，并在防抖时间后触发重建
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {void}
+   */
+  schedule(file) {
+    if (this.optimizer.discovery.isPathIgnored(file)) {
+      return;
+    }
+
+    this.pending.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  /**
+   * 处理所有待重建的文件，重建按批次串行执行
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const files = Array.from(this.pending).sort();
+    this.pending.clear();
+
+    this.queue = this.queue.then(() => this.rebuild(files));
+    return this.queue;
+  }
+
+  /**
+   * 重建一批文件，读取了其中某个文件的源文件（如 @import 了该样式表的文件）一并重建
+   * @param {Array} files - 相对于输入目录的路径列表
+   * @returns {Promise<Array>} 各文件的处理结果
+   */
+  async rebuild(files) {
+    const results = [];
+    const targets = new Set(files);
+    files.forEach(file => this.optimizer.getDependents(file).forEach(source => targets.add(source)));
+
+    for (const file of targets) {
+      try {
+        const result = await this.rebuildFile(file);
+        if (result) {
+          results.push(result);
+          this.printResult(result);
+        }
+      } catch (error) {
+        console.error(chalk.red(`✗ ${error.message}`));
+      }
+    }
+
+    if (results.length > 0) {
+      try {
+        await this.optimizer.finalizeRebuild(results);
+      } catch (error) {
+        console.error(chalk.red(`✗ ${error.message}`));
+      }
+    }
+
+    if (results.length > 0 && this.onRebuild) {
+      this.onRebuild(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * 重建单个文件，源文件已删除时删除对应输出
+   * @param {string} file - 相对于输入目录的路径
+   * @returns {Promise<object|null>} 处理结果，无需处理时返回null
+   */
+  async rebuildFile(file) {
+    const inputPath = path.join(this.inputDir, file);
+
+    if (!fs.existsSync(inputPath)) {
+      const removed = this.optimizer.removeOutputs(file);
+      return removed.length > 0 ? { type: 'removed', file, outputs: removed } : null;
+    }
+
+    if (!fs.statSync(inputPath).isFile()) {
+      return null;
+    }
+
+    // 复用 include/exclude 与忽略规则判断该文件是否需要处理
+    const matched = await this.optimizer.findFiles(escape(file), { dot: true });
+    if (matched.length === 0) {
+      return null;
+    }
+
+    return await this.optimizer.processFile(file);
+  }
+
+  /**
+   * 输出单个文件的变化情况
+   * @param {object} result - 处理结果
+   * @returns {void}
+   */
+  printResult(result) {
+    const time = new Date().toLocaleTimeString();
+
+    if (result.type === 'removed') {
+      console.log(chalk.gray(`[${time}] `) + chalk.yellow(`✗ ${result.file}: 已删除 ${result.outputs.length} 个输出文件`));
+      return;
+    }
+
+    if (result.type === 'asset') {
+      console.log(chalk.gray(`[${time}] → ${result.file}: 原样复制 (${formatBytes(result.optimizedSize)})`));
+      return;
+    }
+
+    const compression = calculateCompressionRatio(result.originalSize, result.optimizedSize);
+    const cacheHint = result.cached ? ' 缓存' : '';
+    // 变小显示为 -x%，变大显示为 +x%
+    const change = -compression.savedPercentage;
+    const changeText = ` (${change > 0 ? '+' : ''}${change}%)`;
+    console.log(
+      chalk.gray(`[${time}] `) +
+      chalk.green(`✓ ${result.file}: ${formatBytes(result.originalSize)} → ${formatBytes(result.optimizedSize)}`) +
+      (change > 0 ? chalk.yellow(changeText) : chalk.cyan(changeText)) +
+      chalk.gray(` ${result.duration}ms${cacheHint}`)
+    );
+  }
+}
+
+module.exports = {
+  OptimizerWatcher
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runOptimizer } = require('./helpers');
+
+const FONT = Buffer.from([0x77, 0x4F, 0x46, 0x32, 0x00, 0x01, 0x00, 0x00, 0xFF, 0xFE]);
+
+test('其余文件（包括点文件）原样复制到输出目录并记录为 asset', async t => {
+  const { optimizer, read } = await runOptimizer(t, {
+    'index.html': '<html><body><p>首页</p></body></html>',
+    'robots.txt': 'User-agent: *\nDisallow:\n',
+    'fonts/brand.woff2': FONT,
+    '.htaccess': 'Options -Indexes\n',
+    '.well-known/security.txt': 'Contact: mailto:security@example.com\n',
+    'drafts/notes.md': '# 草稿'
+  }, { exclude: ['drafts/**'] });
+
+  assert.strictEqual(read('robots.txt'), 'User-agent: *\nDisallow:\n');
+  assert.strictEqual(read('.htaccess'), 'Options -Indexes\n');
+  assert.strictEqual(read('.well-known/security.txt'), 'Contact: mailto:security@example.com\n');
+  assert.strictEqual(read('drafts/notes.md'), null);
+
+  const font = optimizer.results.find(result => result.file === 'fonts/brand.woff2');
+  assert.deepStrictEqual(
+    { type: font.type, originalSize: font.originalSize, optimizedSize: font.optimizedSize, outputs: font.outputs, transforms: font.transforms },
+    { type: 'asset', originalSize: FONT.length, optimizedSize: FONT.length, outputs: ['fonts/brand.woff2'], transforms: ['copy'] }
+  );
+
+  const copied = optimizer.results.filter(result => result.type === 'asset').map(result => result.file).sort();
+  assert.deepStrictEqual(copied, ['.htaccess', '.well-known/security.txt', 'fonts/brand.woff2', 'robots.txt']);
+  assert.strictEqual(optimizer.stats.filesCopied, 4);
+});
+
+test('关闭的类型（如 --no-js）原样复制，不做优化', async t => {
+  const script = 'function add(a, b) {\n  return a + b;\n}\n';
+  const { optimizer, read } = await runOptimizer(t, {
+    'index.html': '<html><body><script src="js/app.js"></script></body></html>',
+    'js/app.js': script,
+    'css/main.css': '.a { color: red; }'
+  }, { js: false });
+
+  assert.strictEqual(read('js/app.js'), script);
+  assert.strictEqual(read('css/main.css'), '.a{color:red}');
+
+  const types = Object.fromEntries(optimizer.results.map(result => [result.file, result.type]));
+  assert.deepStrictEqual(types, { 'index.html': 'html', 'css/main.css': 'css', 'js/app.js': 'asset' });
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkBudgets, parseSize } = require('../lib/budgets');
+const { createTempDir } = require('./helpers');
+
+test('parseSize 解析字节数和带单位的大小', () => {
+  assert.strictEqual(parseSize(512), 512);
+  assert.strictEqual(parseSize('300KB'), 300 * 1024);
+  assert.strictEqual(parseSize(' 1.5 mb '), 1.5 * 1024 * 1024);
+  assert.strictEqual(parseSize('10'), 10);
+  assert.throws(() => parseSize('10 MiB'), /无法解析的大小: 10 MiB/);
+});
+
+test('按总量、类型、规则和页面重量检查预算', t => {
+  const rootDir = createTempDir(t, {
+    'index.html': '<link rel="stylesheet" href="css/main.css"><script src="js/app.js"></script><img src="img/hero/a.jpg">'
+  });
+  const files = [
+    { path: 'index.html', type: 'html', size: 100 },
+    { path: 'css/main.css', type: 'css', size: 200 },
+    { path: 'js/app.js', type: 'js', size: 1500 },
+    { path: 'js/vendor.js', type: 'js', size: 600 },
+    { path: 'img/hero/a.jpg', type: 'images', size: 3000 }
+  ];
+
+  const violations = checkBudgets({
+    maxTotal: '5KB',
+    maxPageWeight: 4000,
+    types: { js: { maxTotal: '2KB', maxFile: 1024 }, css: { maxFile: '1KB' } },
+    rules: [{ pattern: 'img/hero/**', maxFile: '2KB' }, { pattern: 'fonts/**', maxTotal: 1 }]
+  }, files, rootDir);
+
+  assert.deepStrictEqual(violations.map(({ budget, scope, path, actual, limit }) => ({ budget, scope, path, actual, limit })), [
+    { budget: 'maxTotal', scope: '全部文件', path: undefined, actual: 5400, limit: 5120 },
+    { budget: 'maxTotal', scope: 'js 类型', path: undefined, actual: 2100, limit: 2048 },
+    { budget: 'maxFile', scope: 'js 类型', path: 'js/app.js', actual: 1500, limit: 1024 },
+    { budget: 'maxFile', scope: '规则 "img/hero/**"', path: 'img/hero/a.jpg', actual: 3000, limit: 2048 },
+    { budget: 'maxPageWeight', scope: undefined, path: 'index.html', actual: 4800, limit: 4000 }
+  ]);
+  assert.match(violations[4].message, /页面 index\.html 总大小 .*（含 3 个引用资源）超出预算/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AssetBundler, resolveBundleOptions } = require('../lib/bundle');
+const { createTempDir, runOptimizer } = require('./helpers');
+
+const STYLES = '<link rel="stylesheet" href="css/b.css"><link rel="stylesheet" href="css/a.css">';
+const SCRIPTS = '<script src="js/two.js"></script><script src="js/one.js"></script>';
+
+test('resolveBundleOptions 处理开关并合并默认值', () => {
+  assert.strictEqual(resolveBundleOptions(false), null);
+  assert.strictEqual(resolveBundleOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveBundleOptions(true), { dir: 'bundles' });
+  assert.deepStrictEqual(resolveBundleOptions({ dir: 'assets' }), { dir: 'assets' });
+});
+
+test('按页面中的顺序合并成员，成员相同的页面共用合并文件', t => {
+  const files = {
+    'index.html': `<head>${STYLES}</head><body>${SCRIPTS}</body>`,
+    'about/index.html': `<head>${STYLES.replace(/css\//g, '../css/')}</head><body>${SCRIPTS.replace(/js\//g, '../js/')}</body>`,
+    'css/a.css': '.a{background:url(../img/a.png)}',
+    'css/b.css': '.b{color:red}\n/*# sourceMappingURL=b.css.map */',
+    'js/one.js': 'window.one=1',
+    'js/two.js': 'window.two=2//'
+  };
+  const outputDir = createTempDir(t, files);
+  const bundler = new AssetBundler({ outputDir });
+
+  const modified = bundler.run(Object.keys(files));
+
+  assert.strictEqual(bundler.bundles.size, 2);
+  const [css, js] = Array.from(bundler.bundles.keys());
+  assert.deepStrictEqual(bundler.bundles.get(css), ['css/b.css', 'css/a.css']);
+  assert.deepStrictEqual(bundler.bundles.get(js), ['js/two.js', 'js/one.js']);
+  assert.deepStrictEqual(Array.from(modified.keys()), ['index.html', 'about/index.html']);
+  assert.deepStrictEqual(modified.get('about/index.html'), [css, js]);
+
+  const read = file => fs.readFileSync(path.join(outputDir, file), 'utf8');
+  assert.strictEqual(read(css), '.b{color:red}\n.a{background:url(../img/a.png)}');
+  assert.strictEqual(read(js), 'window.two=2//\n;window.one=1');
+  assert.strictEqual(read('index.html'), `<head><link rel="stylesheet" href="${css}"></head><body><script src="${js}"></script></body>`);
+  assert.strictEqual(read('about/index.html'), `<head><link rel="stylesheet" href="../${css}"></head><body><script src="../${js}"></script></body>`);
+});
+
+test('async、module 脚本和带其他属性的标签不参与合并，并中断前后的分组', t => {
+  const page = [
+    '<script src="a.js"></script>',
+    '<script src="b.js" async></script>',
+    '<script src="c.js"></script>',
+    '<script type="module" src="m1.js"></script>',
+    '<script type="module" src="m2.js"></script>',
+    '<script src="d.js" defer></script>',
+    '<script src="e.js" defer></script>',
+    '<link rel="stylesheet" href="print.css" media="print">',
+    '<link rel="stylesheet" href="screen.css">'
+  ].join('');
+  const files = { 'index.html': page };
+  ['a', 'b', 'c', 'm1', 'm2', 'd', 'e'].forEach(name => { files[`${name}.js`] = `window.${name}=1`; });
+  files['print.css'] = 'p{color:#000}';
+  files['screen.css'] = 'p{color:red}';
+  const outputDir = createTempDir(t, files);
+  const bundler = new AssetBundler({ outputDir });
+
+  bundler.run(Object.keys(files));
+
+  assert.deepStrictEqual(Array.from(bundler.bundles.values()), [['d.js', 'e.js']]);
+  const [bundle] = bundler.bundles.keys();
+  assert.strictEqual(
+    fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8'),
+    page.replace('<script src="d.js" defer></script><script src="e.js" defer></script>', `<script src="${bundle}" defer></script>`)
+  );
+});
+
+test('合并后删除不再被引用的成员，合并文件同样添加哈希和完整性属性', async t => {
+  const { optimizer, read } = await runOptimizer(t, {
+    'index.html': `<html><head>${STYLES}</head><body>${SCRIPTS}</body></html>`,
+    'other.html': '<html><body><script src="js/one.js"></script></body></html>',
+    'css/a.css': '.a { color: blue; }',
+    'css/b.css': '.b { color: red; }',
+    'js/one.js': 'window.one = 1;',
+    'js/two.js': 'window.two = 2;'
+  }, { bundle: true, hash: true, sri: true });
+
+  const outputs = optimizer.results.flatMap(result => result.outputs);
+  const cssBundle = outputs.find(file => /^bundles\/bundle-\w{8}\.\w{8}\.css$/.test(file));
+  const jsBundle = outputs.find(file => /^bundles\/bundle-\w{8}\.\w{8}\.js$/.test(file));
+  assert.ok(cssBundle && jsBundle, outputs.join(', '));
+
+  // 只在 index.html 中引用的成员被删除，other.html 仍引用的 one.js 保留
+  assert.ok(!outputs.some(file => /^css\/|^js\/two/.test(file)));
+  assert.ok(outputs.some(file => /^js\/one\.\w{8}\.js$/.test(file)));
+  assert.deepStrictEqual(optimizer.results.filter(result => result.bundled).map(result => result.bundled), [
+    ['css/b.css', 'css/a.css'],
+    ['js/two.js', 'js/one.js']
+  ]);
+
+  const digest = file => `sha384-${crypto.createHash('sha384').update(read(file)).digest('base64')}`;
+  const html = read('index.html');
+  assert.ok(html.includes(`href="${cssBundle}" integrity="${digest(cssBundle)}"`), html);
+  assert.ok(html.includes(`src="${jsBundle}" integrity="${digest(jsBundle)}"`), html);
+  assert.strictEqual(read(cssBundle), '.b{color:red}\n.a{color:#00f}');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const StaticPageOptimizer = require('../index');
+const { OptimizerCache } = require('../lib/cache');
+const { createTempDir, writeFiles } = require('./helpers');
+
+test('缓存键由内容、路径和选项决定，与选项键名顺序无关', async t => {
+  const dir = createTempDir(t, { 'a.css': 'a{color:red}' });
+  const cache = new OptimizerCache({ cacheDir: path.join(dir, '.cache') });
+  const inputPath = path.join(dir, 'a.css');
+
+  const key = await cache.getKey('a.css', inputPath, { x: 1, y: 2 });
+  assert.strictEqual(await cache.getKey('a.css', inputPath, { y: 2, x: 1 }), key);
+  assert.notStrictEqual(await cache.getKey('b.css', inputPath, { x: 1, y: 2 }), key);
+  assert.notStrictEqual(await cache.getKey('a.css', inputPath, { x: 2, y: 2 }), key);
+
+  fs.writeFileSync(inputPath, 'a{color:blue}');
+  assert.notStrictEqual(await cache.getKey('a.css', inputPath, { x: 1, y: 2 }), key);
+});
+
+test('记录的依赖文件变化或被删除后缓存不再命中', t => {
+  const dir = createTempDir(t, { 'out/a.css': 'a{}', 'src/base.css': 'b{}' });
+  const cache = new OptimizerCache({ cacheDir: path.join(dir, '.cache') });
+  const outputDir = path.join(dir, 'out');
+  const dependency = path.join(dir, 'src/base.css');
+
+  cache.store('k'.repeat(64), outputDir, ['a.css'], { transforms: ['clean-css'], dependencies: [dependency] });
+  const meta = cache.restore('k'.repeat(64), outputDir);
+  assert.deepStrictEqual(meta.transforms, ['clean-css']);
+  assert.deepStrictEqual(meta.dependencies.map(item => item.file), [dependency]);
+
+  fs.writeFileSync(dependency, 'b{color:red}');
+  assert.strictEqual(cache.restore('k'.repeat(64), outputDir), null);
+
+  cache.store('k'.repeat(64), outputDir, ['a.css'], { dependencies: [dependency] });
+  fs.unlinkSync(dependency);
+  assert.strictEqual(cache.restore('k'.repeat(64), outputDir), null);
+});
+
+test('修改 @import 的样式表后重新优化导入它的文件', async t => {
+  const dir = createTempDir(t, {
+    'src/main.css': '@import "./partials/base.css";\n.main { color: red; }\n',
+    'src/partials/base.css': '.base { color: blue; }\n'
+  });
+  const options = {
+    inputDir: path.join(dir, 'src'),
+    outputDir: path.join(dir, 'dist'),
+    cacheDir: path.join(dir, '.cache')
+  };
+  const outputPath = path.join(dir, 'dist/main.css');
+
+  const first = await new StaticPageOptimizer(options).optimizeFile('css', 'main.css');
+  assert.strictEqual(first.cached, false);
+  assert.match(fs.readFileSync(outputPath, 'utf8'), /\.base\{color:#00f\}/);
+
+  const second = await new StaticPageOptimizer(options).optimizeFile('css', 'main.css');
+  assert.strictEqual(second.cached, true);
+
+  writeFiles(options.inputDir, { 'partials/base.css': '.base { color: green; }\n' });
+  const optimizer = new StaticPageOptimizer(options);
+  const third = await optimizer.optimizeFile('css', 'main.css');
+  assert.strictEqual(third.cached, false);
+  assert.match(fs.readFileSync(outputPath, 'utf8'), /\.base\{color:green\}/);
+  assert.deepStrictEqual(optimizer.getDependents('partials/base.css'), ['main.css']);
+});
+
+test('修改HTML内联样式 @import 的样式表后重新优化页面', async t => {
+  const dir = createTempDir(t, {
+    'src/index.html': '<!DOCTYPE html><html><head><style>@import "theme.css"; p { margin: 0; }</style></head><body><p>hi</p></body></html>',
+    'src/theme.css': '.theme { color: red; }'
+  });
+  const options = {
+    inputDir: path.join(dir, 'src'),
+    outputDir: path.join(dir, 'dist'),
+    cacheDir: path.join(dir, '.cache')
+  };
+  const outputPath = path.join(dir, 'dist/index.html');
+
+  await new StaticPageOptimizer(options).optimizeFile('html', 'index.html');
+  assert.match(fs.readFileSync(outputPath, 'utf8'), /\.theme\{color:red\}/);
+
+  writeFiles(options.inputDir, { 'theme.css': '.theme { color: green; }' });
+  const result = await new StaticPageOptimizer(options).optimizeFile('html', 'index.html');
+  assert.strictEqual(result.cached, false);
+  assert.match(fs.readFileSync(outputPath, 'utf8'), /\.theme\{color:green\}/);
+});
+
+test('启用 source map 时输入的 .map 文件变化后重新优化', async t => {
+  const map = sources => JSON.stringify({ version: 3, sources, names: [], mappings: 'AAAA' });
+  const dir = createTempDir(t, {
+    'src/app.js': 'window.answer = 42;\n//# sourceMappingURL=app.src.map\n',
+    'src/app.src.map': map(['original-a.ts'])
+  });
+  const options = {
+    inputDir: path.join(dir, 'src'),
+    outputDir: path.join(dir, 'dist'),
+    cacheDir: path.join(dir, '.cache'),
+    sourceMaps: true
+  };
+  const readSources = () => JSON.parse(fs.readFileSync(path.join(dir, 'dist/app.js.map'), 'utf8')).sources;
+
+  await new StaticPageOptimizer(options).optimizeFile('js', 'app.js');
+  assert.deepStrictEqual(readSources(), ['../src/original-a.ts']);
+
+  writeFiles(options.inputDir, { 'app.src.map': map(['original-b.ts']) });
+  const result = await new StaticPageOptimizer(options).optimizeFile('js', 'app.js');
+  assert.strictEqual(result.cached, false);
+  assert.deepStrictEqual(readSources(), ['../src/original-b.ts']);
+});
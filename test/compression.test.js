@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Precompressor, resolveCompressionOptions, DEFAULT_COMPRESSION_OPTIONS } = require('../lib/compression');
+const { createTempDir, writeFiles } = require('./helpers');
+
+test('resolveCompressionOptions 处理开关并合并默认值', () => {
+  assert.strictEqual(resolveCompressionOptions(false), null);
+  assert.strictEqual(resolveCompressionOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveCompressionOptions(true), DEFAULT_COMPRESSION_OPTIONS);
+  assert.strictEqual(resolveCompressionOptions({ brotli: false }).brotli, false);
+});
+
+test('shouldCompress 按扩展名过滤，忽略大小写和前导的点', () => {
+  const precompressor = new Precompressor({ extensions: ['.CSS', 'js'] });
+
+  assert.ok(precompressor.shouldCompress('css/main.css'));
+  assert.ok(precompressor.shouldCompress('js/APP.JS'));
+  assert.ok(!precompressor.shouldCompress('index.html'));
+  assert.ok(!precompressor.shouldCompress('css'));
+  assert.ok(new Precompressor().shouldCompress('app.js.map'));
+  assert.ok(!new Precompressor().shouldCompress('photo.jpg'));
+});
+
+test('只压缩不小于阈值的文件，生成可还原的 .gz 和 .br', async t => {
+  const text = 'body{margin:0}\n'.repeat(100);
+  const dir = createTempDir(t, { 'exact.css': text.slice(0, 1024), 'small.css': text.slice(0, 1023) });
+  const precompressor = new Precompressor();
+
+  const exact = await precompressor.compressFile(path.join(dir, 'exact.css'));
+  assert.deepStrictEqual(exact.outputs, [path.join(dir, 'exact.css.gz'), path.join(dir, 'exact.css.br')]);
+  assert.strictEqual(exact.sizes.identity, 1024);
+  assert.ok(exact.sizes.gzip < 1024 && exact.sizes.br < 1024);
+  assert.strictEqual(zlib.gunzipSync(fs.readFileSync(path.join(dir, 'exact.css.gz'))).toString(), text.slice(0, 1024));
+  assert.strictEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(dir, 'exact.css.br'))).toString(), text.slice(0, 1024));
+
+  const small = await precompressor.compressFile(path.join(dir, 'small.css'));
+  assert.deepStrictEqual(small, { sizes: { identity: 1023 }, outputs: [] });
+});
+
+test('压缩后没有变小的编码不生成，并删除上次留下的文件', async t => {
+  const random = Buffer.from(Array.from({ length: 64 }, (_, i) => (i * 97 + 13) % 256));
+  const dir = createTempDir(t, { 'noise.js': random, 'noise.js.gz': 'old', 'noise.js.br': 'old' });
+
+  const result = await new Precompressor({ threshold: 0, brotli: false }).compressFile(path.join(dir, 'noise.js'));
+
+  assert.deepStrictEqual(result, { sizes: { identity: 64 }, outputs: [] });
+  assert.ok(!fs.existsSync(path.join(dir, 'noise.js.gz')));
+  assert.ok(!fs.existsSync(path.join(dir, 'noise.js.br')));
+
+  writeFiles(dir, { 'noise.js': 'x'.repeat(2000) });
+  const compressible = await new Precompressor({ threshold: 0, brotli: false }).compressFile(path.join(dir, 'noise.js'));
+  assert.deepStrictEqual(Object.keys(compressible.sizes), ['identity', 'gzip']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig, loadConfig, resolveOptions } = require('../lib/config');
+
+test('validateConfig 接受符合结构的配置', () => {
+  const { config, errors, warnings } = validateConfig({
+    html: { removeComments: false },
+    css: false,
+    hash: true,
+    manifest: 'assets.json'
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(config.html, { removeComments: false });
+  assert.strictEqual(config.css, false);
+});
+
+test('validateConfig 对类型错误报错，对未知键给出拼写建议', () => {
+  const { config, errors, warnings } = validateConfig({ hash: 'yes', verbos: true }, 'cfg.json');
+
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /cfg\.json: 配置项 "hash" 应为 boolean 类型，实际为 string/);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /未知配置项 "verbos"，已忽略，是否应为 "verbose"/);
+  assert.ok(!('verbos' in config));
+});
+
+test('validateConfig 校验嵌套分节并把正则字符串转为 RegExp', () => {
+  const { config, errors, warnings } = validateConfig({
+    js: { mangle: { properties: { regex: '^_' } } },
+    sri: { algorithim: 'sha512' }
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.ok(config.js.mangle.properties.regex instanceof RegExp);
+  assert.match(warnings[0], /"sri\.algorithim".*"sri\.algorithm"/);
+
+  const invalid = validateConfig({ js: { mangle: { properties: { regex: '(' } } } });
+  assert.match(invalid.errors[0], /不是合法的正则表达式/);
+});
+
+test('validateConfig 拒绝非对象的配置', () => {
+  const { errors } = validateConfig([]);
+  assert.match(errors[0], /必须是JSON对象/);
+});
+
+test('validateConfig 在加载时校验预算中的大小和规则', () => {
+  const { config, errors, warnings } = validateConfig({
+    budgets: {
+      maxTotal: '2XB',
+      maxPageWeight: '500KB',
+      types: { js: { maxFile: '1.5 MB' }, image: { maxFile: '200KB' } },
+      rules: [{ maxFile: '10KB' }, { pattern: 'img/**', maxTotal: -1 }, 'fonts/**']
+    }
+  }, 'cfg.json');
+
+  assert.deepStrictEqual(errors, [
+    'cfg.json: 配置项 "budgets.maxTotal" 无效: 无法解析的大小: 2XB，应为字节数或 "300KB"、"1.5MB" 形式的字符串',
+    'cfg.json: 配置项 "budgets.rules[0]" 缺少必填的 "pattern"',
+    'cfg.json: 配置项 "budgets.rules[1].maxTotal" 无效: 大小不能为负数',
+    'cfg.json: 配置项 "budgets.rules[2]" 应为 object 类型，实际为 string'
+  ]);
+  assert.match(warnings[0], /未知配置项 "budgets\.types\.image"，已忽略，是否应为 "budgets\.types\.images"/);
+  assert.deepStrictEqual(config.budgets.types, { js: { maxFile: '1.5 MB' } });
+});
+
+test('validateConfig 校验 images.avif.speed 的取值范围', () => {
+  assert.deepStrictEqual(validateConfig({ images: { avif: { speed: 5 } } }, 'cfg.json').errors, []);
+  assert.deepStrictEqual(validateConfig({ images: { avif: { speed: 10 } } }, 'cfg.json').errors, [
+    'cfg.json: 配置项 "images.avif.speed" 无效: 应为 0-9 的整数'
+  ]);
+});
+
+test('validateConfig 只接受浏览器支持的SRI摘要算法', () => {
+  assert.deepStrictEqual(validateConfig({ sri: { algorithm: 'sha512' } }, 'cfg.json').errors, []);
+  assert.deepStrictEqual(validateConfig({ sri: { algorithm: 'sha1' } }, 'cfg.json').errors, [
+    'cfg.json: 配置项 "sri.algorithm" 无效: 应为 sha256、sha384、sha512 之一'
+  ]);
+});
+
+test('loadConfig 报错时保留未知配置项的警告', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ sri: 'yes', critcal: true }));
+
+  assert.throws(() => loadConfig(file), error => {
+    assert.match(error.message, /配置项 "sri" 应为 boolean \| object 类型/);
+    assert.match(error.message, /未知配置项 "critcal"，已忽略，是否应为 "critical"/);
+    return true;
+  });
+});
+
+test('resolveOptions 把分节映射到优化器选项', () => {
+  const resolved = resolveOptions({ css: { enabled: false, level: 1 }, images: { jpeg: { quality: 70 } } });
+
+  assert.strictEqual(resolved.css, false);
+  assert.deepStrictEqual(resolved.cssOptions, { level: 1 });
+  assert.strictEqual(resolved.images, true);
+  assert.deepStrictEqual(resolved.imageOptions, { jpeg: { quality: 70 } });
+  assert.strictEqual(resolved.html, true);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CriticalCSSExtractor, SelectorMatcher, resolveCriticalOptions } = require('../lib/critical');
+const { HTMLOptimizer } = require('../lib/html-optimizer');
+const { createTempDir } = require('./helpers');
+
+const PAGE = [
+  '<!DOCTYPE html><html><head><title>首页</title>',
+  '<link rel="stylesheet" href="css/main.css">',
+  '</head><body>',
+  '<nav class="nav"><a href="/" class="link active">首页</a></nav>',
+  '<main id="main"><h1 class="title" data-role="hero">标题</h1><p>正文</p></main>',
+  '<ul><li>a</li><li>b</li></ul>',
+  '</body></html>'
+].join('');
+
+test('resolveCriticalOptions 处理开关并合并默认值', () => {
+  assert.strictEqual(resolveCriticalOptions(false), null);
+  assert.strictEqual(resolveCriticalOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveCriticalOptions(true), { maxSize: 14 * 1024 });
+  assert.deepStrictEqual(resolveCriticalOptions({ maxSize: 100 }), { maxSize: 100 });
+});
+
+test('SelectorMatcher 按 extractElements 得到的静态DOM匹配选择器', () => {
+  const matcher = new SelectorMatcher(new HTMLOptimizer().extractElements(PAGE));
+
+  [
+    'nav', '.nav > a', '.nav .link.active', '#main .title', 'h1 + p', 'li ~ li', 'main p',
+    '[data-role="hero"]', '[class~=link]', ':is(.missing, .title)', 'a::before', 'li:nth-child(2)'
+  ].forEach(selector => assert.ok(matcher.matchesAny(selector), selector));
+
+  [
+    '.missing', '.nav > p', 'p + h1', '#main > li', '[data-role="footer"]', 'a:hover', '.title:focus-within', ':is(.x, .y)'
+  ].forEach(selector => assert.ok(!matcher.matchesAny(selector), selector));
+});
+
+test('内联匹配的规则、保留相关的 @media、字体和动画，样式表改为非阻塞加载', t => {
+  const outputDir = createTempDir(t, {
+    'index.html': PAGE,
+    'css/main.css': [
+      '.nav a{color:red}',
+      '.footer{color:blue}',
+      '@media (min-width:600px){.title{font-size:2em}.sidebar{float:left}}',
+      '@media print{.footer{display:none}}',
+      '@font-face{font-family:"Brand";src:url(../fonts/brand.woff2)}',
+      '@font-face{font-family:"Unused";src:url(../fonts/unused.woff2)}',
+      '@keyframes fade{from{opacity:0}to{opacity:1}}',
+      '@keyframes spin{to{transform:rotate(1turn)}}',
+      'h1{font-family:Brand,sans-serif;animation:fade 1s;background:url(../img/hero.png)}'
+    ].join('')
+  });
+  const extractor = new CriticalCSSExtractor({ outputDir });
+
+  const result = extractor.processFile('index.html');
+  const html = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+  const critical = /<style>(.*?)<\/style>/.exec(html)[1];
+
+  assert.deepStrictEqual(result, { stylesheets: 1, size: Buffer.byteLength(critical), warnings: [] });
+  assert.match(critical, /\.nav a\{color:red\}/);
+  assert.match(critical, /@media \(min-width:600px\)\{\.title\{font-size:2em\}\}/);
+  assert.match(critical, /@font-face\{font-family:Brand;src:url\(fonts\/brand\.woff2\)/);
+  assert.match(critical, /@keyframes fade/);
+  assert.match(critical, /url\(img\/hero\.png\)/);
+  assert.doesNotMatch(critical, /footer|sidebar|@media print|Unused|spin/);
+
+  assert.ok(html.includes(
+    '<title>首页</title><style>' + critical + '</style>' +
+    '<link rel="preload" as="style" href="css/main.css" onload="this.onload=null;this.rel=\'stylesheet\'">' +
+    '<noscript><link rel="stylesheet" href="css/main.css"></noscript></head>'
+  ));
+});
+
+test('带 media 属性的样式表，关键CSS包装在对应的 @media 中', t => {
+  const outputDir = createTempDir(t, {
+    'index.html': '<head><link rel="stylesheet" href="wide.css" media="(min-width: 900px)"></head><body><p>x</p></body>',
+    'wide.css': 'p{margin:0}'
+  });
+
+  new CriticalCSSExtractor({ outputDir }).processFile('index.html');
+
+  const html = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+  assert.ok(html.startsWith('<head><style>@media (min-width: 900px){p{margin:0}}</style><link rel="preload" as="style" href="wide.css" media="(min-width: 900px)"'));
+});
+
+test('没有样式表或样式表已内联、已延迟加载时页面保持不变', t => {
+  const pages = {
+    'none.html': '<html><head><title>x</title></head><body><p>x</p></body></html>',
+    'inline.html': '<html><head><style>p{color:red}</style></head><body><p>x</p></body></html>',
+    'deferred.html': '<head><link rel="preload" as="style" href="main.css" onload="this.onload=null;this.rel=\'stylesheet\'">' +
+      '<noscript><link rel="stylesheet" href="main.css"></noscript></head><body><p>x</p></body>',
+    'skipped.html': '<head><link rel="stylesheet" href="main.css" media="print">' +
+      '<link rel="alternate stylesheet" href="main.css"><link rel="stylesheet" href="https://cdn.example.com/a.css"></head><body><p>x</p></body>'
+  };
+  const outputDir = createTempDir(t, { ...pages, 'main.css': 'p{color:blue}' });
+  const extractor = new CriticalCSSExtractor({ outputDir });
+
+  Object.entries(pages).forEach(([page, content]) => {
+    assert.deepStrictEqual(extractor.processFile(page), { stylesheets: 0, size: 0, warnings: [] }, page);
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, page), 'utf8'), content, page);
+  });
+});
+
+test('找不到样式表或关键CSS超过 maxSize 时给出警告，不修改页面', t => {
+  const outputDir = createTempDir(t, {
+    'missing.html': '<head><link rel="stylesheet" href="missing.css"></head><body><p>x</p></body>',
+    'large.html': '<head><link rel="stylesheet" href="large.css"></head><body><p>x</p></body>',
+    'large.css': `p{background:url(data:image/png;base64,${'A'.repeat(200)})}`
+  });
+  const extractor = new CriticalCSSExtractor({ outputDir, maxSize: 100 });
+
+  assert.deepStrictEqual(extractor.processFile('missing.html').warnings, ['关键CSS: 找不到样式表 missing.css']);
+  const large = extractor.processFile('large.html');
+  assert.strictEqual(large.stylesheets, 0);
+  assert.match(large.warnings[0], /超过 100 B，未内联/);
+  assert.doesNotMatch(fs.readFileSync(path.join(outputDir, 'large.html'), 'utf8'), /<style>|preload/);
+});
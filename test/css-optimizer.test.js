@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CSSOptimizer } = require('../lib/css-optimizer');
+const { createTempDir } = require('./helpers');
+
+const STYLES = {
+  'css/main.css': [
+    '@import "./partials/base.css";',
+    '/* 页面样式 */',
+    '.title::before { content: "a  b;  }"; }',
+    '.nav  >  a { color: red; ; }',
+    '.empty {}'
+  ].join('\n'),
+  'css/partials/base.css': 'body { margin: 0; }\n'
+};
+
+test('启用 source map 时 sources 只包含真实的输入文件', async t => {
+  const dir = createTempDir(t, STYLES);
+  const optimizer = new CSSOptimizer();
+
+  await optimizer.optimize(path.join(dir, 'css/main.css'), { sourceMaps: true });
+
+  assert.deepStrictEqual(optimizer.sourceMap.sources.slice().sort(), [
+    path.join(dir, 'css/main.css'),
+    path.join(dir, 'css/partials/base.css')
+  ]);
+  assert.strictEqual(optimizer.sourceMap.sourcesContent.length, 2);
+  assert.deepStrictEqual(optimizer.dependencies, [path.join(dir, 'css/partials/base.css')]);
+});
+
+test('是否生成 source map 不影响输出的CSS', async t => {
+  const dir = createTempDir(t, STYLES);
+  const filePath = path.join(dir, 'css/main.css');
+
+  const plain = await new CSSOptimizer().optimize(filePath);
+  const mapped = await new CSSOptimizer().optimize(filePath, { sourceMaps: true });
+
+  assert.strictEqual(mapped, plain);
+  assert.strictEqual(plain, 'body{margin:0}.title::before{content:"a  b;  }"}.nav>a{color:red}');
+});
+
+test('清理未使用的CSS后 source map 仍指向原文件', async t => {
+  const dir = createTempDir(t, STYLES);
+  const optimizer = new CSSOptimizer();
+
+  const css = await optimizer.optimize(path.join(dir, 'css/main.css'), {
+    sourceMaps: true,
+    purge: { content: [{ raw: '<a class="title">x</a>', extension: 'html' }] }
+  });
+
+  assert.doesNotMatch(css, /\.nav/);
+  assert.deepStrictEqual(optimizer.transforms, ['postcss', 'purgecss', 'clean-css']);
+  assert.ok(optimizer.sourceMap.sources.every(source => path.isAbsolute(source) && source.startsWith(dir)));
+});
+
+test('addImageSets 在原背景声明之后添加 image-set()，多张图片和多层背景保持不变', () => {
+  const css = [
+    '.hero{background:url(img/hero.jpg) no-repeat}',
+    '.icon{background-image:url("icon.png")}',
+    '.layers{background:url(a.jpg),url(b.jpg)}',
+    '.plain{background-image:url(none.jpg)}'
+  ].join('');
+  const formats = { 'img/hero.jpg': ['avif', 'webp'], 'icon.png': ['webp'], 'a.jpg': ['webp'], 'b.jpg': ['webp'] };
+
+  const { content, replaced } = new CSSOptimizer().addImageSets(css, url => formats[url] || []);
+
+  assert.strictEqual(replaced, 2);
+  assert.strictEqual(content, [
+    '.hero{background:url(img/hero.jpg) no-repeat;background-image:image-set(url("img/hero.avif") type("image/avif"),',
+    'url("img/hero.webp") type("image/webp"),url(img/hero.jpg) type("image/jpeg"))}',
+    '.icon{background-image:url("icon.png");background-image:image-set(url("icon.webp") type("image/webp"),url("icon.png") type("image/png"))}',
+    '.layers{background:url(a.jpg),url(b.jpg)}',
+    '.plain{background-image:url(none.jpg)}'
+  ].join(''));
+});
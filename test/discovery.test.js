@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FileDiscovery, compilePattern } = require('../lib/discovery');
+const { createTempDir } = require('./helpers');
+
+/**
+ * 用给定的模式创建只含这些规则的查找器
+ * @param {Array} patterns - 忽略模式
+ * @returns {FileDiscovery} 查找器
+ */
+function withPatterns(patterns) {
+  const discovery = new FileDiscovery({ inputDir: '/nonexistent', useIgnoreFiles: false });
+  discovery.rules = [];
+  discovery.addPatterns(patterns);
+  return discovery;
+}
+
+test('compilePattern 跳过空行和注释，支持转义', () => {
+  assert.strictEqual(compilePattern(''), null);
+  assert.strictEqual(compilePattern('# comment'), null);
+  assert.ok(compilePattern('\\#file').regex.test('#file'));
+  assert.ok(compilePattern('\\!important').regex.test('!important'));
+});
+
+test('不含斜杠的模式匹配任意层级，含斜杠的模式从根目录匹配', () => {
+  const discovery = withPatterns(['*.log', 'build/out.txt']);
+
+  assert.ok(discovery.isIgnored('debug.log'));
+  assert.ok(discovery.isIgnored('a/b/debug.log'));
+  assert.ok(discovery.isIgnored('build/out.txt'));
+  assert.ok(!discovery.isIgnored('src/build/out.txt'));
+});
+
+test('** 匹配零个或多个目录，? 和 [] 匹配单个字符', () => {
+  const discovery = withPatterns(['docs/**/draft-?.md', 'tmp[0-9]', 'cache/**']);
+
+  assert.ok(discovery.isIgnored('docs/draft-1.md'));
+  assert.ok(discovery.isIgnored('docs/a/b/draft-2.md'));
+  assert.ok(!discovery.isIgnored('docs/draft-10.md'));
+  assert.ok(discovery.isIgnored('tmp3'));
+  assert.ok(!discovery.isIgnored('tmpx'));
+  assert.ok(discovery.isIgnored('cache/a/b.txt'));
+});
+
+test('以 / 结尾的模式只匹配目录，后出现的取反规则优先', () => {
+  const discovery = withPatterns(['logs/', '*.css', '!keep.css']);
+
+  assert.ok(discovery.isIgnored('logs', true));
+  assert.ok(!discovery.isIgnored('logs', false));
+  assert.ok(discovery.isPathIgnored('logs/today.txt'));
+  assert.ok(discovery.isIgnored('main.css'));
+  assert.ok(!discovery.isIgnored('keep.css'));
+});
+
+test('find 跳过输出目录、node_modules、忽略文件和 exclude 中的文件', async t => {
+  const dir = createTempDir(t, {
+    'index.html': '',
+    'css/main.css': '',
+    'css/main.scss': '',
+    'drafts/post.html': '',
+    'drafts/keep.html': '',
+    'dist/index.html': '',
+    'node_modules/pkg/index.js': '',
+    'vendor/lib.js': '',
+    '.gitignore': '*.scss\ndrafts/*\n!drafts/keep.html\n',
+    '.optimizerignore': 'vendor/\n'
+  });
+
+  const discovery = new FileDiscovery({ inputDir: dir, outputDir: `${dir}/dist`, exclude: ['**/*.js'] });
+  const files = await discovery.find('**/*', { dot: true });
+
+  assert.deepStrictEqual(files, ['.gitignore', '.optimizerignore', 'css/main.css', 'drafts/keep.html', 'index.html']);
+});
+
+test('find 只返回 include 中的文件', async t => {
+  const dir = createTempDir(t, { 'a.html': '', 'b/c.html': '', 'b/d.css': '' });
+
+  const discovery = new FileDiscovery({ inputDir: dir, include: ['b/**'] });
+  assert.deepStrictEqual(await discovery.find('**/*.html'), ['b/c.html']);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const StaticPageOptimizer = require('../index');
+const { AssetFingerprinter, insertHash, isFingerprinted, stripHash } = require('../lib/fingerprint');
+const { createTempDir } = require('./helpers');
+
+/**
+ * 将分组中的文件排序，便于比较
+ * @param {Array} groups - 分组列表
+ * @returns {Array} 组内有序的分组列表
+ */
+function sortGroups(groups) {
+  return groups.map(group => group.slice().sort());
+}
+
+test('insertHash 在扩展名前插入哈希，isFingerprinted 识别带哈希的文件名', () => {
+  assert.strictEqual(insertHash('css/main.css', '1a2b3c4d'), 'css/main.1a2b3c4d.css');
+  assert.ok(isFingerprinted('css/main.1a2b3c4d.css'));
+  assert.ok(isFingerprinted('js/app.1a2b3c4d.js.map'));
+  assert.ok(!isFingerprinted('css/main.css'));
+  assert.ok(!isFingerprinted('v1.1a2b3c4d/main.css'));
+  assert.strictEqual(stripHash('css/main.1a2b3c4d.css.map.gz'), 'css/main.css.map.gz');
+  assert.strictEqual(stripHash('v1.1a2b3c4d/main.css'), 'v1.1a2b3c4d/main.css');
+});
+
+test('处理顺序中依赖先于引用方，循环引用的文件分为一组', () => {
+  const fingerprinter = new AssetFingerprinter();
+  const dependencies = new Map([
+    ['app.js', ['a.js']],
+    ['a.js', ['b.js']],
+    ['b.js', ['a.js', 'util.js']],
+    ['util.js', []],
+    ['main.css', ['logo.png']],
+    ['logo.png', []]
+  ]);
+
+  const groups = sortGroups(fingerprinter.getProcessingOrder(Array.from(dependencies.keys()), dependencies));
+  const position = file => groups.findIndex(group => group.includes(file));
+
+  assert.deepStrictEqual(groups.find(group => group.length > 1), ['a.js', 'b.js']);
+  assert.strictEqual(groups.length, 5);
+  assert.ok(position('util.js') < position('a.js'));
+  assert.ok(position('a.js') < position('app.js'));
+  assert.ok(position('logo.png') < position('main.css'));
+});
+
+test('依赖的哈希传递到引用方，循环引用的模块共用同一个哈希', async t => {
+  const outputDir = createTempDir(t, {
+    'index.html': '<link rel="stylesheet" href="css/main.css"><script type="module" src="js/a.js"></script>',
+    'css/main.css': '.logo{background:url(../img/logo.png)}',
+    'img/logo.png': 'png-v1',
+    'js/a.js': 'import "./b.js";',
+    'js/b.js': 'import "./a.js";'
+  });
+  const outputs = ['index.html', 'css/main.css', 'img/logo.png', 'js/a.js', 'js/b.js'];
+
+  const hashes = await new AssetFingerprinter({ outputDir }).run(outputs);
+  const html = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+  const css = fs.readFileSync(path.join(outputDir, hashes.get('css/main.css').path), 'utf8');
+
+  assert.strictEqual(hashes.get('js/a.js').hash, hashes.get('js/b.js').hash);
+  assert.ok(html.includes(`href="${hashes.get('css/main.css').path}"`));
+  assert.ok(html.includes(`src="${hashes.get('js/a.js').path}"`));
+  assert.ok(css.includes(`url(../${hashes.get('img/logo.png').path})`));
+  assert.ok(!fs.existsSync(path.join(outputDir, 'css/main.css')));
+
+  // 图片内容变化后，引用它的样式表的哈希也随之变化
+  const changedDir = createTempDir(t, {
+    'css/main.css': '.logo{background:url(../img/logo.png)}',
+    'img/logo.png': 'png-v2'
+  });
+  const changed = await new AssetFingerprinter({ outputDir: changedDir }).run(['css/main.css', 'img/logo.png']);
+  assert.notStrictEqual(changed.get('css/main.css').hash, hashes.get('css/main.css').hash);
+});
+
+test('删除上次清单中记录、本次不再生成的带哈希文件', t => {
+  const dir = createTempDir(t, {
+    'dist/manifest.json': JSON.stringify({
+      'css/main.css': {
+        path: 'css/main.aaaaaaaa.css',
+        variants: { map: 'css/main.aaaaaaaa.css.map', br: 'css/main.aaaaaaaa.css.br' }
+      },
+      'js/app.js': { path: 'js/app.bbbbbbbb.js', variants: {} },
+      'index.html': { path: 'index.html', variants: { gzip: 'index.html.gz' } },
+      'old/gone.js': { path: 'old/gone.cccccccc.js', variants: {} },
+      'evil.js': { path: '../outside.dddddddd.js', variants: {} }
+    }),
+    'dist/css/main.aaaaaaaa.css': '',
+    'dist/css/main.aaaaaaaa.css.map': '',
+    'dist/css/main.aaaaaaaa.css.br': '',
+    'dist/css/main.aaaaaaaa.css.map.gz': '',
+    'dist/css/main.aaaaaaaa.css.map.br': '',
+    'dist/css/main.eeeeeeee.css': '',
+    'dist/js/app.bbbbbbbb.js': '',
+    'dist/index.html': '',
+    'dist/index.html.gz': '',
+    'dist/old/gone.cccccccc.js': '',
+    'outside.dddddddd.js': ''
+  });
+  const outputDir = path.join(dir, 'dist');
+
+  const optimizer = new StaticPageOptimizer({ inputDir: outputDir, outputDir, hash: true, manifest: true });
+  optimizer.results = [
+    { file: 'css/main.css', outputs: ['css/main.eeeeeeee.css'] },
+    { file: 'js/app.js', outputs: ['js/app.bbbbbbbb.js'] },
+    { file: 'index.html', outputs: ['index.html'] }
+  ];
+
+  const removed = optimizer.removeStaleFingerprints();
+  assert.deepStrictEqual(removed.sort(), [
+    'css/main.aaaaaaaa.css',
+    'css/main.aaaaaaaa.css.br',
+    'css/main.aaaaaaaa.css.map',
+    'css/main.aaaaaaaa.css.map.br',
+    'css/main.aaaaaaaa.css.map.gz',
+    'old/gone.cccccccc.js'
+  ]);
+  assert.ok(fs.existsSync(path.join(outputDir, 'css/main.eeeeeeee.css')));
+  assert.ok(fs.existsSync(path.join(outputDir, 'index.html.gz')));
+  assert.ok(!fs.existsSync(path.join(outputDir, 'old')));
+  assert.ok(fs.existsSync(path.join(outputDir, '../outside.dddddddd.js')));
+});
+
+test('没有资源清单时删除与本次输出同名、只有哈希不同的文件', t => {
+  const outputDir = createTempDir(t, {
+    'css/main.aaaaaaaa.css': '',
+    'css/main.aaaaaaaa.css.map.gz': '',
+    'css/main.eeeeeeee.css': '',
+    'css/main.eeeeeeee.css.map.gz': '',
+    'css/theme.bbbbbbbb.css': '',
+    'vendor/lib.cccccccc.js': ''
+  });
+
+  const optimizer = new StaticPageOptimizer({ inputDir: outputDir, outputDir, hash: true });
+  optimizer.results = [
+    { file: 'css/main.css', outputs: ['css/main.eeeeeeee.css', 'css/main.eeeeeeee.css.map.gz'] },
+    { file: 'vendor/lib.cccccccc.js', outputs: ['vendor/lib.cccccccc.js'] }
+  ];
+
+  assert.deepStrictEqual(optimizer.removeStaleFingerprints().sort(), [
+    'css/main.aaaaaaaa.css',
+    'css/main.aaaaaaaa.css.map.gz'
+  ]);
+  // 与本次输出无关的带哈希文件无法判断来源，保持不变
+  assert.ok(fs.existsSync(path.join(outputDir, 'css/theme.bbbbbbbb.css')));
+  assert.ok(fs.existsSync(path.join(outputDir, 'vendor/lib.cccccccc.js')));
+});
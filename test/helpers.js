@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 创建测试结束后自动删除的临时目录，并写入给定的文件
+ * @param {object} t - node:test 的测试上下文
+ * @param {object} files - 相对路径到文件内容的映射
+ * @returns {string} 临时目录路径
+ */
+function createTempDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizer-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeFiles(dir, files);
+  return dir;
+}
+
+/**
+ * 在目录中写入文件，自动创建上级目录
+ * @param {string} dir - 目录
+ * @param {object} files - 相对路径到文件内容的映射
+ * @returns {void}
+ */
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+/**
+ * 在临时目录中以 src 为输入目录运行完整的优化流程，默认关闭图片优化、备份和缓存
+ * @param {object} t - node:test 的测试上下文
+ * @param {object} files - 输入目录中相对路径到文件内容的映射
+ * @param {object} options - 优化选项
+ * @returns {Promise<object>} { optimizer, inputDir, outputDir, read } read(file) 读取输出文件，不存在时返回null
+ */
+async function runOptimizer(t, files, options = {}) {
+  // 按需加载，只测试单个模块的用例不必加载全部依赖
+  const StaticPageOptimizer = require('../index');
+  const dir = createTempDir(t);
+  const inputDir = path.join(dir, 'src');
+  const outputDir = path.join(dir, 'dist');
+  writeFiles(inputDir, files);
+
+  const optimizer = new StaticPageOptimizer({
+    inputDir,
+    outputDir,
+    images: false,
+    backup: false,
+    cache: false,
+    concurrency: 1,
+    ...options
+  });
+  await optimizer.optimize();
+
+  const read = file => {
+    const filePath = path.join(outputDir, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  };
+  return { optimizer, inputDir, outputDir, read };
+}
+
+/**
+ * 生成由 1x1 帧组成的GIF（可以是动图），相邻帧的像素交替使用黑白两色，避免被gifsicle合并
+ * @param {number} frames - 帧数
+ * @param {object} options - { width, height } 逻辑屏幕尺寸，默认为 1x1
+ * @returns {Buffer} GIF数据
+ */
+function createGIF(frames = 1, { width = 1, height = 1 } = {}) {
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  screen[4] = 0x80;
+
+  const parts = [Buffer.from('GIF89a', 'latin1'), screen, Buffer.from([0, 0, 0, 255, 255, 255])];
+  if (frames > 1) {
+    parts.push(Buffer.from([0x21, 0xFF, 0x0B]), Buffer.from('NETSCAPE2.0', 'latin1'), Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00]));
+  }
+  for (let i = 0; i < frames; i++) {
+    parts.push(
+      Buffer.from([0x21, 0xF9, 0x04, 0x00, 10 + i, 0x00, 0x00, 0x00]),
+      Buffer.from([0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0]),
+      Buffer.from([0x02, 0x02, i % 2 ? 0x4C : 0x44, 0x01, 0x00])
+    );
+  }
+  parts.push(Buffer.from([0x3B]));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  createTempDir,
+  writeFiles,
+  runOptimizer,
+  createGIF
+};
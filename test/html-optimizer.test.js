@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLOptimizer, resolveImageAttributeOptions } = require('../lib/html-optimizer');
+
+test('extractSubresources 只提取脚本、样式表、modulepreload 和预加载的脚本/样式', () => {
+  const html = [
+    '<script src="app.js"></script>',
+    '<script>inline()</script>',
+    '<link rel="stylesheet" href="main.css">',
+    '<link rel="modulepreload" href="mod.js">',
+    '<link rel="preload" as="style" href="late.css">',
+    '<link rel="preload" as="image" href="hero.png">',
+    '<link rel="icon" href="favicon.ico">'
+  ].join('');
+
+  const urls = new HTMLOptimizer().extractSubresources(html).map(({ url }) => url);
+  assert.deepStrictEqual(urls, ['app.js', 'main.css', 'mod.js', 'late.css']);
+});
+
+test('addIntegrity 设置 integrity，替换已有的值，缺少 crossorigin 时补上', () => {
+  const integrities = new Map([
+    ['app.js', 'sha384-app'],
+    ['main.css', 'sha384-main'],
+    ['vendor.js', 'sha384-vendor']
+  ]);
+  const html = [
+    '<script src="app.js" defer></script>',
+    '<link rel="stylesheet" href="main.css" />',
+    '<script src="vendor.js" integrity="sha384-old" crossorigin="use-credentials"></script>',
+    '<script src="other.js"></script>'
+  ].join('');
+
+  const result = new HTMLOptimizer().addIntegrity(html, integrities);
+
+  assert.ok(result.includes('<script src="app.js" defer integrity="sha384-app" crossorigin="anonymous"></script>'));
+  assert.ok(result.includes('<link rel="stylesheet" href="main.css" integrity="sha384-main" crossorigin="anonymous" />'));
+  assert.ok(result.includes('<script src="vendor.js" crossorigin="use-credentials" integrity="sha384-vendor"></script>'));
+  assert.ok(result.includes('<script src="other.js"></script>'));
+  assert.ok(!result.includes('sha384-old'));
+});
+
+test('addIntegrity 使用指定的 crossorigin，属性值中的 > 不影响匹配', () => {
+  const html = '<script data-test="a>b" src="app.js"></script>';
+  const result = new HTMLOptimizer().addIntegrity(html, new Map([['app.js', 'sha384-x']]), 'use-credentials');
+
+  assert.strictEqual(result, '<script data-test="a>b" src="app.js" integrity="sha384-x" crossorigin="use-credentials"></script>');
+});
+
+test('replaceGIFsWithVideo 只替换已生成视频的GIF，原 <img> 保留为回退', () => {
+  const html = [
+    '<img id="hero" class="anim" src="img/a.gif" alt="演示" width="320">',
+    '<img src="img/b.gif" srcset="img/b.gif 1x">',
+    '<picture><img src="img/a.gif"></picture>',
+    '<img src="img/none.gif">',
+    '<script>"<img src=\\"img/a.gif\\">"</script>'
+  ].join('');
+  const getVideoFormats = src => (src === 'img/none.gif' ? [] : ['mp4', 'webm']);
+
+  const { content, replaced } = new HTMLOptimizer().replaceGIFsWithVideo(html, getVideoFormats);
+
+  assert.strictEqual(replaced, 1);
+  assert.ok(content.startsWith(
+    '<video autoplay loop muted playsinline id="hero" class="anim" width="320" aria-label="演示" role="img">' +
+    '<source src="img/a.webm" type="video/webm"><source src="img/a.mp4" type="video/mp4">' +
+    '<img class="anim" src="img/a.gif" alt="演示" width="320"></video>'
+  ));
+  assert.ok(content.endsWith(html.slice(html.indexOf('<img src="img/b.gif"'))));
+});
+
+test('rewritePictures 为每个候选地址都有新格式版本的图片添加 <source>', () => {
+  const formats = {
+    'a.jpg': ['avif', 'webp'],
+    'b.png?v=2': ['webp'],
+    'b@2x.png?v=2': ['webp'],
+    'c.jpg': ['webp'],
+    'c@2x.jpg': []
+  };
+  const html = [
+    '<img src="a.jpg" alt="A">',
+    '<img src="b.png?v=2" srcset="b.png?v=2 1x, b@2x.png?v=2 2x" sizes="50vw">',
+    '<img src="c.jpg" srcset="c.jpg 1x, c@2x.jpg 2x">',
+    '<img src="data:image/png;base64,AAAA">',
+    '<picture><img src="a.jpg"></picture>'
+  ].join('');
+
+  const { content, replaced } = new HTMLOptimizer().rewritePictures(html, url => formats[url] || []);
+
+  assert.strictEqual(replaced, 2);
+  assert.strictEqual(content, [
+    '<picture><source type="image/avif" srcset="a.avif"><source type="image/webp" srcset="a.webp"><img src="a.jpg" alt="A"></picture>',
+    '<picture><source type="image/webp" srcset="b.webp?v=2 1x, b@2x.webp?v=2 2x" sizes="50vw">',
+    '<img src="b.png?v=2" srcset="b.png?v=2 1x, b@2x.png?v=2 2x" sizes="50vw"></picture>',
+    '<img src="c.jpg" srcset="c.jpg 1x, c@2x.jpg 2x">',
+    '<img src="data:image/png;base64,AAAA">',
+    '<picture><img src="a.jpg"></picture>'
+  ].join(''));
+});
+
+test('addResponsiveSrcset 为有多个尺寸版本的图片填写 srcset 和缺少的 sizes', () => {
+  const candidates = {
+    'hero.jpg': [{ url: 'hero-640w.jpg', width: 640 }, { url: 'hero.jpg', width: 1600 }],
+    'small.jpg': [{ url: 'small.jpg', width: 200 }]
+  };
+  const html = [
+    '<img src="hero.jpg" alt="">',
+    '<img src="hero.jpg" sizes="50vw">',
+    '<img src="hero.jpg" srcset="hero.jpg 1x">',
+    '<img src="small.jpg">',
+    '<picture><img src="hero.jpg"></picture>',
+    '<noscript><img src="hero.jpg"></noscript>'
+  ].join('');
+
+  const { content, replaced } = new HTMLOptimizer().addResponsiveSrcset(html, src => candidates[src] || [], '100vw');
+
+  assert.strictEqual(replaced, 2);
+  assert.strictEqual(content, [
+    '<img src="hero.jpg" alt="" srcset="hero-640w.jpg 640w, hero.jpg 1600w" sizes="100vw">',
+    '<img src="hero.jpg" sizes="50vw" srcset="hero-640w.jpg 640w, hero.jpg 1600w">',
+    html.slice(html.indexOf('<img src="hero.jpg" srcset'))
+  ].join(''));
+});
+
+test('resolveImageAttributeOptions 处理开关并校验 eagerCount', () => {
+  assert.strictEqual(resolveImageAttributeOptions(false), null);
+  assert.strictEqual(resolveImageAttributeOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveImageAttributeOptions(true), { dimensions: true, lazy: true, eagerCount: 2 });
+  assert.deepStrictEqual(resolveImageAttributeOptions({ lazy: false }), { dimensions: true, lazy: false, eagerCount: 2 });
+  assert.throws(() => resolveImageAttributeOptions({ eagerCount: -1 }), /eagerCount 必须是非负整数/);
+});
+
+test('addImageAttributes 补全尺寸，前 eagerCount 张之后的图片延迟加载', () => {
+  const sizes = { 'a.png': { width: 400, height: 300 } };
+  const html = [
+    '<img src="a.png">',
+    '<img src="a.png" width="200">',
+    '<img src="a.png" height="150" loading="eager">',
+    '<img src="a.png" width="50%">',
+    '<img src="missing.png" decoding="sync">',
+    '<script>"<img src=\\"a.png\\">"</script>',
+    '<img src="a.png" width="1" height="1" loading="lazy" decoding="async">'
+  ].join('');
+
+  const { content, dimensions, lazy } = new HTMLOptimizer().addImageAttributes(
+    html, src => sizes[src] || null, { dimensions: true, lazy: true, eagerCount: 2 }
+  );
+
+  assert.strictEqual(dimensions, 3);
+  assert.strictEqual(lazy, 3);
+  assert.strictEqual(content, [
+    '<img src="a.png" width="400" height="300">',
+    '<img src="a.png" width="200" height="150">',
+    '<img src="a.png" height="150" loading="eager" width="200" decoding="async">',
+    '<img src="a.png" width="50%" loading="lazy" decoding="async">',
+    '<img src="missing.png" decoding="sync" loading="lazy">',
+    '<script>"<img src=\\"a.png\\">"</script>',
+    '<img src="a.png" width="1" height="1" loading="lazy" decoding="async">'
+  ].join(''));
+});
+
+test('addImageAttributes 按选项只补全尺寸或只添加延迟加载', () => {
+  const html = '<img src="a.png"><img src="b.png">';
+  const getSize = () => ({ width: 10, height: 20 });
+  const optimizer = new HTMLOptimizer();
+
+  assert.strictEqual(
+    optimizer.addImageAttributes(html, getSize, { dimensions: true, lazy: false, eagerCount: 0 }).content,
+    '<img src="a.png" width="10" height="20"><img src="b.png" width="10" height="20">'
+  );
+  assert.strictEqual(
+    optimizer.addImageAttributes(html, getSize, { dimensions: false, lazy: true, eagerCount: 0 }).content,
+    '<img src="a.png" loading="lazy" decoding="async"><img src="b.png" loading="lazy" decoding="async">'
+  );
+});
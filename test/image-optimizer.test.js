@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  ImageOptimizer,
+  countGIFFrames,
+  getFFmpegPath,
+  getResizedPath,
+  getAVIFEffort,
+  resolveResponsiveOptions,
+  resolveVideoFormats,
+  DEFAULT_RESPONSIVE_OPTIONS
+} = require('../lib/image-optimizer');
+const sharp = require('sharp');
+const { createTempDir, createGIF } = require('./helpers');
+
+const NO_FFMPEG = getFFmpegPath() ? '已安装ffmpeg' : false;
+const HAS_FFMPEG = getFFmpegPath() ? false : '没有可用的ffmpeg';
+
+/**
+ * 生成合并了默认值的动图选项
+ * @param {object} animatedGif - animatedGif 配置
+ * @returns {object} 传给 convertGIF 的选项
+ */
+function gifOptions(animatedGif) {
+  const optimizer = new ImageOptimizer();
+  return {
+    ...optimizer.defaultOptions,
+    animatedGif: { ...optimizer.defaultOptions.animatedGif, ...animatedGif }
+  };
+}
+
+test('countGIFFrames 统计图像块数量，跳过扩展块和颜色表', () => {
+  assert.strictEqual(countGIFFrames(createGIF(1)), 1);
+  assert.strictEqual(countGIFFrames(createGIF(4)), 4);
+  assert.strictEqual(countGIFFrames(Buffer.from('GIF89a')), 0);
+  assert.strictEqual(countGIFFrames(Buffer.from('not a gif')), 0);
+});
+
+test('resolveVideoFormats 规范化 video 配置', () => {
+  assert.deepStrictEqual(resolveVideoFormats(false), []);
+  assert.deepStrictEqual(resolveVideoFormats(true), ['mp4', 'webm']);
+  assert.deepStrictEqual(resolveVideoFormats('webm'), ['webm']);
+  assert.deepStrictEqual(resolveVideoFormats(['mp4', 'mp4']), ['mp4']);
+  assert.throws(() => resolveVideoFormats(['mov']), /不支持的动图视频格式: mov/);
+});
+
+test('resolveResponsiveOptions 规范化 responsive 配置，宽度去重并排序', () => {
+  assert.strictEqual(resolveResponsiveOptions(false), null);
+  assert.strictEqual(resolveResponsiveOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveResponsiveOptions(true), DEFAULT_RESPONSIVE_OPTIONS);
+  assert.deepStrictEqual(resolveResponsiveOptions({ widths: [800, 400, 800] }).widths, [400, 800]);
+  assert.throws(() => resolveResponsiveOptions({ widths: [0] }), /宽度必须是正整数列表/);
+  assert.throws(() => resolveResponsiveOptions({ widths: '640' }), /宽度必须是正整数列表/);
+});
+
+test('getResizedPath 在扩展名前插入宽度，保留查询参数和锚点', () => {
+  assert.strictEqual(getResizedPath('img/hero.jpg', 640), 'img/hero-640w.jpg');
+  assert.strictEqual(getResizedPath('../img/hero.min.png?v=1#top', 320), '../img/hero.min-320w.png?v=1#top');
+  assert.strictEqual(getResizedPath('C:\\site\\hero.webp', 1280), 'C:\\site\\hero-1280w.webp');
+});
+
+test('getAVIFEffort 按 effort = 9 - speed 换算，未设置 speed 时使用 effort', () => {
+  assert.strictEqual(getAVIFEffort({ effort: 4 }), 4);
+  assert.strictEqual(getAVIFEffort({ effort: 4, speed: 0 }), 9);
+  assert.strictEqual(getAVIFEffort({ effort: 4, speed: 9 }), 0);
+  assert.strictEqual(getAVIFEffort({ speed: 5 }), 4);
+});
+
+test('GIF经gifsicle优化，默认不生成衍生文件', async t => {
+  const dir = createTempDir(t, { 'in/anim.gif': createGIF(3) });
+  const optimizer = new ImageOptimizer();
+
+  const variants = await optimizer.optimize(path.join(dir, 'in/anim.gif'), path.join(dir, 'out/anim.gif'));
+
+  assert.deepStrictEqual(variants, []);
+  assert.deepStrictEqual(optimizer.transforms, ['gifsicle']);
+  assert.strictEqual(countGIFFrames(fs.readFileSync(path.join(dir, 'out/anim.gif'))), 3);
+});
+
+test('generateAVIF 由sharp按 avif 配置编码，失败时只记录警告', async t => {
+  const dir = createTempDir(t);
+  const inputPath = path.join(dir, 'photo.png');
+  await sharp({ create: { width: 8, height: 6, channels: 3, background: '#3366cc' } }).png().toFile(inputPath);
+  const optimizer = new ImageOptimizer();
+  const options = optimizer.defaultOptions;
+
+  const avifPath = await optimizer.generateAVIF(inputPath, path.join(dir, 'photo.min.png'), options);
+  assert.strictEqual(avifPath, path.join(dir, 'photo.min.avif'));
+  const metadata = await sharp(avifPath).metadata();
+  assert.strictEqual(metadata.format, 'heif');
+  assert.deepStrictEqual([metadata.width, metadata.height], [8, 6]);
+
+  const invalid = await optimizer.generateAVIF(inputPath, path.join(dir, 'bad.png'), {
+    ...options,
+    avif: { ...options.avif, effort: 20 }
+  });
+  assert.strictEqual(invalid, null);
+  assert.ok(!fs.existsSync(path.join(dir, 'bad.avif')));
+  assert.match(optimizer.warnings[0], /^AVIF转换失败/);
+});
+
+test('GIF不生成AVIF', async t => {
+  const dir = createTempDir(t, { 'still.gif': createGIF(1) });
+
+  const variants = await new ImageOptimizer().optimize(path.join(dir, 'still.gif'), path.join(dir, 'out/still.gif'), {
+    generateAVIF: true
+  });
+
+  assert.deepStrictEqual(variants, []);
+  assert.ok(!fs.existsSync(path.join(dir, 'out/still.avif')));
+});
+
+test('启用动图转视频但没有ffmpeg时明确报错', { skip: NO_FFMPEG }, async t => {
+  const dir = createTempDir(t, { 'anim.gif': createGIF(2), 'still.gif': createGIF(1) });
+  const optimizer = new ImageOptimizer();
+  const convert = (file, animatedGif) => optimizer.convertGIF(
+    path.join(dir, file), path.join(dir, `out-${file}`), gifOptions(animatedGif), false
+  );
+
+  await assert.rejects(convert('anim.gif', { video: true }), /images\.animatedGif\.video，但找不到ffmpeg/);
+  await assert.rejects(convert('anim.gif', { webp: true }), /images\.animatedGif\.webp，但找不到ffmpeg/);
+
+  // 静态GIF不转换为视频，不需要ffmpeg
+  assert.deepStrictEqual(await convert('still.gif', { video: true }), []);
+});
+
+test('动图转换为动态WebP和视频', { skip: HAS_FFMPEG }, async t => {
+  const dir = createTempDir(t, { 'anim.gif': createGIF(2, { width: 1, height: 1 }) });
+  const optimizer = new ImageOptimizer();
+
+  const variants = await optimizer.convertGIF(
+    path.join(dir, 'anim.gif'), path.join(dir, 'out.gif'), gifOptions({ webp: true, video: true }), false
+  );
+
+  assert.deepStrictEqual(variants.map(file => path.basename(file)), ['out.webp', 'out.mp4', 'out.webm']);
+  assert.deepStrictEqual(optimizer.transforms, ['animated-webp', 'mp4-variant', 'webm-variant']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sharp = require('sharp');
+const { getImageSize } = require('../lib/image-size');
+const { createTempDir, createGIF } = require('./helpers');
+
+/**
+ * 用sharp生成指定格式和尺寸的图片
+ * @param {string} filePath - 输出路径
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Function} encode - (image) => 设置输出格式后的sharp实例
+ * @returns {Promise<string>} 图片路径
+ */
+async function createImage(filePath, width, height, encode) {
+  const image = sharp({ create: { width, height, channels: 4, background: { r: 200, g: 80, b: 40, alpha: 0.5 } } });
+  await encode(image).toFile(filePath);
+  return filePath;
+}
+
+test('读取PNG、GIF、JPEG和WebP的尺寸', async t => {
+  const dir = createTempDir(t, { 'anim.gif': createGIF(2, { width: 300, height: 150 }) });
+  const file = name => path.join(dir, name);
+
+  const images = {
+    'a.png': await createImage(file('a.png'), 321, 123, image => image.png()),
+    'a.jpg': await createImage(file('a.jpg'), 640, 480, image => image.jpeg()),
+    'progressive.jpeg': await createImage(file('progressive.jpeg'), 17, 9, image => image.jpeg({ progressive: true })),
+    'lossy.webp': await createImage(file('lossy.webp'), 99, 77, image => image.flatten().webp()),
+    'lossless.webp': await createImage(file('lossless.webp'), 1000, 3, image => image.webp({ lossless: true })),
+    'alpha.webp': await createImage(file('alpha.webp'), 50, 60, image => image.webp())
+  };
+
+  assert.deepStrictEqual(getImageSize(images['a.png']), { width: 321, height: 123 });
+  assert.deepStrictEqual(getImageSize(images['a.jpg']), { width: 640, height: 480 });
+  assert.deepStrictEqual(getImageSize(images['progressive.jpeg']), { width: 17, height: 9 });
+  assert.deepStrictEqual(getImageSize(images['lossy.webp']), { width: 99, height: 77 });
+  assert.deepStrictEqual(getImageSize(images['lossless.webp']), { width: 1000, height: 3 });
+  assert.deepStrictEqual(getImageSize(images['alpha.webp']), { width: 50, height: 60 });
+  assert.deepStrictEqual(getImageSize(file('anim.gif')), { width: 300, height: 150 });
+});
+
+test('读取SVG尺寸，缺少宽高时使用 viewBox', t => {
+  const dir = createTempDir(t, {
+    'both.svg': '<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" width="120px" height="80"></svg>',
+    'viewbox.svg': '<svg viewBox="0 0 24 16"></svg>',
+    'width-only.svg': '<svg width="48" viewBox="0,0,24,16"></svg>',
+    'relative.svg': '<svg width="100%" height="50%"></svg>',
+    'em.svg': '<svg width="2em" height="2em"></svg>'
+  });
+  const size = name => getImageSize(path.join(dir, name));
+
+  assert.deepStrictEqual(size('both.svg'), { width: 120, height: 80 });
+  assert.deepStrictEqual(size('viewbox.svg'), { width: 24, height: 16 });
+  assert.deepStrictEqual(size('width-only.svg'), { width: 48, height: 32 });
+  assert.strictEqual(size('relative.svg'), null);
+  assert.strictEqual(size('em.svg'), null);
+});
+
+test('文件不存在、格式不支持或内容损坏时返回null', t => {
+  const dir = createTempDir(t, {
+    'broken.png': 'not a png',
+    'broken.jpg': Buffer.from([0xFF, 0xD8, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09]),
+    'short.webp': 'RIFF',
+    'icon.bmp': 'BM'
+  });
+
+  ['broken.png', 'broken.jpg', 'short.webp', 'icon.bmp', 'missing.png'].forEach(name => {
+    assert.strictEqual(getImageSize(path.join(dir, name)), null, name);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { AssetInliner } = require('../lib/inline');
+const { createTempDir, runOptimizer } = require('./helpers');
+
+/**
+ * 在临时输出目录中运行内联器
+ * @param {object} t - node:test 的测试上下文
+ * @param {object} files - 输出目录中的文件
+ * @param {number} threshold - 内联阈值（字节）
+ * @returns {object} { inliner, modified, read }
+ */
+function inline(t, files, threshold) {
+  const outputDir = createTempDir(t, files);
+  const inliner = new AssetInliner({ outputDir, threshold });
+  const modified = inliner.run(Object.keys(files));
+  return { inliner, modified, read: file => fs.readFileSync(path.join(outputDir, file), 'utf8') };
+}
+
+test('只内联小于阈值的文件，等于阈值时保留引用', t => {
+  const { inliner, read } = inline(t, {
+    'index.html': '<link rel="stylesheet" href="small.css"><link rel="stylesheet" href="exact.css">',
+    'small.css': 'p{color:red}',
+    'exact.css': 'p{color:#00f}'
+  }, 13);
+
+  assert.strictEqual(read('index.html'), '<style>p{color:red}</style><link rel="stylesheet" href="exact.css">');
+  assert.deepStrictEqual(Array.from(inliner.inlined), ['small.css']);
+});
+
+test('内联的样式表中的地址改为相对于页面，小图片转为data URI', t => {
+  const png = Buffer.from('89504e470d0a1a0a', 'hex');
+  const { modified, read } = inline(t, {
+    'index.html': '<link rel="stylesheet" href="css/main.css" media="screen"><img src="img/dot.png" alt="">',
+    'css/main.css': '.hero{background:url(../img/hero.jpg)}.dot{background:url("../img/dot.png")}\n/*# sourceMappingURL=main.css.map */',
+    'img/hero.jpg': Buffer.alloc(500),
+    'img/dot.png': png
+  }, 200);
+  const dataURI = `data:image/png;base64,${png.toString('base64')}`;
+
+  assert.strictEqual(read('css/main.css'), `.hero{background:url(../img/hero.jpg)}.dot{background:url("${dataURI}")}\n/*# sourceMappingURL=main.css.map */`);
+  assert.strictEqual(read('index.html'), `<style media="screen">.hero{background:url(img/hero.jpg)}.dot{background:url("${dataURI}")}</style><img src="${dataURI}" alt="">`);
+  assert.deepStrictEqual(modified.get('index.html'), ['css/main.css', 'img/dot.png']);
+});
+
+test('内联脚本中的 </script> 被转义，含 </style> 的样式表不内联', t => {
+  const { read } = inline(t, {
+    'index.html': '<link rel="stylesheet" href="tricky.css"><script src="app.js" defer></script><script src="app.js"></script>',
+    'tricky.css': '.a::after{content:"</style>"}',
+    'app.js': 'document.write("</script>")'
+  }, 1024);
+
+  assert.strictEqual(read('index.html'), [
+    '<link rel="stylesheet" href="tricky.css">',
+    '<script src="app.js" defer></script>',
+    '<script>document.write("<\\/script>")</script>'
+  ].join(''));
+});
+
+test('<noscript> 中的样式表和脚本保持不变', t => {
+  const page = '<noscript><link rel="stylesheet" href="a.css"><script src="a.js"></script></noscript>';
+  const { inliner, read } = inline(t, { 'index.html': page, 'a.css': 'p{}', 'a.js': 'x()' }, 1024);
+
+  assert.strictEqual(read('index.html'), page);
+  assert.strictEqual(inliner.inlined.size, 0);
+});
+
+test('内联后删除不再被引用的输出，其他文件仍引用的保留', async t => {
+  const { optimizer, read } = await runOptimizer(t, {
+    'index.html': '<html><head><link rel="stylesheet" href="css/a.css"></head><body><script src="js/shared.js"></script></body></html>',
+    'about.html': '<html><body><a href="js/shared.js">源码</a></body></html>',
+    'css/a.css': '.a { color: red; }',
+    'js/shared.js': 'window.shared = true;'
+  }, { inlineThreshold: 1024 });
+
+  assert.match(read('index.html'), /<style>\.a\{color:red\}<\/style>/);
+  assert.match(read('index.html'), /<script>window\.shared=!0;?<\/script>/);
+  assert.strictEqual(read('css/a.css'), null);
+  assert.notStrictEqual(read('js/shared.js'), null);
+
+  const result = optimizer.results.find(item => item.file === 'css/a.css');
+  assert.deepStrictEqual(result.outputs, []);
+  assert.ok(result.transforms.includes('inlined'));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const path = require('path');
+const { JSOptimizer } = require('../lib/js-optimizer');
+const { createTempDir } = require('./helpers');
+
+/**
+ * 在新的上下文中执行脚本
+ * @param {string} code - 脚本内容
+ * @returns {object} 执行后的全局对象
+ */
+function run(code) {
+  const context = vm.createContext({});
+  vm.runInContext(code, context);
+  return context;
+}
+
+test('optimizeInline 不改变字符串、模板字符串和字符串中的URL', async () => {
+  const source = [
+    'var api = "http://example.com/api"; // 接口地址',
+    "var spaced = 'a    b;   }';",
+    'var comment = "/* not a comment */";',
+    'var name = "x";',
+    'var template = `line 1',
+    '  // not a comment ${name}',
+    'line 3;  }`;',
+    'var end = "</script>";'
+  ].join('\n');
+
+  const optimizer = new JSOptimizer();
+  const code = await optimizer.optimizeInline(source);
+  const context = run(code);
+
+  assert.strictEqual(context.api, 'http://example.com/api');
+  assert.strictEqual(context.spaced, 'a    b;   }');
+  assert.strictEqual(context.comment, '/* not a comment */');
+  assert.strictEqual(context.template, 'line 1\n  // not a comment x\nline 3;  }');
+  assert.strictEqual(context.end, '</script>');
+  assert.ok(!/<\/script/i.test(code));
+  assert.deepStrictEqual(optimizer.transforms, ['terser']);
+});
+
+test('optimizeInline 保留传统脚本的顶层变量，模块脚本可以删除未使用的变量', async () => {
+  const optimizer = new JSOptimizer();
+
+  const classic = await optimizer.optimizeInline('var counterValue = 1; function increaseCounter() { counterValue++; }');
+  assert.match(classic, /counterValue/);
+  assert.match(classic, /increaseCounter/);
+
+  const module = await optimizer.optimizeInline('const unusedValue = 1; export const used = 2;', {}, true);
+  assert.doesNotMatch(module, /unusedValue/);
+});
+
+test('optimizeInline 语法错误时抛出错误', async () => {
+  await assert.rejects(new JSOptimizer().optimizeInline('var = ;'), /内联脚本优化失败/);
+});
+
+test('是否生成 source map 不影响输出的代码，字符串中的内容保持不变', async t => {
+  const dir = createTempDir(t, {
+    'app.js': [
+      '// 入口',
+      'var url = "https://example.com/a;  }";',
+      'var pattern = /\\/\\/.*$/;',
+      'window.result = url + pattern.source;'
+    ].join('\n')
+  });
+  const filePath = path.join(dir, 'app.js');
+
+  const plain = await new JSOptimizer().optimize(filePath);
+  const optimizer = new JSOptimizer();
+  const mapped = await optimizer.optimize(filePath, { sourceMaps: true });
+
+  assert.strictEqual(mapped, plain);
+  const context = vm.createContext({ window: {} });
+  vm.runInContext(plain, context);
+  assert.strictEqual(context.window.result, 'https://example.com/a;  }\\/\\/.*$');
+  assert.deepStrictEqual(optimizer.sourceMap.sources, [filePath]);
+});
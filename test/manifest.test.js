@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildManifest, writeManifest } = require('../lib/manifest');
+const { getIntegrity } = require('../lib/utils');
+const { createTempDir, runOptimizer } = require('./helpers');
+
+test('清单按原始路径排序，记录输出路径、哈希、大小、完整性摘要和衍生版本', async t => {
+  const outputDir = createTempDir(t, {
+    'img/hero.1a2b3c4d.jpg': 'jpg',
+    'img/hero.1a2b3c4d.webp': 'webp',
+    'img/hero-640w.jpg': 'small',
+    'img/hero-640w.webp': 'small webp',
+    'css/main.css': 'a{}',
+    'css/main.css.gz': 'gz',
+    'css/main.css.map': '{}',
+    'css/main.css.map.gz': 'map gz'
+  });
+  const results = [
+    {
+      file: 'img/hero.jpg',
+      type: 'images',
+      hash: '1a2b3c4d',
+      outputs: ['img/hero.1a2b3c4d.jpg', 'img/hero.1a2b3c4d.webp', 'img/hero-640w.jpg', 'img/hero-640w.webp']
+    },
+    { file: 'css/main.css', type: 'css', outputs: ['css/main.css', 'css/main.css.map', 'css/main.css.gz', 'css/main.css.map.gz'] },
+    { file: 'js/inlined.js', type: 'js', outputs: [] }
+  ];
+
+  const manifest = await buildManifest(results, outputDir);
+
+  assert.deepStrictEqual(Object.keys(manifest), ['css/main.css', 'img/hero.jpg']);
+  assert.deepStrictEqual(manifest['img/hero.jpg'], {
+    path: 'img/hero.1a2b3c4d.jpg',
+    type: 'images',
+    hash: '1a2b3c4d',
+    size: 3,
+    integrity: await getIntegrity(path.join(outputDir, 'img/hero.1a2b3c4d.jpg')),
+    variants: { webp: 'img/hero.1a2b3c4d.webp', '640w': 'img/hero-640w.jpg', '640w.webp': 'img/hero-640w.webp' }
+  });
+  assert.deepStrictEqual(manifest['css/main.css'].variants, { map: 'css/main.css.map', gzip: 'css/main.css.gz' });
+  assert.match(manifest['css/main.css'].hash, /^[0-9a-f]{8}$/);
+});
+
+test('writeManifest 写入指定的文件名，完整构建时清单与输出一致', async t => {
+  const { optimizer, outputDir, read } = await runOptimizer(t, {
+    'index.html': '<html><head><link rel="stylesheet" href="css/main.css"></head><body><p class="a">x</p></body></html>',
+    'css/main.css': '.a { color: red; }',
+    'robots.txt': 'User-agent: *'
+  }, { hash: true, manifest: 'assets/manifest.json' });
+
+  const manifest = JSON.parse(read('assets/manifest.json'));
+  assert.deepStrictEqual(Object.keys(manifest), ['css/main.css', 'index.html', 'robots.txt']);
+  assert.match(manifest['css/main.css'].path, /^css\/main\.[0-9a-f]{8}\.css$/);
+  assert.strictEqual(manifest['css/main.css'].hash, manifest['css/main.css'].path.split('.')[1]);
+  assert.ok(read('index.html').includes(manifest['css/main.css'].path));
+  assert.strictEqual(manifest['robots.txt'].type, 'asset');
+
+  const manifestPath = await writeManifest(optimizer.results, outputDir, 'other.json');
+  assert.strictEqual(manifestPath, path.join(outputDir, 'other.json'));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), manifest);
+});
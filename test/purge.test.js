@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PurgeContext, resolvePurgeOptions, findDynamicClassPrefixes } = require('../lib/purge');
+const { FileDiscovery } = require('../lib/discovery');
+const { CSSOptimizer } = require('../lib/css-optimizer');
+const { createTempDir, writeFiles } = require('./helpers');
+
+/**
+ * 读取输入目录中的扫描内容
+ * @param {string} inputDir - 输入目录
+ * @param {object} options - purgeCss 配置
+ * @returns {Promise<PurgeContext>} 已加载的上下文
+ */
+async function loadContext(inputDir, options = {}) {
+  const discovery = new FileDiscovery({ inputDir, outputDir: `${inputDir}/dist`, useIgnoreFiles: false });
+  const context = new PurgeContext(resolvePurgeOptions(options.purge || true), discovery);
+  await context.load();
+  return context;
+}
+
+test('resolvePurgeOptions 处理开关并把字符串模式转为正则', () => {
+  assert.strictEqual(resolvePurgeOptions(false), null);
+  assert.strictEqual(resolvePurgeOptions({ enabled: false }), null);
+  assert.ok(resolvePurgeOptions(false, true));
+
+  const options = resolvePurgeOptions({ safelistPatterns: ['^modal-', /^tooltip/] });
+  assert.deepStrictEqual(options.safelistPatterns.map(String), ['/^modal-/', '/^tooltip/']);
+  assert.strictEqual(options.dynamicPrefixes, true);
+});
+
+test('findDynamicClassPrefixes 识别字符串拼接和模板字符串中的类名前缀', () => {
+  const prefixes = findDynamicClassPrefixes([
+    'el.className = "btn btn-" + type;',
+    "icon.classList.add('icon_' + name);",
+    'const cls = `card alert-${level}`;',
+    'const url = "/api/" + id;'
+  ].join('\n'));
+
+  assert.deepStrictEqual(prefixes.sort(), ['alert-', 'btn-', 'icon_']);
+});
+
+test('动态拼接的前缀加入安全列表，清理时保留对应的选择器', async t => {
+  const inputDir = createTempDir(t, {
+    'index.html': '<div class="card"><button class="btn">x</button></div>',
+    'js/app.js': 'button.className = "btn btn-" + variant;'
+  });
+  const context = await loadContext(inputDir);
+  assert.deepStrictEqual(context.dynamicPrefixes, ['btn-']);
+
+  const optimizer = new CSSOptimizer();
+  const css = await optimizer.removeUnusedCSS(
+    '.card{}.btn{}.btn-primary{}.btn-danger{}.unused{}.xbtn-primary{}',
+    context.getPurgeOptions().content,
+    { purgeOptions: context.getPurgeOptions() }
+  );
+
+  assert.match(css, /\.btn-primary/);
+  assert.match(css, /\.btn-danger/);
+  assert.doesNotMatch(css, /\.unused/);
+  assert.doesNotMatch(css, /\.xbtn-primary/);
+  assert.ok(optimizer.removedSelectors.includes('.unused'));
+});
+
+test('关闭 dynamicPrefixes 后不再保留动态前缀的选择器', async t => {
+  const inputDir = createTempDir(t, {
+    'index.html': '<button class="btn">x</button>',
+    'app.js': 'el.className = "btn-" + type;'
+  });
+  const context = await loadContext(inputDir, { purge: { dynamicPrefixes: false } });
+  assert.deepStrictEqual(context.dynamicPrefixes, []);
+
+  const css = await new CSSOptimizer().removeUnusedCSS('.btn{}.btn-primary{}', context.content, {
+    purgeOptions: context.getPurgeOptions()
+  });
+  assert.doesNotMatch(css, /\.btn-primary/);
+});
+
+test('扫描内容变化时内容摘要随之变化，safelistFiles 匹配的样式表整体保留', async t => {
+  const inputDir = createTempDir(t, { 'index.html': '<p class="a"></p>' });
+  const before = (await loadContext(inputDir, { purge: { safelistFiles: ['vendor/**'] } }));
+  assert.ok(before.isSafelistedFile('vendor/reset.css'));
+  assert.ok(!before.isSafelistedFile('css/vendor/reset.css'));
+
+  writeFiles(inputDir, { 'index.html': '<p class="b"></p>' });
+  const after = await loadContext(inputDir);
+  assert.notStrictEqual(after.getCacheInfo().contentHash, before.getCacheInfo().contentHash);
+});
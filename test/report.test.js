@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildReport,
+  writeJSONReport,
+  renderHTMLReport,
+  writeHTMLReport,
+  layoutTreemap,
+  REPORT_SCHEMA_VERSION
+} = require('../lib/report');
+const { name, version } = require('../package.json');
+const { createTempDir, runOptimizer } = require('./helpers');
+
+const RESULTS = [
+  {
+    file: 'js/app.js',
+    type: 'js',
+    originalSize: 1000,
+    optimizedSize: 400,
+    duration: 12,
+    cached: false,
+    outputs: ['js/app.js', 'js/app.js.gz'],
+    transforms: ['terser', 'precompress'],
+    warnings: ['警告'],
+    transferSizes: { identity: 400, gzip: 150 }
+  },
+  {
+    file: 'css/main.css',
+    type: 'css',
+    originalSize: 500,
+    optimizedSize: 300,
+    duration: 5,
+    cached: true,
+    outputs: ['css/main.css'],
+    transforms: ['clean-css'],
+    warnings: [],
+    removedSelectors: ['.unused']
+  },
+  {
+    file: 'js/vendor.js',
+    type: 'js',
+    originalSize: 0,
+    optimizedSize: 0,
+    duration: 0,
+    outputs: [],
+    transforms: ['inlined']
+  }
+];
+
+test('buildReport 按文件、类型和整体汇总，文件按路径排序', () => {
+  const report = buildReport(RESULTS, { timeElapsed: 42 }, { inputDir: 'src', outputDir: 'dist' });
+
+  assert.deepStrictEqual(Object.keys(report), [
+    'schemaVersion', 'tool', 'generatedAt', 'inputDir', 'outputDir', 'timeElapsed', 'totals', 'byType', 'files'
+  ]);
+  assert.strictEqual(report.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.deepStrictEqual(report.tool, { name, version });
+  assert.ok(!Number.isNaN(Date.parse(report.generatedAt)));
+  assert.strictEqual(report.timeElapsed, 42);
+
+  assert.deepStrictEqual(report.files.map(file => file.path), ['css/main.css', 'js/app.js', 'js/vendor.js']);
+  assert.deepStrictEqual(report.files[1], {
+    path: 'js/app.js',
+    type: 'js',
+    originalSize: 1000,
+    optimizedSize: 400,
+    savedBytes: 600,
+    ratio: 0.4,
+    duration: 12,
+    cached: false,
+    outputs: ['js/app.js', 'js/app.js.gz'],
+    transforms: ['terser', 'precompress'],
+    warnings: ['警告'],
+    transferSizes: { identity: 400, gzip: 150 }
+  });
+  assert.deepStrictEqual(report.files[0].removedSelectors, ['.unused']);
+  assert.deepStrictEqual(report.files[2].warnings, []);
+  assert.strictEqual(report.files[2].ratio, 1);
+
+  assert.deepStrictEqual(report.totals, {
+    files: 3,
+    originalSize: 1500,
+    optimizedSize: 700,
+    savedBytes: 800,
+    ratio: 0.4667,
+    duration: 17,
+    cached: 1,
+    warnings: 1,
+    // 没有对应编码的文件按原文件大小计算
+    transferSizes: { identity: 400, gzip: 150, br: 400 }
+  });
+  assert.strictEqual(report.byType.js.files, 2);
+  assert.strictEqual(report.byType.css.savedBytes, 200);
+  assert.ok(!('budgets' in report));
+});
+
+test('配置了预算时报告中记录检查结果', () => {
+  const violation = { budget: 'maxTotal', actual: 2, limit: 1, message: '超出' };
+
+  assert.deepStrictEqual(buildReport([], {}, { budgets: { maxTotal: 1 } }, [violation]).budgets, {
+    passed: false,
+    violations: [violation]
+  });
+  assert.deepStrictEqual(buildReport([], {}, { budgets: {} }).budgets, { passed: true, violations: [] });
+});
+
+test('writeJSONReport 创建上级目录，完整构建时报告覆盖全部文件', async t => {
+  const dir = createTempDir(t);
+  const reportPath = writeJSONReport(path.join(dir, 'reports/run.json'), buildReport(RESULTS));
+  assert.strictEqual(JSON.parse(fs.readFileSync(reportPath, 'utf8')).files.length, 3);
+
+  const { outputDir } = await runOptimizer(t, {
+    'index.html': '<html><body><p>x</p></body></html>',
+    'app.js': 'window.answer = 42;',
+    'font.woff2': 'font'
+  }, { report: path.join(dir, 'report.json') });
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+  assert.strictEqual(report.outputDir, outputDir);
+  assert.deepStrictEqual(report.files.map(file => [file.path, file.type]), [
+    ['app.js', 'js'],
+    ['font.woff2', 'asset'],
+    ['index.html', 'html']
+  ]);
+  assert.deepStrictEqual(report.files[1].transforms, ['copy']);
+});
+
+test('layoutTreemap 按大小分配面积，矩形不超出边界，忽略大小为0的项', () => {
+  const items = [{ value: 50 }, { value: 25 }, { value: 15 }, { value: 10 }, { value: 0 }];
+  const rects = layoutTreemap(items, 100, 100);
+
+  assert.strictEqual(rects.length, 4);
+  rects.forEach(({ item, x, y, width, height }) => {
+    assert.ok(Math.abs(width * height - item.value * 100) < 1e-6);
+    assert.ok(x >= 0 && y >= 0 && x + width <= 100 + 1e-9 && y + height <= 100 + 1e-9);
+  });
+  const total = rects.reduce((sum, rect) => sum + rect.width * rect.height, 0);
+  assert.ok(Math.abs(total - 10000) < 1e-6);
+});
+
+test('HTML报告为每个文件绘制矩形并转义路径，按需显示传输大小和移除的选择器', t => {
+  const results = [
+    ...RESULTS,
+    { ...RESULTS[1], file: 'css/<b>.css', removedSelectors: undefined, cached: false }
+  ];
+  const html = renderHTMLReport(buildReport(results, {}, { inputDir: 'src', outputDir: 'dist' }));
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(!/<(link|script)\b[^>]*\b(href|src)=/i.test(html), '报告不依赖外部资源');
+  // 优化前后的矩形树图各有3个矩形（内联后大小为0的文件不绘制）
+  assert.strictEqual(html.match(/class="tile"/g).length, 6);
+  assert.ok(html.includes('<span>css/&lt;b&gt;.css</span>'));
+  assert.ok(!html.includes('<b>.css'));
+  assert.ok(html.includes('<th>gzip</th><th>brotli</th>'));
+  assert.ok(html.includes('<td data-value="150">150 B</td>'));
+  assert.ok(html.includes('移除的未使用选择器'));
+  assert.ok(html.includes('<code>.unused</code>'));
+
+  const plain = renderHTMLReport(buildReport([RESULTS[1]].map(result => ({ ...result, removedSelectors: undefined }))));
+  assert.ok(!plain.includes('<th>gzip</th>'));
+  assert.ok(!plain.includes('移除的未使用选择器'));
+
+  // 优化后的分布图按总大小缩小，文件变大时不超过优化前的高度
+  const height = report => /<h3>优化后[^<]*<\/h3><div class="treemap" style="height:(\d+)px">/.exec(renderHTMLReport(report))[1];
+  assert.strictEqual(height(buildReport([{ ...RESULTS[0], originalSize: 400, optimizedSize: 100 }])), '180');
+  assert.strictEqual(height(buildReport([{ ...RESULTS[0], originalSize: 100, optimizedSize: 400 }])), '360');
+  assert.strictEqual(height(buildReport([{ ...RESULTS[0], originalSize: 10000, optimizedSize: 1 }])), '40');
+
+  const dir = createTempDir(t);
+  const reportPath = writeHTMLReport(path.join(dir, 'reports/index.html'), buildReport(RESULTS));
+  assert.strictEqual(reportPath, path.join(dir, 'reports/index.html'));
+  assert.match(fs.readFileSync(reportPath, 'utf8'), /静态页面优化报告/);
+});
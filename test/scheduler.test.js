@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TaskPool, runConcurrently } = require('../lib/scheduler');
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms - 毫秒数
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('同时执行的任务数不超过并发数，结果保持原始顺序', async () => {
+  let running = 0;
+  let peak = 0;
+  const items = [30, 5, 20, 1, 10, 15, 2];
+
+  const results = await runConcurrently(items, 3, async (ms, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await delay(ms);
+    running--;
+    return index * 2;
+  });
+
+  assert.strictEqual(peak, 3);
+  assert.deepStrictEqual(results, [0, 2, 4, 6, 8, 10, 12]);
+});
+
+test('进度回调按完成顺序计数', async () => {
+  const progress = [];
+  await runConcurrently(['a', 'b', 'c'], 2, async item => item, (completed, total, item) => {
+    progress.push([completed, total, item]);
+  });
+
+  assert.deepStrictEqual(progress.map(([completed, total]) => [completed, total]), [[1, 3], [2, 3], [3, 3]]);
+});
+
+test('任务失败后不再启动新任务，并抛出第一个错误', async () => {
+  const started = [];
+
+  await assert.rejects(runConcurrently([1, 2, 3, 4, 5], 2, async item => {
+    started.push(item);
+    await delay(5);
+    if (item === 1) throw new Error('first');
+    if (item === 2) throw new Error('second');
+    return item;
+  }), /first/);
+
+  assert.deepStrictEqual(started, [1, 2]);
+});
+
+test('无效的并发数按1处理', async () => {
+  assert.strictEqual(new TaskPool(0).concurrency, 1);
+  assert.strictEqual(new TaskPool('abc').concurrency, 1);
+  assert.deepStrictEqual(await new TaskPool(4).run([], async () => 1), []);
+});
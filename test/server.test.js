@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { PreviewServer } = require('../lib/server');
+const { createTempDir } = require('./helpers');
+
+/**
+ * 启动预览服务器，测试结束后关闭
+ * @param {object} t - node:test 的测试上下文
+ * @param {object} options - 服务器选项
+ * @returns {Promise<object>} { server, url }
+ */
+async function startServer(t, options) {
+  const server = new PreviewServer({ port: 0, host: '127.0.0.1', ...options });
+  const url = await server.start();
+  t.after(() => server.close());
+  return { server, url };
+}
+
+/**
+ * 发送请求并读取完整响应
+ * @param {string} url - 地址
+ * @param {object} options - 请求选项
+ * @returns {Promise<object>} { status, headers, body }
+ */
+function request(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    http.request(url, options, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject).end();
+  });
+}
+
+test('返回文件内容，客户端支持时优先返回预压缩文件', async t => {
+  const root = createTempDir(t, { 'app.js': 'a()', 'app.js.gz': 'gzipped', 'about.html': '<p>about</p>' });
+  const { url } = await startServer(t, { root });
+
+  const plain = await request(`${url}app.js`);
+  assert.strictEqual(plain.status, 200);
+  assert.strictEqual(plain.body, 'a()');
+  assert.strictEqual(plain.headers['content-length'], '3');
+
+  const gzip = await request(`${url}app.js`, { headers: { 'Accept-Encoding': 'gzip' } });
+  assert.strictEqual(gzip.headers['content-encoding'], 'gzip');
+  assert.strictEqual(gzip.body, 'gzipped');
+
+  assert.strictEqual((await request(`${url}about`)).body, '<p>about</p>');
+  assert.strictEqual((await request(`${url}missing.js`)).status, 404);
+  assert.strictEqual((await request(`${url}app.js`, { method: 'POST' })).status, 405);
+});
+
+test('文件在解析路径后被删除时返回404，服务器继续工作', async t => {
+  const root = createTempDir(t, { 'app.js': 'a()', 'index.html': '<p>hi</p>' });
+  const { server, url } = await startServer(t, { root });
+  const resolveFile = server.resolveFile.bind(server);
+  t.mock.method(server, 'resolveFile', pathname => {
+    const filePath = resolveFile(pathname);
+    fs.unlinkSync(filePath);
+    return filePath;
+  });
+
+  assert.strictEqual((await request(`${url}app.js`)).status, 404);
+
+  server.liveReload = true;
+  assert.strictEqual((await request(`${url}index.html`)).status, 404);
+});
+
+test('读取文件出错时返回500', async t => {
+  const root = createTempDir(t, { 'app.js': 'a()' });
+  const { url } = await startServer(t, { root });
+  t.mock.method(fs, 'createReadStream', () => {
+    const stream = new PassThrough();
+    process.nextTick(() => stream.emit('error', Object.assign(new Error('permission denied'), { code: 'EACCES' })));
+    return stream;
+  });
+
+  const response = await request(`${url}app.js`);
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(response.body, '500 Internal Server Error');
+});
+
+test('实时刷新时向HTML注入脚本，不允许访问根目录之外的文件', async t => {
+  const root = createTempDir(t, { 'site/index.html': '<body><p>hi</p></body>', 'secret.txt': 'secret' });
+  const { url } = await startServer(t, { root: path.join(root, 'site'), liveReload: true });
+
+  const page = await request(url);
+  assert.match(page.body, /<script>[^<]*EventSource[^<]*<\/script><\/body>/);
+  assert.strictEqual((await request(`${url}..%2fsecret.txt`)).status, 404);
+});
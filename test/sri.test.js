@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { SRIGenerator, resolveSRIOptions, DEFAULT_SRI_OPTIONS } = require('../lib/sri');
+const { createTempDir } = require('./helpers');
+
+test('resolveSRIOptions 规范化 true、false 和对象配置', () => {
+  assert.strictEqual(resolveSRIOptions(false), null);
+  assert.strictEqual(resolveSRIOptions({ enabled: false }), null);
+  assert.deepStrictEqual(resolveSRIOptions(true), DEFAULT_SRI_OPTIONS);
+  assert.deepStrictEqual(resolveSRIOptions({ algorithm: 'sha512' }), { ...DEFAULT_SRI_OPTIONS, algorithm: 'sha512' });
+});
+
+test('resolveSRIOptions 拒绝不支持的算法和没有锁文件的 updateLockfile', () => {
+  assert.throws(() => resolveSRIOptions({ algorithm: 'md5' }), /不支持的SRI摘要算法: md5，可选 sha256、sha384、sha512/);
+  assert.throws(() => resolveSRIOptions({ updateLockfile: true }), /sri\.updateLockfile 需要同时设置 lockfile/);
+  assert.strictEqual(resolveSRIOptions({ updateLockfile: true, lockfile: 'sri.lock.json' }).updateLockfile, true);
+});
+
+test('按输出文件的字节为本地脚本和样式表添加完整性摘要', async t => {
+  const outputDir = createTempDir(t, {
+    'pages/index.html': '<link rel="stylesheet" href="../css/main.css"><script src="/js/app.js"></script><script src="missing.js"></script>',
+    'css/main.css': 'a{color:red}',
+    'js/app.js': 'run()'
+  });
+  const digest = content => `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+
+  const { tags, warnings } = await new SRIGenerator({ outputDir }).processFile('pages/index.html');
+  const html = fs.readFileSync(path.join(outputDir, 'pages/index.html'), 'utf8');
+
+  assert.strictEqual(tags, 2);
+  assert.deepStrictEqual(warnings, ['SRI: 找不到本地资源 missing.js']);
+  assert.ok(html.includes(`href="../css/main.css" integrity="${digest('a{color:red}')}" crossorigin="anonymous"`));
+  assert.ok(html.includes(`src="/js/app.js" integrity="${digest('run()')}"`));
+});
+
+test('远程资源使用锁文件中固定的摘要', async t => {
+  const dir = createTempDir(t, {
+    'dist/index.html': '<script src="https://cdn.example.com/lib.js"></script>',
+    'sri.lock.json': JSON.stringify({ 'https://cdn.example.com/lib.js': 'sha384-pinned' })
+  });
+
+  await new SRIGenerator({ outputDir: path.join(dir, 'dist'), lockfile: path.join(dir, 'sri.lock.json') })
+    .processFile('index.html');
+
+  assert.ok(fs.readFileSync(path.join(dir, 'dist/index.html'), 'utf8').includes('integrity="sha384-pinned"'));
+});
+
+test('下载远程资源超时时给出明确的错误', async t => {
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}/lib.js`;
+
+  await assert.rejects(
+    new SRIGenerator({ outputDir: createTempDir(t), timeout: 50 }).fetchIntegrity(url),
+    new RegExp(`^Error: 下载超时 \\(50ms 内没有响应\\): ${url}$`)
+  );
+});
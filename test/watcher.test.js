@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { stripVTControlCharacters } = require('util');
+const { OptimizerWatcher } = require('../lib/watcher');
+const { FileDiscovery } = require('../lib/discovery');
+const { createTempDir, writeFiles } = require('./helpers');
+
+/**
+ * 创建只记录变化文件、不执行重建的监听器
+ * @param {string} inputDir - 输入目录
+ * @returns {OptimizerWatcher} 监听器，变化的文件记录在 changed 中
+ */
+function createWatcher(inputDir) {
+  const discovery = new FileDiscovery({ inputDir, outputDir: path.join(inputDir, 'dist'), useIgnoreFiles: false });
+  const watcher = new OptimizerWatcher({ options: { inputDir }, discovery });
+  watcher.changed = new Set();
+  watcher.schedule = file => {
+    if (!discovery.isPathIgnored(file)) {
+      watcher.changed.add(file);
+    }
+  };
+  return watcher;
+}
+
+/**
+ * 等待条件成立
+ * @param {Function} condition - 条件
+ * @returns {Promise<void>} 超时后拒绝
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 3000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('等待文件变化事件超时');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * 让 fs.watch 像Node 18的Linux一样不支持 recursive
+ * @param {object} t - node:test 的测试上下文
+ * @returns {void}
+ */
+function disableRecursiveWatch(t) {
+  const watch = fs.watch;
+  t.mock.method(fs, 'watch', (target, options, listener) => {
+    if (options && options.recursive) {
+      const error = new TypeError('The feature watch recursively is unavailable on the current platform');
+      error.code = 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM';
+      throw error;
+    }
+    return watch(target, options, listener);
+  });
+}
+
+test('不支持递归监听时逐个监听未被忽略的目录', async t => {
+  disableRecursiveWatch(t);
+  const dir = createTempDir(t, {
+    'index.html': '',
+    'css/main.css': '',
+    'css/vendor/reset.css': '',
+    'node_modules/pkg/index.js': '',
+    'dist/index.html': ''
+  });
+  const watcher = createWatcher(dir);
+  t.after(() => watcher.close());
+
+  watcher.start();
+  assert.strictEqual(watcher.recursive, false);
+  assert.deepStrictEqual(Array.from(watcher.watchers.keys()).sort(), ['', 'css', 'css/vendor']);
+
+  fs.writeFileSync(path.join(dir, 'css/vendor/reset.css'), 'a{}');
+  await waitFor(() => watcher.changed.has('css/vendor/reset.css'));
+});
+
+test('逐个目录监听时监听新建的目录，并重建其中已有的文件', async t => {
+  disableRecursiveWatch(t);
+  const dir = createTempDir(t, { 'index.html': '' });
+  const watcher = createWatcher(dir);
+  t.after(() => watcher.close());
+  watcher.start();
+
+  writeFiles(dir, { 'js/lib/app.js': 'a()' });
+  await waitFor(() => watcher.watchers.has('js/lib') && watcher.changed.has('js/lib/app.js'));
+
+  fs.writeFileSync(path.join(dir, 'js/lib/app.js'), 'b()');
+  watcher.changed.clear();
+  await waitFor(() => watcher.changed.has('js/lib/app.js'));
+
+  fs.rmSync(path.join(dir, 'js'), { recursive: true });
+  await waitFor(() => !watcher.watchers.has('js') && !watcher.watchers.has('js/lib'));
+});
+
+test('close 关闭全部目录监听', async t => {
+  disableRecursiveWatch(t);
+  const dir = createTempDir(t, { 'a/b/c.css': '' });
+  const watcher = createWatcher(dir);
+
+  watcher.start();
+  assert.strictEqual(watcher.watchers.size, 3);
+  await watcher.close();
+  assert.strictEqual(watcher.watchers.size, 0);
+});
+
+test('printResult 以各自的符号显示变小和变大的比例', t => {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(stripVTControlCharacters(line)));
+  const watcher = createWatcher(createTempDir(t));
+  const result = { type: 'css', file: 'a.css', duration: 3, cached: false };
+
+  watcher.printResult({ ...result, originalSize: 200, optimizedSize: 150 });
+  watcher.printResult({ ...result, originalSize: 200, optimizedSize: 210 });
+  watcher.printResult({ ...result, originalSize: 200, optimizedSize: 200 });
+
+  assert.match(lines[0], /a\.css: 200 B → 150 B \(-25%\) 3ms$/);
+  assert.match(lines[1], /a\.css: 200 B → 210 B \(\+5%\) 3ms$/);
+  assert.match(lines[2], /a\.css: 200 B → 200 B \(0%\) 3ms$/);
+});